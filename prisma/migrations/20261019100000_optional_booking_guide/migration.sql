@@ -0,0 +1,8 @@
+-- DropForeignKey
+ALTER TABLE `Booking` DROP FOREIGN KEY `Booking_guideId_fkey`;
+
+-- AlterTable
+ALTER TABLE `Booking` MODIFY `guideId` VARCHAR(191) NULL;
+
+-- AddForeignKey
+ALTER TABLE `Booking` ADD CONSTRAINT `Booking_guideId_fkey` FOREIGN KEY (`guideId`) REFERENCES `TouristGuide`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
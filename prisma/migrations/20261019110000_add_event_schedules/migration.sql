@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE `EventSchedule` (
+    `id` VARCHAR(191) NOT NULL,
+    `eventId` VARCHAR(191) NOT NULL,
+    `type` ENUM('ONE_OFF', 'WEEKLY') NOT NULL,
+    `startDate` DATE NOT NULL,
+    `endDate` DATE NULL,
+    `startTime` VARCHAR(191) NOT NULL,
+    `timeZone` VARCHAR(191) NOT NULL DEFAULT 'UTC',
+    `daysOfWeek` JSON NULL,
+    `exceptions` JSON NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `EventSchedule_eventId_idx`(`eventId`),
+    INDEX `EventSchedule_startDate_idx`(`startDate`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `EventSchedule` ADD CONSTRAINT `EventSchedule_eventId_fkey` FOREIGN KEY (`eventId`) REFERENCES `Event`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE `Event` ADD COLUMN `cancellationPolicy` JSON NULL;
+
+-- AlterTable
+ALTER TABLE `Booking` ADD COLUMN `canceledAt` DATETIME(3) NULL,
+    ADD COLUMN `cancellationReason` TEXT NULL;
+
+-- CreateTable
+CREATE TABLE `Refund` (
+    `id` VARCHAR(191) NOT NULL,
+    `paymentId` VARCHAR(191) NOT NULL,
+    `amount` DECIMAL(10, 2) NOT NULL,
+    `reason` TEXT NULL,
+    `status` ENUM('PENDING', 'COMPLETED', 'FAILED') NOT NULL DEFAULT 'PENDING',
+    `providerRefundId` VARCHAR(191) NULL,
+    `initiatedById` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    INDEX `Refund_paymentId_idx`(`paymentId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `Refund` ADD CONSTRAINT `Refund_paymentId_fkey` FOREIGN KEY (`paymentId`) REFERENCES `Payment`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `Review` ADD COLUMN `updatedAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3);
@@ -0,0 +1,44 @@
+-- DropForeignKey
+ALTER TABLE `Booking` DROP FOREIGN KEY `Booking_eventId_fkey`;
+
+-- AlterTable
+ALTER TABLE `Booking` MODIFY `eventId` VARCHAR(191) NULL;
+
+-- CreateTable
+CREATE TABLE `GuideHireRequest` (
+    `id` VARCHAR(191) NOT NULL,
+    `touristId` VARCHAR(191) NOT NULL,
+    `guideId` VARCHAR(191) NOT NULL,
+    `touristicSiteId` VARCHAR(191) NOT NULL,
+    `startsAt` DATETIME(3) NOT NULL,
+    `hours` INTEGER NOT NULL,
+    `numberOfPeople` INTEGER NOT NULL,
+    `totalPrice` DECIMAL(10, 2) NOT NULL,
+    `message` TEXT NULL,
+    `status` ENUM('PENDING', 'ACCEPTED', 'DECLINED', 'CANCELED') NOT NULL DEFAULT 'PENDING',
+    `responseMessage` TEXT NULL,
+    `bookingId` VARCHAR(191) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updatedAt` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `GuideHireRequest_bookingId_key`(`bookingId`),
+    INDEX `GuideHireRequest_touristId_idx`(`touristId`),
+    INDEX `GuideHireRequest_guideId_idx`(`guideId`),
+    INDEX `GuideHireRequest_touristicSiteId_idx`(`touristicSiteId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `Booking` ADD CONSTRAINT `Booking_eventId_fkey` FOREIGN KEY (`eventId`) REFERENCES `Event`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `GuideHireRequest` ADD CONSTRAINT `GuideHireRequest_touristId_fkey` FOREIGN KEY (`touristId`) REFERENCES `User`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `GuideHireRequest` ADD CONSTRAINT `GuideHireRequest_guideId_fkey` FOREIGN KEY (`guideId`) REFERENCES `TouristGuide`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `GuideHireRequest` ADD CONSTRAINT `GuideHireRequest_touristicSiteId_fkey` FOREIGN KEY (`touristicSiteId`) REFERENCES `TouristicSite`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `GuideHireRequest` ADD CONSTRAINT `GuideHireRequest_bookingId_fkey` FOREIGN KEY (`bookingId`) REFERENCES `Booking`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
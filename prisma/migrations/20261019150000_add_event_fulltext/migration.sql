@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE FULLTEXT INDEX `Event_title_description_idx` ON `Event`(`title`, `description`);
@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX `TouristicSite_latitude_longitude_idx` ON `TouristicSite`(`latitude`, `longitude`);
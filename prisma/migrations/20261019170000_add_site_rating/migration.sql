@@ -0,0 +1,26 @@
+-- AlterTable
+ALTER TABLE `TouristicSite` ADD COLUMN `rating` DOUBLE NOT NULL DEFAULT 0,
+    ADD COLUMN `numberOfReviews` INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX `TouristicSite_category_idx` ON `TouristicSite`(`category`);
+
+-- CreateIndex
+CREATE INDEX `TouristicSite_entryFee_idx` ON `TouristicSite`(`entryFee`);
+
+-- CreateIndex
+CREATE INDEX `TouristicSite_rating_idx` ON `TouristicSite`(`rating`);
+
+-- Backfill ratings from existing reviews of event bookings and private tours
+UPDATE `TouristicSite` s
+JOIN (
+    SELECT COALESCE(e.touristicSiteId, h.touristicSiteId) AS siteId,
+        ROUND(AVG(r.rating), 2) AS rating,
+        COUNT(*) AS numberOfReviews
+    FROM `Review` r
+    JOIN `Booking` b ON b.id = r.bookingId
+    LEFT JOIN `Event` e ON e.id = b.eventId
+    LEFT JOIN `GuideHireRequest` h ON h.bookingId = b.id
+    GROUP BY siteId
+) stats ON stats.siteId = s.id
+SET s.rating = stats.rating, s.numberOfReviews = stats.numberOfReviews;
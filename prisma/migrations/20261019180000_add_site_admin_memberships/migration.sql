@@ -0,0 +1,59 @@
+-- CreateTable
+CREATE TABLE `SiteAdminMembership` (
+    `id` VARCHAR(191) NOT NULL,
+    `siteAdminId` VARCHAR(191) NOT NULL,
+    `siteId` VARCHAR(191) NOT NULL,
+    `role` ENUM('OWNER', 'EDITOR') NOT NULL DEFAULT 'EDITOR',
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `SiteAdminMembership_siteId_idx`(`siteId`),
+    UNIQUE INDEX `SiteAdminMembership_siteAdminId_siteId_key`(`siteAdminId`, `siteId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `SiteAdminInvitation` (
+    `id` VARCHAR(191) NOT NULL,
+    `siteId` VARCHAR(191) NOT NULL,
+    `email` VARCHAR(191) NOT NULL,
+    `role` ENUM('OWNER', 'EDITOR') NOT NULL DEFAULT 'EDITOR',
+    `tokenHash` VARCHAR(191) NOT NULL,
+    `invitedById` VARCHAR(191) NULL,
+    `expiresAt` DATETIME(3) NOT NULL,
+    `acceptedAt` DATETIME(3) NULL,
+    `revokedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `SiteAdminInvitation_tokenHash_key`(`tokenHash`),
+    INDEX `SiteAdminInvitation_siteId_idx`(`siteId`),
+    INDEX `SiteAdminInvitation_email_idx`(`email`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Every existing admin owns the site they were linked to
+INSERT INTO `SiteAdminMembership` (`id`, `siteAdminId`, `siteId`, `role`)
+SELECT UUID(), `id`, `siteId`, 'OWNER' FROM `TouristicSiteAdmin`;
+
+-- DropForeignKey
+ALTER TABLE `TouristicSiteAdmin` DROP FOREIGN KEY `TouristicSiteAdmin_siteId_fkey`;
+
+-- DropIndex
+DROP INDEX `TouristicSiteAdmin_siteId_key` ON `TouristicSiteAdmin`;
+
+-- DropIndex
+DROP INDEX `TouristicSiteAdmin_siteId_idx` ON `TouristicSiteAdmin`;
+
+-- AlterTable
+ALTER TABLE `TouristicSiteAdmin` DROP COLUMN `siteId`;
+
+-- AddForeignKey
+ALTER TABLE `SiteAdminMembership` ADD CONSTRAINT `SiteAdminMembership_siteAdminId_fkey` FOREIGN KEY (`siteAdminId`) REFERENCES `TouristicSiteAdmin`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `SiteAdminMembership` ADD CONSTRAINT `SiteAdminMembership_siteId_fkey` FOREIGN KEY (`siteId`) REFERENCES `TouristicSite`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `SiteAdminInvitation` ADD CONSTRAINT `SiteAdminInvitation_siteId_fkey` FOREIGN KEY (`siteId`) REFERENCES `TouristicSite`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `SiteAdminInvitation` ADD CONSTRAINT `SiteAdminInvitation_invitedById_fkey` FOREIGN KEY (`invitedById`) REFERENCES `TouristicSiteAdmin`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
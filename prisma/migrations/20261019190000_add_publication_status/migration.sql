@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE `TouristicSite` ADD COLUMN `status` ENUM('DRAFT', 'PENDING_REVIEW', 'PUBLISHED', 'SUSPENDED') NOT NULL DEFAULT 'PENDING_REVIEW',
+    ADD COLUMN `moderationReason` TEXT NULL,
+    ADD COLUMN `submittedAt` DATETIME(3) NULL,
+    ADD COLUMN `moderatedAt` DATETIME(3) NULL;
+
+-- AlterTable
+ALTER TABLE `Event` ADD COLUMN `status` ENUM('DRAFT', 'PENDING_REVIEW', 'PUBLISHED', 'SUSPENDED') NOT NULL DEFAULT 'PENDING_REVIEW',
+    ADD COLUMN `moderationReason` TEXT NULL,
+    ADD COLUMN `submittedAt` DATETIME(3) NULL,
+    ADD COLUMN `moderatedAt` DATETIME(3) NULL;
+
+-- Everything listed before moderation existed stays public
+UPDATE `TouristicSite` SET `status` = 'PUBLISHED';
+UPDATE `Event` SET `status` = 'PUBLISHED';
+
+-- CreateIndex
+CREATE INDEX `TouristicSite_status_idx` ON `TouristicSite`(`status`);
+
+-- CreateIndex
+CREATE INDEX `Event_status_idx` ON `Event`(`status`);
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `TouristicSiteImage` ADD COLUMN `variants` JSON NULL;
+
+-- AlterTable
+ALTER TABLE `EventImage` ADD COLUMN `variants` JSON NULL;
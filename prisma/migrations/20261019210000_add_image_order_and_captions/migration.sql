@@ -0,0 +1,38 @@
+-- AlterTable
+ALTER TABLE `TouristicSiteImage` ADD COLUMN `position` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `isCover` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `caption` TEXT NULL,
+    ADD COLUMN `altText` VARCHAR(191) NULL;
+
+-- AlterTable
+ALTER TABLE `EventImage` ADD COLUMN `position` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `isCover` BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN `caption` TEXT NULL,
+    ADD COLUMN `altText` VARCHAR(191) NULL;
+
+-- Keep the upload order of existing images, the first one becoming the cover
+UPDATE `TouristicSiteImage` i
+JOIN (
+    SELECT `id`, ROW_NUMBER() OVER (PARTITION BY `touristicSiteId` ORDER BY `createdAt`, `id`) - 1 AS `rank`
+    FROM `TouristicSiteImage`
+) ordered ON ordered.`id` = i.`id`
+SET i.`position` = ordered.`rank`, i.`isCover` = (ordered.`rank` = 0);
+
+UPDATE `EventImage` i
+JOIN (
+    SELECT `id`, ROW_NUMBER() OVER (PARTITION BY `eventId` ORDER BY `createdAt`, `id`) - 1 AS `rank`
+    FROM `EventImage`
+) ordered ON ordered.`id` = i.`id`
+SET i.`position` = ordered.`rank`, i.`isCover` = (ordered.`rank` = 0);
+
+-- CreateIndex
+CREATE INDEX `TouristicSiteImage_touristicSiteId_position_idx` ON `TouristicSiteImage`(`touristicSiteId`, `position`);
+
+-- CreateIndex
+CREATE INDEX `EventImage_eventId_position_idx` ON `EventImage`(`eventId`, `position`);
+
+-- DropIndex, the foreign keys now use the indexes above
+DROP INDEX `TouristicSiteImage_touristicSiteId_idx` ON `TouristicSiteImage`;
+
+-- DropIndex
+DROP INDEX `EventImage_eventId_idx` ON `EventImage`;
@@ -0,0 +1,22 @@
+-- AlterTable
+ALTER TABLE `User` ADD COLUMN `profilePictureVariants` JSON NULL,
+    ADD COLUMN `deletedAt` DATETIME(3) NULL;
+
+-- CreateTable
+CREATE TABLE `EmailChangeRequest` (
+    `id` VARCHAR(191) NOT NULL,
+    `userId` VARCHAR(191) NOT NULL,
+    `newEmail` VARCHAR(191) NOT NULL,
+    `tokenHash` VARCHAR(191) NOT NULL,
+    `expiresAt` DATETIME(3) NOT NULL,
+    `confirmedAt` DATETIME(3) NULL,
+    `revokedAt` DATETIME(3) NULL,
+    `createdAt` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `EmailChangeRequest_tokenHash_key`(`tokenHash`),
+    INDEX `EmailChangeRequest_userId_idx`(`userId`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `EmailChangeRequest` ADD CONSTRAINT `EmailChangeRequest_userId_fkey` FOREIGN KEY (`userId`) REFERENCES `User`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
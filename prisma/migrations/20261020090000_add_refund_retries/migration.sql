@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE `Refund` ADD COLUMN `attempt` INTEGER NOT NULL DEFAULT 1,
+    ADD COLUMN `retryOfId` VARCHAR(191) NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `Refund_retryOfId_key` ON `Refund`(`retryOfId`);
+
+-- CreateIndex
+CREATE INDEX `Refund_status_idx` ON `Refund`(`status`);
+
+-- AddForeignKey
+ALTER TABLE `Refund` ADD CONSTRAINT `Refund_retryOfId_fkey` FOREIGN KEY (`retryOfId`) REFERENCES `Refund`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
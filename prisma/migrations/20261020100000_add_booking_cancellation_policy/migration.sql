@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `Booking` ADD COLUMN `cancellationPolicy` JSON NULL;
+
+-- Existing bookings keep the policy of their event as it is now
+UPDATE `Booking` INNER JOIN `Event` ON `Booking`.`eventId` = `Event`.`id`
+SET `Booking`.`cancellationPolicy` = `Event`.`cancellationPolicy`;
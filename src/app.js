@@ -3,12 +3,22 @@ const cors = require("cors");
 const helmet = require("helmet");
 const dotenv = require("dotenv");
 const path = require("path");
+const { attachChatSocket } = require("./sockets/chatSocket");
+const { MEDIA_KINDS } = require("./services/mediaService");
+const { getStorage } = require("./services/storage");
 
 dotenv.config();
 
 const app = express();
 
-app.use(express.json());
+app.use(
+  express.json({
+    // Keep the raw body so payment webhooks can verify their signature
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 app.use(
   cors({
@@ -18,16 +28,30 @@ app.use(
   })
 );
 app.use(helmet());
-app.use(
-  "/uploads",
-  express.static(path.join(__dirname, "../uploads"), {
-    // Set the Cross-Origin-Resource-Policy header for images to 'cross-origin'
-    // This is the direct solution for the ERR_BLOCKED_BY_RESPONSE error
-    setHeaders: (res, path, stat) => {
-      res.set("Cross-Origin-Resource-Policy", "cross-origin");
-    },
-  })
-);
+const staticOptions = {
+  // Set the Cross-Origin-Resource-Policy header for images to 'cross-origin'
+  // This is the direct solution for the ERR_BLOCKED_BY_RESPONSE error
+  setHeaders: (res, path, stat) => {
+    res.set("Cross-Origin-Resource-Policy", "cross-origin");
+  },
+};
+// Files kept on this server's disk; other storages serve their files themselves
+const storage = getStorage();
+if (storage.publicRoot) {
+  app.use("/uploads", express.static(storage.publicRoot, staticOptions));
+  // Images uploaded before a kind of media moved directory
+  for (const { directory, legacyDirectories } of Object.values(MEDIA_KINDS)) {
+    for (const legacy of legacyDirectories) {
+      app.use(
+        `/uploads/${directory}`,
+        express.static(path.join(storage.publicRoot, legacy), staticOptions)
+      );
+    }
+  }
+}
+if (storage.serveSignedFile) {
+  app.get("/files/*", storage.serveSignedFile);
+}
 
 // Test if static files are being served
 app.get("/test-image", (req, res) => {
@@ -62,10 +86,26 @@ try {
   console.log("Users route loaded");
   app.use("/users", require("./routes/userRoutes"));
   console.log("users routes loaded");
+  app.use("/guides", require("./routes/guideRoutes"));
+  console.log("guides routes loaded");
   app.use("/events", require("./routes/eventRoutes"));
   console.log("events routes loaded");
-  //   app.use("/favorite", require("./routes/favoriteRouter"));
-  //   console.log("Favorite routes loaded");
+  app.use("/bookings", require("./routes/bookingRoutes"));
+  console.log("bookings routes loaded");
+  app.use("/hire-requests", require("./routes/hireRequestRoutes"));
+  console.log("hire requests routes loaded");
+  app.use("/payments", require("./routes/paymentRoutes"));
+  console.log("payments routes loaded");
+  app.use("/reviews", require("./routes/reviewRoutes"));
+  console.log("reviews routes loaded");
+  app.use("/chat", require("./routes/chatRoutes"));
+  console.log("chat routes loaded");
+  app.use("/search", require("./routes/searchRoutes"));
+  console.log("search routes loaded");
+  app.use("/favorite", require("./routes/favoriteRouter"));
+  console.log("Favorite routes loaded");
+  app.use("/moderation", require("./routes/moderationRoutes"));
+  console.log("moderation routes loaded");
 
   app.use("/ai", require("./routes/aiRouter"));
   console.log("✓ AI routes loaded");
@@ -92,7 +132,7 @@ app.use((err, req, res, next) => {
       ? "internal server error"
       : err.message || "something went wrong";
 
-  res.status(500).json({
+  res.status(statusCode).json({
     status: false,
     method: req.method,
     message: message,
@@ -115,10 +155,13 @@ process.on("uncaughtException", (error) => {
 });
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`RealEstate server running on port ${PORT}`);
 });
 
+// Live chat shares the HTTP server
+attachChatSocket(server);
+
 // Graceful shutdown
 process.on("SIGTERM", () => {
   console.log("SIGTERM received, shutting down gracefully");
@@ -0,0 +1,135 @@
+// Declarative permission map used by the authorize() middleware.
+//
+// Each permission lists the roles allowed to perform it. A role mapped to
+// `true` is always allowed; a role mapped to a string is only allowed when the
+// ownership rule of that name (see middlewares/authorize.js) passes for the
+// requested resource. Roles that are not listed get a 403.
+
+module.exports = {
+  // Users
+  "user:list": { SUPER_ADMIN: true },
+  "user:read": {
+    SUPER_ADMIN: true,
+    SITE_ADMIN: "self",
+    GUIDE: "self",
+    TOURIST: "self",
+  },
+  // Users edit and delete their own account through the /users/me endpoints
+  "user:update": { SUPER_ADMIN: true },
+  "user:delete": { SUPER_ADMIN: true },
+
+  // Tourist guides (the :id param is the TouristGuide id)
+  "guide:create": { SUPER_ADMIN: true, SITE_ADMIN: true },
+  "guide:update": { SUPER_ADMIN: true, GUIDE: "guideSelf" },
+  "guide:delete": { SUPER_ADMIN: true, GUIDE: "guideSelf" },
+
+  // Touristic sites and their admins
+  "siteAdmin:list": { SUPER_ADMIN: true },
+  "site:create": { SITE_ADMIN: true },
+  "site:update": { SUPER_ADMIN: true, SITE_ADMIN: "siteAdminSelf" },
+  "site:delete": { SUPER_ADMIN: true },
+
+  // Admins of one site (the :id param is the TouristicSite id). Members may
+  // leave a site; the controller checks they only remove others as an OWNER.
+  "site:listAdmins": { SUPER_ADMIN: true, SITE_ADMIN: "siteMember" },
+  "site:removeAdmin": { SUPER_ADMIN: true, SITE_ADMIN: "siteMember" },
+  "site:manageAdmins": { SUPER_ADMIN: true, SITE_ADMIN: "siteOwner" },
+  "site:submit": { SUPER_ADMIN: true, SITE_ADMIN: "siteMember" },
+  "site:manageImages": { SUPER_ADMIN: true, SITE_ADMIN: "siteMember" },
+
+  // Events
+  "event:create": { SUPER_ADMIN: true, SITE_ADMIN: true, GUIDE: true },
+  "event:update": {
+    SUPER_ADMIN: true,
+    SITE_ADMIN: "eventOwner",
+    GUIDE: "eventOwner",
+  },
+  "event:delete": {
+    SUPER_ADMIN: true,
+    SITE_ADMIN: "eventOwner",
+    GUIDE: "eventOwner",
+  },
+
+  "event:submit": {
+    SUPER_ADMIN: true,
+    SITE_ADMIN: "eventOwner",
+    GUIDE: "eventOwner",
+  },
+
+  "event:bookings": {
+    SUPER_ADMIN: true,
+    SITE_ADMIN: "eventOwner",
+    GUIDE: "eventOwner",
+  },
+
+  // Moderation of touristic sites and events
+  "moderation:manage": { SUPER_ADMIN: true },
+
+  // Bookings
+  "booking:create": { TOURIST: true },
+  "booking:listOwn": {
+    SUPER_ADMIN: true,
+    SITE_ADMIN: true,
+    GUIDE: true,
+    TOURIST: true,
+  },
+  "booking:listManaged": { SUPER_ADMIN: true, SITE_ADMIN: true, GUIDE: true },
+  "booking:read": {
+    SUPER_ADMIN: true,
+    SITE_ADMIN: "bookingManager",
+    GUIDE: "bookingManager",
+    TOURIST: "bookingTourist",
+  },
+  "booking:manage": {
+    SUPER_ADMIN: true,
+    SITE_ADMIN: "bookingManager",
+    GUIDE: "bookingManager",
+  },
+  "booking:cancel": {
+    SUPER_ADMIN: true,
+    SITE_ADMIN: "bookingManager",
+    GUIDE: "bookingManager",
+    TOURIST: "bookingTourist",
+  },
+
+  // Private guide hires (the :id param is the hire request id)
+  "hire:create": { TOURIST: true },
+  "hire:listReceived": { GUIDE: true },
+  "hire:read": {
+    SUPER_ADMIN: true,
+    GUIDE: "hireRequestGuide",
+    TOURIST: "hireRequestTourist",
+  },
+  "hire:respond": { GUIDE: "hireRequestGuide" },
+  "hire:cancel": { TOURIST: "hireRequestTourist" },
+
+  // Payments (the :id param is the booking id)
+  "payment:start": { TOURIST: "bookingTourist" },
+  "payment:collect": {
+    SUPER_ADMIN: true,
+    SITE_ADMIN: "bookingManager",
+    GUIDE: "bookingManager",
+  },
+
+  // Reviews (review:create takes a booking id, the others a review id)
+  "review:create": { TOURIST: "bookingTourist" },
+  "review:listOwn": { TOURIST: true },
+  "review:update": { TOURIST: "reviewAuthor" },
+  "review:delete": { SUPER_ADMIN: true, TOURIST: "reviewAuthor" },
+
+  // Favorite touristic sites
+  "favorite:manage": {
+    SUPER_ADMIN: true,
+    SITE_ADMIN: true,
+    GUIDE: true,
+    TOURIST: true,
+  },
+
+  // Chat between tourists and guides (the :id param is the conversation id)
+  "chat:list": { TOURIST: true, GUIDE: true },
+  "chat:start": { TOURIST: true },
+  "chat:participate": {
+    TOURIST: "conversationParticipant",
+    GUIDE: "conversationParticipant",
+  },
+};
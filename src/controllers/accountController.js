@@ -0,0 +1,505 @@
+const { PrismaClient, Prisma } = require("@prisma/client");
+const prisma = new PrismaClient();
+const bcrypt = require("bcrypt");
+const {
+  issueTokens,
+  revokeAllUserTokens,
+} = require("../services/tokenService");
+const { deleteImageFiles } = require("../services/mediaService");
+const {
+  EMAIL_PATTERN,
+  validateNewPassword,
+  createEmailChange,
+  notifyEmailChanged,
+  findEmailChangeByToken,
+  getEmailChangeProblem,
+  getAccountDeletionBlockers,
+  anonymizeAccount,
+} = require("../services/accountService");
+
+const saltRounds = 10;
+
+/**
+ * Profile of a user as returned to its owner, never the password, with the
+ * email change waiting for confirmation if any.
+ * @param {string} userId
+ * @returns {Promise<object|null>}
+ */
+const getProfile = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      id: true,
+      email: true,
+      name: true,
+      phoneNumber: true,
+      profilePicture: true,
+      profilePictureVariants: true,
+      role: true,
+      createdAt: true,
+      updatedAt: true,
+      touristGuides: { select: { id: true } },
+      siteAdmins: { select: { id: true } },
+      emailChangeRequests: {
+        where: {
+          confirmedAt: null,
+          revokedAt: null,
+          expiresAt: { gt: new Date() },
+        },
+        select: { newEmail: true, expiresAt: true },
+        orderBy: { createdAt: "desc" },
+        take: 1,
+      },
+    },
+  });
+  if (!user) return null;
+
+  const { touristGuides, siteAdmins, emailChangeRequests, ...profile } = user;
+  return {
+    ...profile,
+    guideId: touristGuides[0]?.id || null,
+    siteAdminId: siteAdmins[0]?.id || null,
+    pendingEmail: emailChangeRequests[0] || null,
+  };
+};
+
+/**
+ * Checks the current password of the authenticated user.
+ * @param {string} userId
+ * @param {*} password
+ * @returns {Promise<boolean>}
+ */
+const isCurrentPassword = async (userId, password) => {
+  if (typeof password !== "string" || !password) return false;
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { password: true },
+  });
+  return Boolean(user) && bcrypt.compare(password, user.password);
+};
+
+/**
+ * Returns the authenticated user's profile.
+ * @route GET /users/me
+ */
+exports.getMe = async (req, res) => {
+  try {
+    res.status(200).json({
+      isOk: true,
+      data: await getProfile(req.user.id),
+      message: "Profile fetched successfully.",
+    });
+  } catch (error) {
+    console.error(`Error fetching profile of user ${req.user.id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to fetch profile",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Updates the name and phone number of the authenticated user. The email,
+ * password and profile picture have their own endpoints.
+ * @route PUT /users/me
+ */
+exports.updateMe = async (req, res) => {
+  const { name, phoneNumber } = req.body;
+
+  const errors = [];
+  if (name !== undefined && (typeof name !== "string" || !name.trim()))
+    errors.push("Name cannot be empty");
+  if (
+    phoneNumber !== undefined &&
+    phoneNumber !== null &&
+    typeof phoneNumber !== "string"
+  )
+    errors.push("Phone number must be a string");
+  for (const [field, endpoint] of [
+    ["email", "PUT /users/me/email"],
+    ["password", "PUT /users/me/password"],
+    ["profilePicture", "PUT /users/me/avatar"],
+  ]) {
+    if (req.body[field] !== undefined)
+      errors.push(`Change your ${field} with ${endpoint}`);
+  }
+  if (req.body.role !== undefined) errors.push("You cannot change your role");
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      isOk: false,
+      message: "Validation failed",
+      errors,
+    });
+  }
+
+  try {
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: {
+        ...(name !== undefined && { name: name.trim() }),
+        ...(phoneNumber !== undefined && {
+          phoneNumber: (phoneNumber || "").trim() || null,
+        }),
+      },
+    });
+
+    res.status(200).json({
+      isOk: true,
+      data: await getProfile(req.user.id),
+      message: "Profile updated successfully.",
+    });
+  } catch (error) {
+    console.error(`Error updating profile of user ${req.user.id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to update profile",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Replaces the profile picture of the authenticated user with the uploaded
+ * `avatar` image, cropped to the optional `crop` area and resized to squares
+ * by uploadImages().
+ * @route PUT /users/me/avatar
+ */
+exports.updateAvatar = async (req, res) => {
+  const [file] = req.files || [];
+  if (!file) {
+    return res.status(400).json({
+      isOk: false,
+      message: "An avatar image is required",
+    });
+  }
+
+  try {
+    const previous = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { profilePicture: true, profilePictureVariants: true },
+    });
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { profilePicture: file.url, profilePictureVariants: file.variants },
+    });
+
+    // The previous picture is no longer referenced
+    if (previous.profilePicture) {
+      await deleteImageFiles([
+        {
+          url: previous.profilePicture,
+          variants: previous.profilePictureVariants,
+        },
+      ]);
+    }
+
+    res.status(200).json({
+      isOk: true,
+      data: await getProfile(req.user.id),
+      message: "Profile picture updated successfully.",
+    });
+  } catch (error) {
+    console.error(`Error updating avatar of user ${req.user.id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to update profile picture",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Removes the profile picture of the authenticated user.
+ * @route DELETE /users/me/avatar
+ */
+exports.deleteAvatar = async (req, res) => {
+  try {
+    const previous = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { profilePicture: true, profilePictureVariants: true },
+    });
+
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { profilePicture: null, profilePictureVariants: Prisma.DbNull },
+    });
+
+    if (previous.profilePicture) {
+      await deleteImageFiles([
+        {
+          url: previous.profilePicture,
+          variants: previous.profilePictureVariants,
+        },
+      ]);
+    }
+
+    res.status(200).json({
+      isOk: true,
+      data: await getProfile(req.user.id),
+      message: "Profile picture removed successfully.",
+    });
+  } catch (error) {
+    console.error(`Error removing avatar of user ${req.user.id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to remove profile picture",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Changes the password of the authenticated user, given the current one.
+ * Every session is signed out; the response carries new tokens for this one.
+ * @route PUT /users/me/password
+ */
+exports.changePassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  const passwordError = validateNewPassword(newPassword);
+  if (!currentPassword || passwordError) {
+    return res.status(400).json({
+      isOk: false,
+      message: "Validation failed",
+      errors: [
+        ...(!currentPassword ? ["The current password is required"] : []),
+        ...(passwordError ? [passwordError] : []),
+      ],
+    });
+  }
+
+  try {
+    if (!(await isCurrentPassword(req.user.id, currentPassword))) {
+      return res.status(401).json({
+        status: false,
+        message: "The current password is incorrect",
+      });
+    }
+
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data: { password: await bcrypt.hash(newPassword, saltRounds) },
+      select: { id: true, role: true },
+    });
+    // A stolen refresh token must not outlive the old password
+    await revokeAllUserTokens(user.id);
+    const tokens = await issueTokens(user);
+
+    res.status(200).json({
+      isOk: true,
+      data: tokens,
+      message: "Password changed, other sessions were signed out.",
+    });
+  } catch (error) {
+    console.error(`Error changing password of user ${req.user.id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to change password",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Starts changing the email of the authenticated user, given their password.
+ * The address only changes once the link emailed to it is confirmed with
+ * confirmEmailChange.
+ * @route PUT /users/me/email
+ */
+exports.requestEmailChange = async (req, res) => {
+  const newEmail = String(req.body.newEmail || "")
+    .trim()
+    .toLowerCase();
+  const { password } = req.body;
+
+  const errors = [];
+  if (!EMAIL_PATTERN.test(newEmail))
+    errors.push("A valid newEmail is required");
+  if (!password) errors.push("Your password is required");
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      isOk: false,
+      message: "Validation failed",
+      errors,
+    });
+  }
+
+  try {
+    if (!(await isCurrentPassword(req.user.id, password))) {
+      return res.status(401).json({
+        status: false,
+        message: "The password is incorrect",
+      });
+    }
+    if (newEmail === req.user.email.toLowerCase()) {
+      return res.status(400).json({
+        isOk: false,
+        message: "This is already your email address",
+      });
+    }
+
+    const existingUser = await prisma.user.findUnique({
+      where: { email: newEmail },
+      select: { id: true },
+    });
+    if (existingUser) {
+      return res.status(409).json({
+        isOk: false,
+        message: "User with this email already exists",
+      });
+    }
+
+    const request = await createEmailChange({ user: req.user, newEmail });
+
+    res.status(202).json({
+      isOk: true,
+      data: { newEmail: request.newEmail, expiresAt: request.expiresAt },
+      message: `Confirm the change with the link sent to ${newEmail}.`,
+    });
+  } catch (error) {
+    console.error(`Error requesting email change of ${req.user.id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to request email change",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Confirms a change of email with the token emailed to the new address. Does
+ * not require signing in, the link may be opened on another device.
+ * @route POST /users/email/confirm
+ */
+exports.confirmEmailChange = async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return res.status(400).json({
+      isOk: false,
+      message: "Confirmation token is required",
+    });
+  }
+
+  try {
+    const request = await findEmailChangeByToken(token);
+
+    if (!request || request.user.deletedAt) {
+      return res.status(404).json({
+        isOk: false,
+        message: "Email change not found",
+      });
+    }
+
+    const problem = getEmailChangeProblem(request);
+    if (problem) {
+      return res.status(410).json({
+        isOk: false,
+        message: problem,
+      });
+    }
+
+    const user = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.emailChangeRequest.updateMany({
+        where: { id: request.id, confirmedAt: null, revokedAt: null },
+        data: { confirmedAt: new Date() },
+      });
+      if (count === 0) return null;
+
+      return tx.user.update({
+        where: { id: request.userId },
+        data: { email: request.newEmail },
+        select: { id: true, email: true },
+      });
+    });
+
+    if (!user) {
+      return res.status(409).json({
+        isOk: false,
+        message: "This email change was already confirmed or canceled",
+      });
+    }
+
+    await notifyEmailChanged(request.user.email, user.email);
+
+    res.status(200).json({
+      isOk: true,
+      data: user,
+      message: "Email address changed successfully.",
+    });
+  } catch (error) {
+    if (error.code === "P2002") {
+      return res.status(409).json({
+        isOk: false,
+        message: "User with this email already exists",
+      });
+    }
+    console.error("Error confirming email change:", error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to confirm email change",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Deletes the authenticated user's account, given their password. Refused
+ * while they have bookings or hire requests to honour, or sites nobody else
+ * owns. See anonymizeAccount for what is kept.
+ * @route DELETE /users/me
+ */
+exports.deleteMe = async (req, res) => {
+  const { password } = req.body;
+
+  if (!password) {
+    return res.status(400).json({
+      isOk: false,
+      message: "Your password is required to delete your account",
+    });
+  }
+
+  try {
+    if (!(await isCurrentPassword(req.user.id, password))) {
+      return res.status(401).json({
+        status: false,
+        message: "The password is incorrect",
+      });
+    }
+
+    const blockers = await getAccountDeletionBlockers(req.user);
+    if (blockers.length > 0) {
+      return res.status(409).json({
+        isOk: false,
+        message: "Your account cannot be deleted yet",
+        errors: blockers,
+      });
+    }
+
+    const previous = await anonymizeAccount(req.user);
+    if (previous.profilePicture) {
+      await deleteImageFiles([
+        {
+          url: previous.profilePicture,
+          variants: previous.profilePictureVariants,
+        },
+      ]);
+    }
+
+    res.status(200).json({
+      isOk: true,
+      message: "Your account was deleted.",
+    });
+  } catch (error) {
+    console.error(`Error deleting account of user ${req.user.id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to delete account",
+      error: error.message,
+    });
+  }
+};
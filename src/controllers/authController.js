@@ -1,6 +1,7 @@
 const { PrismaClient } = require("@prisma/client");
 const prisma = new PrismaClient();
 const bcrypt = require("bcrypt");
+const tokenService = require("../services/tokenService");
 
 exports.Login = async (req, res) => {
   console.log("Login request body:", req.body);
@@ -27,30 +28,28 @@ exports.Login = async (req, res) => {
         .status(401)
         .json({ status: false, message: "Invalid credentials" });
     }
-    // Correct way to query for touristic site admin
-    let touristicSite = null;
+    // Sites managed by a site admin, with their role on each
+    let sites = [];
     if (user.role === "SITE_ADMIN") {
-      touristicSite = await prisma.touristicSite.findFirst({
-        where: {
-          admin: {
-            userId: user.id, // Query the admin relation properly
-          },
-        },
-        include: {
-          admin: {
-            include: {
-              user: true,
-            },
-          },
-        },
+      const memberships = await prisma.siteAdminMembership.findMany({
+        where: { siteAdmin: { userId: user.id } },
+        include: { site: true },
+        orderBy: { createdAt: "asc" },
       });
+      sites = memberships.map(({ site, role }) => ({ ...site, role }));
     }
 
+    const tokens = await tokenService.issueTokens(user);
+    const { password: _, ...userWithoutPassword } = user;
+
     res.status(200).json({
       status: true,
       message: "Login successful",
-      user: user,
-      site: user.role === "SITE_ADMIN" ? touristicSite : null,
+      user: userWithoutPassword,
+      ...tokens,
+      // `site` is the first managed site, kept for older clients
+      site: sites[0] || null,
+      sites,
       isOk: true,
     });
   } catch (error) {
@@ -61,3 +60,71 @@ exports.Login = async (req, res) => {
     });
   }
 };
+
+/**
+ * Exchanges a refresh token for a new access/refresh token pair.
+ * The presented refresh token is revoked, so each one can only be used once.
+ * @route POST /users/refresh
+ */
+exports.Refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({
+        status: false,
+        message: "Refresh token is required",
+      });
+    }
+
+    const result = await tokenService.rotateRefreshToken(refreshToken);
+    if (!result) {
+      return res.status(401).json({
+        status: false,
+        message: "Invalid or expired refresh token",
+      });
+    }
+
+    res.status(200).json({
+      status: true,
+      message: "Token refreshed",
+      accessToken: result.accessToken,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn,
+    });
+  } catch (error) {
+    console.error("Refresh error:", error);
+    res.status(500).json({
+      status: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Revokes the given refresh token so it can no longer be used.
+ * @route POST /users/logout
+ */
+exports.Logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({
+        status: false,
+        message: "Refresh token is required",
+      });
+    }
+
+    await tokenService.revokeRefreshToken(refreshToken);
+
+    res.status(200).json({
+      status: true,
+      message: "Logout successful",
+    });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({
+      status: false,
+      message: "Internal server error",
+    });
+  }
+};
@@ -0,0 +1,555 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const {
+  BOOKING_TRANSITIONS,
+  calculateTotalPrice,
+  transitionBooking,
+} = require("../services/bookingService");
+const { lockEvent, getBookedSeats } = require("../services/capacityService");
+const { isScheduledOccurrence } = require("../services/scheduleService");
+const {
+  resolveCancellationPolicy,
+  getRefundPercent,
+} = require("../services/cancellationPolicyService");
+const { publishedEventFilter } = require("../services/moderationService");
+const {
+  calculateRefundAmount,
+  createRefund,
+  processRefund,
+} = require("../services/refundService");
+const { parseListQuery } = require("../services/queryService");
+
+// Payment statuses with money that can still be refunded
+const REFUNDABLE_PAYMENT_STATUSES = ["COMPLETED", "PARTIALLY_REFUNDED"];
+
+// Queries accepted by the booking lists, see parseListQuery
+const BOOKING_STATUS_FILTER = {
+  type: "enum",
+  values: Object.keys(BOOKING_TRANSITIONS),
+};
+const MY_BOOKING_LIST_QUERY = { filters: { status: BOOKING_STATUS_FILTER } };
+const MANAGED_BOOKING_LIST_QUERY = {
+  filters: { status: BOOKING_STATUS_FILTER, eventId: { type: "string" } },
+};
+
+// Relations returned with every booking
+const bookingInclude = {
+  event: {
+    select: {
+      id: true,
+      title: true,
+      price: true,
+      duration: true,
+      touristicSite: { select: { id: true, name: true, location: true } },
+    },
+  },
+  tourist: { select: { id: true, name: true, email: true } },
+  guide: {
+    select: {
+      id: true,
+      user: { select: { id: true, name: true } },
+    },
+  },
+  payment: { select: { id: true, status: true, amount: true } },
+  hireRequest: {
+    select: {
+      id: true,
+      hours: true,
+      touristicSite: { select: { id: true, name: true, location: true } },
+    },
+  },
+};
+
+/**
+ * Creates a booking for the authenticated tourist.
+ * Expects eventId, bookingDate (the start time of one of the event's scheduled
+ * occurrences) and numberOfPeople in req.body.
+ * The total price is computed from Event.price, never taken from the client,
+ * and the request is rejected if it would exceed Event.maxGroupSize for that occurrence.
+ * @route POST /bookings/create
+ */
+exports.createBooking = async (req, res) => {
+  const { eventId, bookingDate, numberOfPeople } = req.body;
+
+  const errors = [];
+  const date = new Date(bookingDate);
+  const people = parseInt(numberOfPeople, 10);
+
+  if (!eventId || String(eventId).trim().length === 0)
+    errors.push("Event ID is required");
+  if (!bookingDate || isNaN(date.getTime()))
+    errors.push("Valid booking date is required");
+  else if (date <= new Date())
+    errors.push("Booking date must be in the future");
+  if (isNaN(people) || people <= 0)
+    errors.push("Valid number of people is required");
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      isOk: false,
+      message: "Validation failed",
+      errors,
+    });
+  }
+
+  try {
+    // Only published events can be booked
+    const event = await prisma.event.findFirst({
+      where: { id: eventId, ...publishedEventFilter },
+      include: { schedules: true },
+    });
+
+    if (!event) {
+      return res.status(404).json({
+        isOk: false,
+        message: "Event not found",
+      });
+    }
+
+    if (!isScheduledOccurrence(event.schedules, date)) {
+      return res.status(400).json({
+        isOk: false,
+        message:
+          "Booking date must be one of the event's scheduled occurrences",
+      });
+    }
+
+    // Lock the event row so two concurrent bookings cannot both take the last seats
+    const result = await prisma.$transaction(async (tx) => {
+      await lockEvent(tx, event.id);
+
+      const bookedSeats = await getBookedSeats(tx, event.id, date);
+      const remainingSeats = event.maxGroupSize - bookedSeats;
+      if (people > remainingSeats) {
+        return { remainingSeats: Math.max(remainingSeats, 0) };
+      }
+
+      const booking = await tx.booking.create({
+        data: {
+          tourist: { connect: { id: req.user.id } },
+          event: { connect: { id: event.id } },
+          ...(event.guideId && { guide: { connect: { id: event.guideId } } }),
+          bookingDate: date,
+          numberOfPeople: people,
+          totalPrice: calculateTotalPrice(event.price, people),
+          // Cancellations follow the policy the tourist booked under
+          cancellationPolicy: resolveCancellationPolicy(
+            event.cancellationPolicy
+          ),
+        },
+        include: bookingInclude,
+      });
+      return { booking };
+    });
+
+    if (!result.booking) {
+      return res.status(409).json({
+        isOk: false,
+        message: `Not enough seats left for this occurrence. Remaining seats: ${result.remainingSeats}`,
+        remainingSeats: result.remainingSeats,
+      });
+    }
+
+    const { booking } = result;
+
+    res.status(201).json({
+      isOk: true,
+      data: booking,
+      message: "Booking created successfully.",
+    });
+  } catch (error) {
+    console.error("Error creating booking:", error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to create booking",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Lists the authenticated tourist's bookings.
+ * Query parameters: page, limit, status
+ * @route GET /bookings/my
+ */
+exports.getMyBookings = async (req, res) => {
+  const { page, limit, skip, filters, errors } = parseListQuery(
+    req.query,
+    MY_BOOKING_LIST_QUERY
+  );
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      isOk: false,
+      message: "Invalid query parameters",
+      errors,
+    });
+  }
+
+  try {
+    const where = { touristId: req.user.id };
+    if (filters.status) where.status = filters.status;
+
+    const [totalBookings, bookings] = await Promise.all([
+      prisma.booking.count({ where }),
+      prisma.booking.findMany({
+        where,
+        include: bookingInclude,
+        orderBy: { bookingDate: "desc" },
+        skip,
+        take: limit,
+      }),
+    ]);
+
+    const totalPages = Math.ceil(totalBookings / limit);
+
+    res.status(200).json({
+      isOk: true,
+      bookings,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalBookings,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1,
+      },
+      message: "Bookings fetched successfully.",
+    });
+  } catch (error) {
+    console.error("Error fetching bookings:", error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to fetch bookings",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Lists bookings on the events run by the authenticated guide or site admin.
+ * Query parameters: page, limit, status, eventId
+ * @route GET /bookings/managed
+ */
+exports.getManagedBookings = async (req, res) => {
+  const { page, limit, skip, filters, errors } = parseListQuery(
+    req.query,
+    MANAGED_BOOKING_LIST_QUERY
+  );
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      isOk: false,
+      message: "Invalid query parameters",
+      errors,
+    });
+  }
+
+  try {
+    const where = {};
+    if (req.user.role === "GUIDE") {
+      // Bookings of their events, and private hires
+      where.OR = [
+        { guideId: req.user.guideId },
+        { event: { guideId: req.user.guideId } },
+      ];
+    } else if (req.user.role === "SITE_ADMIN") {
+      // Bookings of their events and of any event at the sites they manage
+      where.event = {
+        OR: [
+          { siteAdminId: req.user.siteAdminId },
+          { touristicSiteId: { in: Object.keys(req.user.siteRoles) } },
+        ],
+      };
+    }
+    if (filters.status) where.status = filters.status;
+    if (filters.eventId) where.eventId = filters.eventId;
+
+    const [totalBookings, bookings] = await Promise.all([
+      prisma.booking.count({ where }),
+      prisma.booking.findMany({
+        where,
+        include: bookingInclude,
+        orderBy: { bookingDate: "asc" },
+        skip,
+        take: limit,
+      }),
+    ]);
+
+    const totalPages = Math.ceil(totalBookings / limit);
+
+    res.status(200).json({
+      isOk: true,
+      bookings,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalBookings,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1,
+      },
+      message: "Bookings fetched successfully.",
+    });
+  } catch (error) {
+    console.error("Error fetching managed bookings:", error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to fetch bookings",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Retrieves a single booking by ID.
+ * @route GET /bookings/:id
+ */
+exports.getBookingById = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const booking = await prisma.booking.findUnique({
+      where: { id },
+      include: bookingInclude,
+    });
+
+    if (!booking) {
+      return res.status(404).json({
+        isOk: false,
+        message: "Booking not found.",
+      });
+    }
+
+    res.status(200).json({
+      isOk: true,
+      data: booking,
+      message: "Booking fetched successfully.",
+    });
+  } catch (error) {
+    console.error(`Error fetching booking with ID ${id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to fetch booking",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Builds a handler that moves the booking in req.params.id to the given status.
+ * @param {string} status - Target BookingStatus
+ * @param {string} successMessage
+ */
+const changeBookingStatus = (status, successMessage) => async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (status === "COMPLETED") {
+      const existing = await prisma.booking.findUnique({ where: { id } });
+      if (existing && existing.bookingDate > new Date()) {
+        return res.status(400).json({
+          isOk: false,
+          message: "A booking cannot be completed before its booking date",
+        });
+      }
+    }
+
+    const result = await transitionBooking(id, status);
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        isOk: false,
+        message: result.error,
+      });
+    }
+
+    const booking = await prisma.booking.findUnique({
+      where: { id },
+      include: bookingInclude,
+    });
+
+    res.status(200).json({
+      isOk: true,
+      data: booking,
+      message: successMessage,
+    });
+  } catch (error) {
+    console.error(`Error changing booking ${id} to ${status}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to update booking",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Confirms a pending booking (guide or site admin of the event).
+ * @route PUT /bookings/:id/confirm
+ */
+exports.confirmBooking = changeBookingStatus(
+  "CONFIRMED",
+  "Booking confirmed successfully."
+);
+
+/**
+ * Marks a confirmed booking as completed once its date has passed.
+ * @route PUT /bookings/:id/complete
+ */
+exports.completeBooking = changeBookingStatus(
+  "COMPLETED",
+  "Booking completed successfully."
+);
+
+/**
+ * Works out what cancelling a booking now would refund.
+ * Tourists are refunded following the cancellation policy copied onto the
+ * booking when it was made; when the guide, site admin or a super admin
+ * cancels, the tourist gets everything back.
+ * @param {object} booking - Booking with its event and payment
+ * @param {object} user - req.user
+ * @returns {Promise<{ refundPercent: number, refundAmount: object|null, payment: object|null }>}
+ */
+const quoteCancellation = async (booking, user) => {
+  const refundPercent =
+    user.id === booking.touristId
+      ? getRefundPercent(booking.cancellationPolicy, booking.bookingDate)
+      : 100;
+
+  const payment = booking.payment;
+  if (!payment || !REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) {
+    return { refundPercent, refundAmount: null, payment: null };
+  }
+
+  return {
+    refundPercent,
+    refundAmount: await calculateRefundAmount(payment, refundPercent),
+    payment,
+  };
+};
+
+/**
+ * Previews the refund the user would get by cancelling the booking now.
+ * @route GET /bookings/:id/cancellation-quote
+ */
+exports.getCancellationQuote = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const booking = await prisma.booking.findUnique({
+      where: { id },
+      include: { event: true, payment: true },
+    });
+
+    if (!booking) {
+      return res.status(404).json({
+        isOk: false,
+        message: "Booking not found.",
+      });
+    }
+
+    const { refundPercent, refundAmount } = await quoteCancellation(
+      booking,
+      req.user
+    );
+
+    res.status(200).json({
+      isOk: true,
+      data: {
+        bookingId: booking.id,
+        status: booking.status,
+        refundPercent,
+        refundAmount,
+      },
+      message: "Cancellation quote computed successfully.",
+    });
+  } catch (error) {
+    console.error(`Error quoting cancellation for booking ${id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to compute cancellation quote",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Cancels a pending or confirmed booking (tourist, guide or site admin).
+ * If the booking was paid, the refundable amount is refunded against the payment.
+ * Expects an optional reason in req.body.
+ * @route PUT /bookings/:id/cancel
+ */
+exports.cancelBooking = async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  try {
+    const booking = await prisma.booking.findUnique({
+      where: { id },
+      include: { event: true, payment: true },
+    });
+
+    if (!booking) {
+      return res.status(404).json({
+        isOk: false,
+        message: "Booking not found",
+      });
+    }
+
+    // Quote before cancelling, the policy depends on the time left
+    const quote = await quoteCancellation(booking, req.user);
+
+    // The refund is recorded with the cancellation, then sent to the provider
+    const { error, statusCode, refund } = await prisma.$transaction(
+      async (tx) => {
+        const result = await transitionBooking(id, "CANCELED", tx, {
+          canceledAt: new Date(),
+          cancellationReason: reason || null,
+        });
+        if (result.error || !quote.payment || !quote.refundAmount.gt(0)) {
+          return result;
+        }
+
+        return {
+          refund: await createRefund(
+            {
+              payment: quote.payment,
+              amount: quote.refundAmount,
+              reason: reason || "Booking canceled",
+              initiatedById: req.user.id,
+            },
+            tx
+          ),
+        };
+      }
+    );
+    if (error) {
+      return res.status(statusCode).json({
+        isOk: false,
+        message: error,
+      });
+    }
+
+    const sentRefund = refund
+      ? await processRefund(refund, quote.payment)
+      : null;
+
+    const canceled = await prisma.booking.findUnique({
+      where: { id },
+      include: bookingInclude,
+    });
+
+    res.status(200).json({
+      isOk: true,
+      data: canceled,
+      refund: sentRefund,
+      refundPercent: quote.refundPercent,
+      message: "Booking canceled successfully.",
+    });
+  } catch (error) {
+    console.error(`Error canceling booking ${id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to cancel booking",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,288 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const {
+  conversationInclude,
+  validateMessageText,
+  getOrCreateConversation,
+  createMessage,
+  getUnreadCounts,
+} = require("../services/chatService");
+const { emitToUsers, notifyRead } = require("../sockets/chatSocket");
+const { parseListQuery } = require("../services/queryService");
+const { activeGuideFilter } = require("../services/accountService");
+
+// Query accepted by the message history, see parseListQuery
+const MESSAGE_LIST_QUERY = { defaultLimit: 30 };
+
+/**
+ * Lists the authenticated user's conversations, most recently active first,
+ * with their last message and unread count.
+ * @route GET /chat/conversations
+ */
+exports.getConversations = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const conversations = await prisma.conversation.findMany({
+      where: { OR: [{ touristId: userId }, { guideId: userId }] },
+      include: {
+        ...conversationInclude,
+        messages: { orderBy: { sentAt: "desc" }, take: 1 },
+      },
+      orderBy: { updatedAt: "desc" },
+    });
+
+    const unreadCounts = await getUnreadCounts(
+      userId,
+      conversations.map((conversation) => conversation.id)
+    );
+
+    res.status(200).json({
+      isOk: true,
+      conversations: conversations.map(({ messages, ...conversation }) => ({
+        ...conversation,
+        lastMessage: messages[0] || null,
+        unreadCount: unreadCounts[conversation.id] || 0,
+      })),
+      message: "Conversations fetched successfully.",
+    });
+  } catch (error) {
+    console.error("Error fetching conversations:", error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to fetch conversations",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Opens (or returns the existing) conversation between the authenticated
+ * tourist and a guide.
+ * Expects guideId (TouristGuide id) in req.body.
+ * @route POST /chat/conversations
+ */
+exports.startConversation = async (req, res) => {
+  const { guideId } = req.body;
+
+  if (!guideId) {
+    return res.status(400).json({
+      isOk: false,
+      message: "Guide ID is required",
+    });
+  }
+
+  try {
+    const guide = await prisma.touristGuide.findFirst({
+      where: { id: guideId, ...activeGuideFilter },
+      select: { userId: true },
+    });
+
+    if (!guide) {
+      return res.status(404).json({
+        isOk: false,
+        message: "Guide not found",
+      });
+    }
+
+    const conversation = await getOrCreateConversation(
+      req.user.id,
+      guide.userId
+    );
+
+    res.status(200).json({
+      isOk: true,
+      data: conversation,
+      message: "Conversation ready.",
+    });
+  } catch (error) {
+    console.error("Error starting conversation:", error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to start conversation",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Pages through the messages of a conversation, newest first.
+ * Query parameters: page, limit
+ * @route GET /chat/conversations/:id/messages
+ */
+exports.getMessages = async (req, res) => {
+  const { id } = req.params;
+  const { page, limit, skip, errors } = parseListQuery(
+    req.query,
+    MESSAGE_LIST_QUERY
+  );
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      isOk: false,
+      message: "Invalid query parameters",
+      errors,
+    });
+  }
+
+  try {
+    const conversation = await prisma.conversation.findUnique({
+      where: { id },
+      select: { id: true },
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        isOk: false,
+        message: "Conversation not found",
+      });
+    }
+
+    const [totalMessages, messages] = await Promise.all([
+      prisma.message.count({ where: { conversationId: id } }),
+      prisma.message.findMany({
+        where: { conversationId: id },
+        orderBy: { sentAt: "desc" },
+        skip,
+        take: limit,
+      }),
+    ]);
+
+    const totalPages = Math.ceil(totalMessages / limit);
+
+    res.status(200).json({
+      isOk: true,
+      messages,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalMessages,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1,
+      },
+      message: "Messages fetched successfully.",
+    });
+  } catch (error) {
+    console.error(`Error fetching messages of conversation ${id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to fetch messages",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Sends a message in a conversation and delivers it to connected sockets.
+ * Expects text in req.body.
+ * @route POST /chat/conversations/:id/messages
+ */
+exports.sendMessage = async (req, res) => {
+  const { id } = req.params;
+  const { text } = req.body;
+
+  const validationError = validateMessageText(text);
+  if (validationError) {
+    return res.status(400).json({
+      isOk: false,
+      message: validationError,
+    });
+  }
+
+  try {
+    const conversation = await prisma.conversation.findUnique({
+      where: { id },
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        isOk: false,
+        message: "Conversation not found",
+      });
+    }
+
+    const message = await createMessage({
+      conversationId: id,
+      senderId: req.user.id,
+      text,
+    });
+
+    emitToUsers([conversation.touristId, conversation.guideId], {
+      type: "message",
+      message,
+    });
+
+    res.status(201).json({
+      isOk: true,
+      data: message,
+      message: "Message sent successfully.",
+    });
+  } catch (error) {
+    console.error(`Error sending message in conversation ${id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to send message",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Marks the messages received in a conversation as read.
+ * @route PUT /chat/conversations/:id/read
+ */
+exports.markAsRead = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const conversation = await prisma.conversation.findUnique({
+      where: { id },
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        isOk: false,
+        message: "Conversation not found",
+      });
+    }
+
+    const messageIds = await notifyRead(conversation, req.user.id);
+
+    res.status(200).json({
+      isOk: true,
+      data: { conversationId: id, messageIds },
+      message: "Conversation marked as read.",
+    });
+  } catch (error) {
+    console.error(`Error marking conversation ${id} as read:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to mark conversation as read",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Unread message counts of the authenticated user, in total and per conversation.
+ * @route GET /chat/unread
+ */
+exports.getUnreadCount = async (req, res) => {
+  try {
+    const unreadCounts = await getUnreadCounts(req.user.id);
+    const total = Object.values(unreadCounts).reduce((a, b) => a + b, 0);
+
+    res.status(200).json({
+      isOk: true,
+      data: { total, conversations: unreadCounts },
+      message: "Unread counts fetched successfully.",
+    });
+  } catch (error) {
+    console.error("Error fetching unread counts:", error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to fetch unread counts",
+      error: error.message,
+    });
+  }
+};
@@ -1,48 +1,72 @@
 // --- Enhanced Event Controller Functions ---
-const path = require("path");
-const fs = require("fs");
 const { PrismaClient } = require("@prisma/client");
 const prisma = new PrismaClient();
-/**
- * Helper function to get web-accessible URL for uploaded image
- * @param {string} filename - The filename from multer
- * @returns {string} - Web-accessible URL
- */
-const getImageUrl = (filename) => {
-  // Assuming your multer saves files to 'uploads/events/' directory
-  // and they're served statically from '/uploads/events/' route
-  return `/uploads/events/${filename}`;
-};
-
-/**
- * Helper function to get file system path from web URL
- * @param {string} url - The web URL of the image
- * @returns {string} - File system path
- */
-const getFilePath = (url) => {
-  // Extract filename from URL and construct full path
-  const filename = path.basename(url);
-  return path.join(__dirname, "..", "uploads", "events", filename);
-};
+const {
+  getAvailability,
+  findEventsWithSeats,
+} = require("../services/capacityService");
+const {
+  parseSchedules,
+  getUpcomingOccurrences,
+  expandOccurrences,
+  scheduleRangeFilter,
+  UPCOMING_WINDOW_DAYS,
+} = require("../services/scheduleService");
+const {
+  DEFAULT_CANCELLATION_POLICY,
+  parseCancellationPolicy,
+} = require("../services/cancellationPolicyService");
+const {
+  parsePointQuery,
+  findSitesNear,
+  MAX_MAP_FEATURES,
+  parseMapQuery,
+  boundingBoxFilter,
+  toPointFeature,
+  clusterFeatures,
+} = require("../services/geoService");
+const { parseListQuery, rangeFilter } = require("../services/queryService");
+const { BOOKING_TRANSITIONS } = require("../services/bookingService");
+const {
+  publishedEventFilter,
+  canSeeUnpublishedEvent,
+  resubmitAfterEdit,
+} = require("../services/moderationService");
+const { deleteImageFiles, thumbnailUrl } = require("../services/mediaService");
+const {
+  IMAGE_ORDER,
+  COVER_FIRST_ORDER,
+  parseListField,
+  parseNewImageDetails,
+  newImagesData,
+  applyImageChanges,
+} = require("../services/imageGalleryService");
+const { activeGuideFilter } = require("../services/accountService");
+
+// Longest range the availability endpoint will report on
+const MAX_AVAILABILITY_DAYS = 90;
+
+// Longest from/to range accepted when filtering events by occurrence date
+const MAX_OCCURRENCE_FILTER_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
- * Helper function to delete a file
- * @param {string} filePath - Path to the file to delete
+ * Parses a from/to query parameter. A bare "YYYY-MM-DD" used as the end of a
+ * range covers the whole day.
+ * @param {string} value
+ * @param {boolean} [isRangeEnd=false]
+ * @returns {Date}
  */
-const deleteFile = (filePath) => {
-  try {
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-      console.log(`File deleted: ${filePath}`);
-    }
-  } catch (error) {
-    console.error(`Error deleting file ${filePath}:`, error);
-  }
-};
+const parseDateParam = (value, isRangeEnd = false) =>
+  isRangeEnd && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T23:59:59.999Z`)
+    : new Date(value);
 
 /**
  * Creates a new event.
- * Expects event details in req.body and uploaded image files in req.files (from Multer).
+ * Expects event details in req.body and uploaded image files in req.files (from Multer),
+ * optionally with req.body.imageDetails: [{ caption, altText, isCover }] per file.
  * Required role: SITE_ADMIN or GUIDE (based on your schema, siteAdminId or guideId must be present)
  */
 exports.createEvent = async (req, res) => {
@@ -53,11 +77,21 @@ exports.createEvent = async (req, res) => {
     duration,
     maxGroupSize,
     touristicSiteId,
-    siteAdminId, // Optional, but expected for SiteAdmin created events
-    guideId, // Optional, but expected for Guide created events
+    siteAdminId: requestedSiteAdminId, // Only honoured for SUPER_ADMIN
+    guideId: requestedGuideId, // Only honoured for SUPER_ADMIN
+    schedules, // Optional array (or JSON string) of schedule rules
+    imageDetails, // Optional array (or JSON string), one entry per image
   } = req.body;
 
-  // Multer populates req.files for upload.array()
+  // Guides and site admins always create events as themselves,
+  // only a super admin may create an event on someone else's behalf.
+  const isSuperAdmin = req.user.role === "SUPER_ADMIN";
+  const siteAdminId = isSuperAdmin
+    ? requestedSiteAdminId
+    : req.user.siteAdminId;
+  const guideId = isSuperAdmin ? requestedGuideId : req.user.guideId;
+
+  // uploadImages() populates req.files, each file with the url to store
   const files = req.files || [];
 
   // Enhanced validation
@@ -84,12 +118,27 @@ exports.createEvent = async (req, res) => {
     errors.push("Either site admin ID or guide ID is required");
   }
 
-  if (errors.length > 0) {
-    // Clean up uploaded files if validation fails
-    if (files.length > 0) {
-      files.forEach((file) => deleteFile(file.path));
-    }
+  // Site admins only create events at the sites they manage
+  if (
+    req.user.role === "SITE_ADMIN" &&
+    touristicSiteId &&
+    !req.user.siteRoles[touristicSiteId]
+  ) {
+    errors.push("You can only create events at sites you manage");
+  }
+
+  const { schedules: parsedSchedules, errors: scheduleErrors } = schedules
+    ? parseSchedules(schedules)
+    : { schedules: [], errors: [] };
+  errors.push(...scheduleErrors);
 
+  const { details, errors: imageErrors } = parseNewImageDetails(
+    imageDetails,
+    files.length
+  );
+  errors.push(...imageErrors);
+
+  if (errors.length > 0) {
     return res.status(400).json({
       isOk: false,
       message: "Validation failed",
@@ -104,11 +153,6 @@ exports.createEvent = async (req, res) => {
     });
 
     if (!touristicSite) {
-      // Clean up uploaded files
-      if (files.length > 0) {
-        files.forEach((file) => deleteFile(file.path));
-      }
-
       return res.status(404).json({
         isOk: false,
         message: "Touristic site not found",
@@ -122,10 +166,6 @@ exports.createEvent = async (req, res) => {
       });
 
       if (!siteAdmin) {
-        if (files.length > 0) {
-          files.forEach((file) => deleteFile(file.path));
-        }
-
         return res.status(404).json({
           isOk: false,
           message: "Site admin not found",
@@ -135,15 +175,11 @@ exports.createEvent = async (req, res) => {
 
     // Verify guide exists if provided
     if (guideId) {
-      const guide = await prisma.touristGuide.findUnique({
-        where: { id: guideId },
+      const guide = await prisma.touristGuide.findFirst({
+        where: { id: guideId, ...activeGuideFilter },
       });
 
       if (!guide) {
-        if (files.length > 0) {
-          files.forEach((file) => deleteFile(file.path));
-        }
-
         return res.status(404).json({
           isOk: false,
           message: "Guide not found",
@@ -159,18 +195,22 @@ exports.createEvent = async (req, res) => {
         duration: parseInt(duration, 10),
         maxGroupSize: parseInt(maxGroupSize, 10),
         touristicSite: { connect: { id: touristicSiteId } },
+        // New events wait for a SUPER_ADMIN to approve them
+        submittedAt: new Date(),
         ...(siteAdminId && { siteAdmin: { connect: { id: siteAdminId } } }),
         ...(guideId && { guide: { connect: { id: guideId } } }),
         ...(files.length > 0 && {
           images: {
-            create: files.map((file) => ({
-              url: getImageUrl(file.filename), // Store web-accessible path
-            })),
+            create: newImagesData(files, details, { withCover: true }),
           },
         }),
+        ...(parsedSchedules.length > 0 && {
+          schedules: { create: parsedSchedules },
+        }),
       },
       include: {
-        images: true,
+        images: { orderBy: IMAGE_ORDER },
+        schedules: true,
         touristicSite: { select: { name: true, location: true } },
         siteAdmin: { select: { id: true, user: { select: { name: true } } } },
         guide: { select: { id: true, user: { select: { name: true } } } },
@@ -185,11 +225,6 @@ exports.createEvent = async (req, res) => {
   } catch (error) {
     console.error("Error creating event:", error);
 
-    // If event creation fails, clean up any uploaded files
-    if (files.length > 0) {
-      files.forEach((file) => deleteFile(file.path));
-    }
-
     res.status(500).json({
       isOk: false,
       message: "Failed to create event",
@@ -198,61 +233,225 @@ exports.createEvent = async (req, res) => {
   }
 };
 
+// Query accepted by GET /events/:id/bookings, see parseListQuery
+const EVENT_BOOKING_LIST_QUERY = {
+  filters: {
+    status: { type: "enum", values: Object.keys(BOOKING_TRANSITIONS) },
+  },
+};
+
+// Query accepted by GET /events/all, see parseListQuery
+const EVENT_LIST_QUERY = {
+  sortFields: [
+    "createdAt",
+    "updatedAt",
+    "title",
+    "price",
+    "duration",
+    "maxGroupSize",
+  ],
+  defaultSortBy: "createdAt",
+  defaultSortOrder: "desc",
+  filters: {
+    search: { type: "string" },
+    // Publication status, kept for older clients; only PUBLISHED matches here
+    status: {
+      type: "enum",
+      values: ["DRAFT", "PENDING_REVIEW", "PUBLISHED", "SUSPENDED"],
+    },
+    siteId: { type: "string" },
+    adminId: { type: "string" },
+    guideId: { type: "string" },
+    minPrice: { type: "number", min: 0 },
+    maxPrice: { type: "number", min: 0 },
+    minDuration: { type: "integer", min: 0 },
+    maxDuration: { type: "integer", min: 0 },
+    from: { type: "date" },
+    to: { type: "date", endOfDay: true },
+    availableOn: { type: "date" },
+    people: { type: "integer", min: 1 },
+    lat: { type: "number" },
+    lng: { type: "number" },
+    radius: { type: "number" },
+  },
+  ranges: [
+    ["minPrice", "maxPrice"],
+    ["minDuration", "maxDuration"],
+  ],
+};
+
 /**
  * Retrieves all events with optional filtering and pagination.
- * Query parameters: page, limit, search, status, siteId, adminId, guideId
+ * Query parameters: page, limit, sortBy (createdAt, updatedAt, title, price,
+ * duration, maxGroupSize), sortOrder, search, status, siteId, adminId, guideId,
+ * minPrice, maxPrice, minDuration (minutes), maxDuration,
+ * from, to (only events with an occurrence in that range),
+ * availableOn (a day with an occurrence that still has `people` seats free,
+ * default 1), lat, lng, radius (only events at sites within radius km of the
+ * point, the nearest MAX_NEARBY_RESULTS sites at most)
+ * Invalid or unknown parameters are rejected with a 400 listing the problems.
+ * Each event carries its next few upcomingOccurrences, and its distanceKm
+ * when filtering by distance.
  */
 exports.getAllEvents = async (req, res) => {
+  const { page, limit, skip, sortBy, sortOrder, filters, errors } =
+    parseListQuery(req.query, EVENT_LIST_QUERY);
+  const take = limit;
+
+  // Optional occurrence date range
+  let occurrenceRange = null;
+  if (filters.availableOn) {
+    if (filters.from || filters.to) {
+      errors.push("availableOn cannot be combined with from or to");
+    }
+    const day = filters.availableOn.toISOString().slice(0, 10);
+    occurrenceRange = {
+      from: new Date(`${day}T00:00:00.000Z`),
+      to: new Date(`${day}T23:59:59.999Z`),
+    };
+  } else if (filters.from || filters.to) {
+    const rangeFrom = filters.from || new Date();
+    const rangeTo =
+      filters.to ||
+      new Date(rangeFrom.getTime() + UPCOMING_WINDOW_DAYS * DAY_MS);
+
+    if (rangeTo < rangeFrom) {
+      errors.push("The to date must not be before the from date");
+    } else if (rangeTo - rangeFrom > MAX_OCCURRENCE_FILTER_DAYS * DAY_MS) {
+      errors.push(
+        `The date range can span at most ${MAX_OCCURRENCE_FILTER_DAYS} days`
+      );
+    }
+    occurrenceRange = { from: rangeFrom, to: rangeTo };
+  }
+  if (filters.people && !filters.availableOn) {
+    errors.push("people can only be used with availableOn");
+  }
+
+  // Optional distance filter on the event's touristic site
+  let point = null;
+  if (filters.lat !== undefined || filters.lng !== undefined) {
+    const parsed = parsePointQuery(req.query);
+    if (parsed.error) errors.push(parsed.error);
+    point = parsed.point;
+  } else if (filters.radius !== undefined) {
+    errors.push("radius can only be used with lat and lng");
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      isOk: false,
+      message: "Invalid query parameters",
+      errors,
+    });
+  }
+
   try {
-    const {
-      page = 1,
-      limit = 10,
-      search,
-      status,
-      siteId,
-      adminId,
-      guideId,
-      sortBy = "createdAt",
-      sortOrder = "desc",
-    } = req.query;
-
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    const take = parseInt(limit);
-
-    // Build where clause for filtering
-    const where = {};
+    const { search, status, siteId, adminId, guideId } = filters;
+
+    // Build where clause for filtering, the public only sees published events
+    const where = { ...publishedEventFilter };
+    if (status) where.AND = [{ status }];
 
     if (search) {
+      // MySQL collations are case-insensitive, Prisma has no `mode` there
       where.OR = [
-        { title: { contains: search, mode: "insensitive" } },
-        { description: { contains: search, mode: "insensitive" } },
-        { touristicSite: { name: { contains: search, mode: "insensitive" } } },
+        { title: { contains: search } },
+        { description: { contains: search } },
+        { touristicSite: { name: { contains: search } } },
       ];
     }
 
     if (siteId) where.touristicSiteId = siteId;
+
+    let distanceBySite = null;
+    if (point) {
+      const nearbySites = await findSitesNear(point);
+      distanceBySite = new Map(
+        nearbySites.map((site) => [site.id, site.distanceKm])
+      );
+      const siteIds = [...distanceBySite.keys()];
+      where.touristicSiteId = {
+        in: siteId ? siteIds.filter((id) => id === siteId) : siteIds,
+      };
+    }
+
     if (adminId) where.siteAdminId = adminId;
     if (guideId) where.guideId = guideId;
 
-    // Get total count for pagination
-    const totalEvents = await prisma.event.count({ where });
+    const price = rangeFilter(filters.minPrice, filters.maxPrice);
+    if (price) where.price = price;
+    const duration = rangeFilter(filters.minDuration, filters.maxDuration);
+    if (duration) where.duration = duration;
+
+    let totalEvents;
+    let pageQuery;
+
+    if (occurrenceRange) {
+      // Recurrences can only be matched exactly in code, so narrow the
+      // candidates in the database and paginate the ids that really match
+      const candidates = await prisma.event.findMany({
+        where: {
+          ...where,
+          ...scheduleRangeFilter(occurrenceRange.from, occurrenceRange.to),
+        },
+        select: { id: true, maxGroupSize: true, schedules: true },
+        orderBy: { [sortBy]: sortOrder },
+      });
+
+      let matchingIds;
+      if (filters.availableOn) {
+        const withSeats = await findEventsWithSeats(
+          candidates,
+          occurrenceRange.from,
+          occurrenceRange.to,
+          filters.people || 1
+        );
+        matchingIds = candidates
+          .filter((event) => withSeats.has(event.id))
+          .map((event) => event.id);
+      } else {
+        matchingIds = candidates
+          .filter(
+            (event) =>
+              expandOccurrences(
+                event.schedules,
+                occurrenceRange.from,
+                occurrenceRange.to,
+                1
+              ).length > 0
+          )
+          .map((event) => event.id);
+      }
+
+      totalEvents = matchingIds.length;
+      pageQuery = {
+        where: { id: { in: matchingIds.slice(skip, skip + take) } },
+      };
+    } else {
+      // Get total count for pagination
+      totalEvents = await prisma.event.count({ where });
+      pageQuery = { where, skip, take };
+    }
 
     const events = await prisma.event.findMany({
-      where,
+      ...pageQuery,
       include: {
         images: {
-          select: { id: true, url: true },
-        },
-        touristicSite: {
-          select: { id: true, name: true, location: true },
-        },
-        bookings: {
           select: {
             id: true,
-            status: true,
-            numberOfPeople: true,
-            tourist: { select: { id: true, name: true } },
+            url: true,
+            variants: true,
+            position: true,
+            isCover: true,
+            caption: true,
+            altText: true,
           },
+          orderBy: IMAGE_ORDER,
+        },
+        schedules: true,
+        touristicSite: {
+          select: { id: true, name: true, location: true },
         },
         siteAdmin: {
           select: {
@@ -270,13 +469,18 @@ exports.getAllEvents = async (req, res) => {
       orderBy: {
         [sortBy]: sortOrder,
       },
-      skip,
-      take,
     });
 
     // Format events for frontend compatibility
     const formattedEvents = events.map((event) => ({
       ...event,
+      upcomingOccurrences: getUpcomingOccurrences(event.schedules, {
+        ...occurrenceRange,
+        limit: 5,
+      }).map((date) => date.toISOString()),
+      ...(distanceBySite && {
+        distanceKm: distanceBySite.get(event.touristicSiteId),
+      }),
       createdAt: event.createdAt.toISOString(),
       updatedAt: event.updatedAt.toISOString(),
     }));
@@ -287,11 +491,11 @@ exports.getAllEvents = async (req, res) => {
       isOk: true,
       events: formattedEvents,
       pagination: {
-        currentPage: parseInt(page),
+        currentPage: page,
         totalPages,
         totalEvents,
-        hasNextPage: parseInt(page) < totalPages,
-        hasPreviousPage: parseInt(page) > 1,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1,
       },
       message: "Events fetched successfully.",
     });
@@ -306,7 +510,135 @@ exports.getAllEvents = async (req, res) => {
 };
 
 /**
- * Retrieves a single event by ID.
+ * Exports events with an occurrence in a date range as a GeoJSON
+ * FeatureCollection, each placed at its touristic site.
+ * Query parameters: siteId, guideId, category (of the site), from, to
+ * (defaults to the upcoming window), minLat, minLng, maxLat, maxLng
+ * (optional box), zoom (clusters nearby events at that zoom level)
+ * @route GET /events/geojson
+ */
+exports.getEventsGeoJson = async (req, res) => {
+  const { siteId, guideId, category, from, to } = req.query;
+  const { box, zoom, error } = parseMapQuery(req.query);
+
+  if (error) {
+    return res.status(400).json({
+      isOk: false,
+      message: error,
+    });
+  }
+
+  const rangeFrom = from ? parseDateParam(from) : new Date();
+  const rangeTo = to
+    ? parseDateParam(to, true)
+    : new Date(rangeFrom.getTime() + UPCOMING_WINDOW_DAYS * DAY_MS);
+
+  if (
+    isNaN(rangeFrom.getTime()) ||
+    isNaN(rangeTo.getTime()) ||
+    rangeTo < rangeFrom ||
+    rangeTo - rangeFrom > MAX_OCCURRENCE_FILTER_DAYS * DAY_MS
+  ) {
+    return res.status(400).json({
+      isOk: false,
+      message: `from and to must be valid dates at most ${MAX_OCCURRENCE_FILTER_DAYS} days apart`,
+    });
+  }
+
+  try {
+    const events = await prisma.event.findMany({
+      where: {
+        ...(siteId && { touristicSiteId: siteId }),
+        ...(guideId && { guideId }),
+        status: "PUBLISHED",
+        touristicSite: {
+          status: "PUBLISHED",
+          latitude: { not: null },
+          longitude: { not: null },
+          ...(category && { category }),
+          ...(box && boundingBoxFilter(box)),
+        },
+        ...scheduleRangeFilter(rangeFrom, rangeTo),
+      },
+      select: {
+        id: true,
+        title: true,
+        price: true,
+        duration: true,
+        schedules: true,
+        images: {
+          select: { url: true, variants: true },
+          orderBy: COVER_FIRST_ORDER,
+          take: 1,
+        },
+        touristicSite: {
+          select: {
+            id: true,
+            name: true,
+            category: true,
+            latitude: true,
+            longitude: true,
+            images: {
+              select: { url: true, variants: true },
+              orderBy: COVER_FIRST_ORDER,
+              take: 1,
+            },
+          },
+        },
+      },
+      orderBy: { createdAt: "desc" },
+    });
+
+    const features = [];
+    for (const event of events) {
+      const [nextOccurrence] = expandOccurrences(
+        event.schedules,
+        rangeFrom,
+        rangeTo,
+        1
+      );
+      if (!nextOccurrence) continue;
+
+      const site = event.touristicSite;
+      const image = event.images[0] || site.images[0];
+      features.push(
+        toPointFeature(site.latitude, site.longitude, {
+          id: event.id,
+          title: event.title,
+          price: Number(event.price),
+          duration: event.duration,
+          category: site.category,
+          site: { id: site.id, name: site.name },
+          thumbnail: image ? thumbnailUrl(image) : null,
+          nextOccurrence: nextOccurrence.toISOString(),
+        })
+      );
+    }
+
+    const mapFeatures = features.slice(0, MAX_MAP_FEATURES);
+
+    res
+      .status(200)
+      .type("application/geo+json")
+      .json({
+        type: "FeatureCollection",
+        features:
+          zoom === null ? mapFeatures : clusterFeatures(mapFeatures, zoom),
+        // More events than exported, the client should zoom in
+        truncated: features.length > MAX_MAP_FEATURES,
+      });
+  } catch (error) {
+    console.error("Error exporting events as GeoJSON:", error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to export events",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Retrieves a single event by ID, with its schedules and next upcomingOccurrences.
  */
 exports.getEventById = async (req, res) => {
   const { id } = req.params;
@@ -323,7 +655,8 @@ exports.getEventById = async (req, res) => {
     const event = await prisma.event.findUnique({
       where: { id },
       include: {
-        images: true,
+        images: { orderBy: IMAGE_ORDER },
+        schedules: true,
         touristicSite: {
           select: {
             id: true,
@@ -332,6 +665,7 @@ exports.getEventById = async (req, res) => {
             description: true,
             openingHours: true,
             entryFee: true,
+            status: true,
           },
         },
         bookings: {
@@ -357,16 +691,27 @@ exports.getEventById = async (req, res) => {
       },
     });
 
-    if (!event) {
+    // Unpublished events only exist for their owners and moderators
+    const isPublished =
+      Boolean(event) &&
+      event.status === "PUBLISHED" &&
+      event.touristicSite.status === "PUBLISHED";
+    if (!event || (!isPublished && !canSeeUnpublishedEvent(req.user, event))) {
       return res.status(404).json({
         isOk: false,
         message: "Event not found.",
       });
     }
 
-    // Format dates
+    // Bookings are only shown to the event's owners and moderators, others
+    // get seat counts from GET /events/:id/availability
+    const { bookings, ...publicEvent } = event;
     const formattedEvent = {
-      ...event,
+      ...publicEvent,
+      ...(canSeeUnpublishedEvent(req.user, event) && { bookings }),
+      upcomingOccurrences: getUpcomingOccurrences(event.schedules).map((date) =>
+        date.toISOString()
+      ),
       createdAt: event.createdAt.toISOString(),
       updatedAt: event.updatedAt.toISOString(),
     };
@@ -386,6 +731,11 @@ exports.getEventById = async (req, res) => {
   }
 };
 
+/**
+ * Lists the events of a site admin. The admin and SUPER_ADMIN users see every
+ * event with its moderation status and reason and its bookings, everyone else
+ * only published ones.
+ */
 exports.getSiteAdminEvents = async (req, res) => {
   const { adminId } = req.params;
   if (!adminId || adminId.trim().length === 0) {
@@ -394,11 +744,19 @@ exports.getSiteAdminEvents = async (req, res) => {
       message: "Site admin ID is required",
     });
   }
+  const seesAll = Boolean(
+    req.user &&
+      (req.user.role === "SUPER_ADMIN" || req.user.siteAdminId === adminId)
+  );
+
   try {
     const events = await prisma.event.findMany({
-      where: { siteAdminId: String(adminId) },
+      where: {
+        siteAdminId: String(adminId),
+        ...(!seesAll && publishedEventFilter),
+      },
       include: {
-        images: true,
+        images: { orderBy: IMAGE_ORDER },
         touristicSite: { select: { id: true, name: true, location: true } },
         siteAdmin: {
           select: {
@@ -412,7 +770,7 @@ exports.getSiteAdminEvents = async (req, res) => {
             user: { select: { id: true, name: true } },
           },
         },
-        bookings: true,
+        ...(seesAll && { bookings: true }),
       },
       orderBy: { createdAt: "desc" },
     });
@@ -442,7 +800,8 @@ exports.getSiteAdminEvents = async (req, res) => {
 /**
  * Updates an existing event.
  * Expects event ID in req.params, updated details in req.body,
- * new image files in req.files, and IDs of images to remove in req.body.imagesToRemove.
+ * new image files in req.files with optional req.body.imageDetails, and IDs of
+ * images to remove in req.body.imagesToRemove.
  */
 exports.updateEvent = async (req, res) => {
   const { id } = req.params;
@@ -456,6 +815,8 @@ exports.updateEvent = async (req, res) => {
     siteAdminId,
     guideId,
     imagesToRemove, // JSON string of array of image IDs to delete
+    imageDetails, // Optional array (or JSON string), one entry per new image
+    schedules, // Replaces all schedules when provided
   } = req.body;
 
   const files = req.files || [];
@@ -472,15 +833,9 @@ exports.updateEvent = async (req, res) => {
     // Check if event exists
     const existingEvent = await prisma.event.findUnique({
       where: { id },
-      include: { images: true },
     });
 
     if (!existingEvent) {
-      // Clean up uploaded files
-      if (files.length > 0) {
-        files.forEach((file) => deleteFile(file.path));
-      }
-
       return res.status(404).json({
         isOk: false,
         message: "Event not found",
@@ -517,12 +872,34 @@ exports.updateEvent = async (req, res) => {
     ) {
       errors.push("Valid max group size is required");
     }
+    if (
+      touristicSiteId &&
+      req.user.role === "SITE_ADMIN" &&
+      !req.user.siteRoles[touristicSiteId]
+    ) {
+      errors.push("You can only move events to sites you manage");
+    }
 
-    if (errors.length > 0) {
-      if (files.length > 0) {
-        files.forEach((file) => deleteFile(file.path));
-      }
+    let parsedSchedules;
+    if (schedules !== undefined) {
+      const result = parseSchedules(schedules);
+      parsedSchedules = result.schedules;
+      errors.push(...result.errors);
+    }
 
+    // A JSON array, sent as a string in multipart requests
+    const { items: parsedImagesToRemove, error: removeError } = parseListField(
+      imagesToRemove,
+      "imagesToRemove"
+    );
+    if (removeError) errors.push(removeError);
+    const { details, errors: imageErrors } = parseNewImageDetails(
+      imageDetails,
+      files.length
+    );
+    errors.push(...imageErrors);
+
+    if (errors.length > 0) {
       return res.status(400).json({
         isOk: false,
         message: "Validation failed",
@@ -530,26 +907,6 @@ exports.updateEvent = async (req, res) => {
       });
     }
 
-    // Parse images to remove
-    const parsedImagesToRemove = imagesToRemove
-      ? JSON.parse(imagesToRemove)
-      : [];
-
-    // Delete specified images from DB and file system
-    if (parsedImagesToRemove.length > 0) {
-      const imagesToDelete = await prisma.eventImage.findMany({
-        where: { id: { in: parsedImagesToRemove }, eventId: id },
-      });
-
-      for (const img of imagesToDelete) {
-        deleteFile(getFilePath(img.url));
-      }
-
-      await prisma.eventImage.deleteMany({
-        where: { id: { in: parsedImagesToRemove }, eventId: id },
-      });
-    }
-
     // Prepare data for updating the event
     const updateData = {};
 
@@ -567,10 +924,6 @@ exports.updateEvent = async (req, res) => {
       });
 
       if (!site) {
-        if (files.length > 0) {
-          files.forEach((file) => deleteFile(file.path));
-        }
-
         return res.status(404).json({
           isOk: false,
           message: "Touristic site not found",
@@ -580,48 +933,73 @@ exports.updateEvent = async (req, res) => {
       updateData.touristicSite = { connect: { id: touristicSiteId } };
     }
 
-    if (siteAdminId !== undefined) {
+    // Only a super admin may hand an event over to another owner
+    const canReassign = req.user.role === "SUPER_ADMIN";
+
+    if (canReassign && siteAdminId !== undefined) {
       updateData.siteAdmin = siteAdminId
         ? { connect: { id: siteAdminId } }
         : { disconnect: true };
     }
 
-    if (guideId !== undefined) {
+    if (canReassign && guideId !== undefined) {
       updateData.guide = guideId
         ? { connect: { id: guideId } }
         : { disconnect: true };
     }
 
-    // Add new images
-    if (files.length > 0) {
-      updateData.images = {
-        create: files.map((file) => ({
-          url: getImageUrl(file.filename),
-        })),
-      };
+    if (parsedSchedules) {
+      updateData.schedules = { deleteMany: {}, create: parsedSchedules };
     }
 
-    // Perform the update
-    const updatedEvent = await prisma.event.update({
-      where: { id },
-      data: updateData,
-      include: {
-        images: true,
-        touristicSite: { select: { id: true, name: true, location: true } },
-        siteAdmin: {
-          select: {
-            id: true,
-            user: { select: { id: true, name: true } },
+    const hasChanges =
+      Object.keys(updateData).length > 0 ||
+      files.length > 0 ||
+      parsedImagesToRemove.length > 0;
+
+    // Perform the update, removing and adding images with it. A published
+    // event goes back to review when its content changes.
+    const { updatedEvent, removedImages } = await prisma.$transaction(
+      async (tx) => {
+        const removedImages = await applyImageChanges(tx, "events", id, {
+          removeIds: parsedImagesToRemove,
+          files,
+          details,
+        });
+        const { status } = await tx.event.findUnique({
+          where: { id },
+          select: { status: true },
+        });
+        const updatedEvent = await tx.event.update({
+          where: { id },
+          data: {
+            ...updateData,
+            ...(hasChanges && resubmitAfterEdit(req.user, status)),
           },
-        },
-        guide: {
-          select: {
-            id: true,
-            user: { select: { id: true, name: true } },
+          include: {
+            images: { orderBy: IMAGE_ORDER },
+            schedules: true,
+            touristicSite: { select: { id: true, name: true, location: true } },
+            siteAdmin: {
+              select: {
+                id: true,
+                user: { select: { id: true, name: true } },
+              },
+            },
+            guide: {
+              select: {
+                id: true,
+                user: { select: { id: true, name: true } },
+              },
+            },
           },
-        },
-      },
-    });
+        });
+        return { updatedEvent, removedImages };
+      }
+    );
+
+    // Delete the files of removed images once their rows are gone
+    await deleteImageFiles(removedImages);
 
     res.status(200).json({
       isOk: true,
@@ -635,11 +1013,6 @@ exports.updateEvent = async (req, res) => {
   } catch (error) {
     console.error(`Error updating event with ID ${id}:`, error);
 
-    // If update fails, clean up any newly uploaded files
-    if (files.length > 0) {
-      files.forEach((file) => deleteFile(file.path));
-    }
-
     res.status(500).json({
       isOk: false,
       message: "Failed to update event",
@@ -695,16 +1068,14 @@ exports.deleteEvent = async (req, res) => {
       });
     }
 
-    // Delete associated images from file system
-    for (const img of eventWithBookings.images) {
-      deleteFile(getFileSystemPathFromWebPath(img.url));
-    }
-
     // Delete the event (cascade will handle related records)
     await prisma.event.delete({
       where: { id },
     });
 
+    // Then the files of its images
+    await deleteImageFiles(eventWithBookings.images);
+
     res.status(200).json({
       isOk: true,
       message: "Event deleted successfully.",
@@ -721,10 +1092,14 @@ exports.deleteEvent = async (req, res) => {
 
 /**
  * Get all bookings for a specific event
+ * Query parameters: page, limit, status
  */
 exports.getEventBookings = async (req, res) => {
   const { id } = req.params; // Event ID
-  const { status, page = 1, limit = 10 } = req.query;
+  const { page, limit, skip, filters, errors } = parseListQuery(
+    req.query,
+    EVENT_BOOKING_LIST_QUERY
+  );
 
   if (!id || id.trim().length === 0) {
     return res.status(400).json({
@@ -733,13 +1108,18 @@ exports.getEventBookings = async (req, res) => {
     });
   }
 
-  try {
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    const take = parseInt(limit);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      isOk: false,
+      message: "Invalid query parameters",
+      errors,
+    });
+  }
 
+  try {
     // Build where clause
     const where = { eventId: id };
-    if (status) where.status = status;
+    if (filters.status) where.status = filters.status;
 
     // Get total count
     const totalBookings = await prisma.booking.count({ where });
@@ -773,7 +1153,7 @@ exports.getEventBookings = async (req, res) => {
           },
           orderBy: { createdAt: "desc" },
           skip,
-          take,
+          take: limit,
         },
       },
     });
@@ -785,7 +1165,7 @@ exports.getEventBookings = async (req, res) => {
       });
     }
 
-    const totalPages = Math.ceil(totalBookings / take);
+    const totalPages = Math.ceil(totalBookings / limit);
 
     res.status(200).json({
       isOk: true,
@@ -800,11 +1180,11 @@ exports.getEventBookings = async (req, res) => {
         bookings: eventWithBookings.bookings,
       },
       pagination: {
-        currentPage: parseInt(page),
+        currentPage: page,
         totalPages,
         totalBookings,
-        hasNextPage: parseInt(page) < totalPages,
-        hasPreviousPage: parseInt(page) > 1,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1,
       },
       message: "Event bookings fetched successfully.",
     });
@@ -817,3 +1197,175 @@ exports.getEventBookings = async (req, res) => {
     });
   }
 };
+
+/**
+ * Reports booked and remaining seats for each scheduled occurrence of an event.
+ * Query parameters: from, to (YYYY-MM-DD, defaults to the next 30 days)
+ */
+exports.getEventAvailability = async (req, res) => {
+  const { id } = req.params;
+  const { from, to } = req.query;
+
+  const fromDate = from ? parseDateParam(from) : new Date();
+  const toDate = to
+    ? parseDateParam(to, true)
+    : new Date(fromDate.getTime() + 30 * DAY_MS);
+
+  if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+    return res.status(400).json({
+      isOk: false,
+      message: "Invalid from or to date",
+    });
+  }
+  if (toDate < fromDate) {
+    return res.status(400).json({
+      isOk: false,
+      message: "The to date must not be before the from date",
+    });
+  }
+  if (toDate - fromDate > MAX_AVAILABILITY_DAYS * DAY_MS) {
+    return res.status(400).json({
+      isOk: false,
+      message: `Availability can be requested for at most ${MAX_AVAILABILITY_DAYS} days`,
+    });
+  }
+
+  try {
+    const event = await prisma.event.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        maxGroupSize: true,
+        schedules: true,
+        status: true,
+        siteAdminId: true,
+        guideId: true,
+        touristicSiteId: true,
+        touristicSite: { select: { status: true } },
+      },
+    });
+
+    // Unpublished events only show to those who may see them
+    const isPublished =
+      Boolean(event) &&
+      event.status === "PUBLISHED" &&
+      event.touristicSite.status === "PUBLISHED";
+    if (!event || (!isPublished && !canSeeUnpublishedEvent(req.user, event))) {
+      return res.status(404).json({
+        isOk: false,
+        message: "Event not found.",
+      });
+    }
+
+    const availability = await getAvailability(event, fromDate, toDate);
+
+    res.status(200).json({
+      isOk: true,
+      data: {
+        eventId: event.id,
+        maxGroupSize: event.maxGroupSize,
+        availability,
+      },
+      message: "Event availability fetched successfully.",
+    });
+  } catch (error) {
+    console.error(`Error fetching availability for event ${id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to fetch event availability",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Sets the cancellation policy of an event (guide or site admin of the event).
+ * Expects policy in req.body, an array of { hoursBefore, refundPercent } tiers.
+ * An empty array falls back to the default policy. Existing bookings keep the
+ * policy they were made under.
+ */
+exports.updateCancellationPolicy = async (req, res) => {
+  const { id } = req.params;
+  const { policy: parsedPolicy, errors } = parseCancellationPolicy(
+    req.body.policy
+  );
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      isOk: false,
+      message: "Validation failed",
+      errors,
+    });
+  }
+
+  try {
+    const event = await prisma.event.update({
+      where: { id },
+      data: { cancellationPolicy: parsedPolicy },
+      select: { id: true, title: true, cancellationPolicy: true },
+    });
+
+    res.status(200).json({
+      isOk: true,
+      data: event,
+      message: "Cancellation policy updated successfully.",
+    });
+  } catch (error) {
+    if (error.code === "P2025") {
+      return res.status(404).json({
+        isOk: false,
+        message: "Event not found",
+      });
+    }
+    console.error(`Error updating cancellation policy of event ${id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to update cancellation policy",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Returns the cancellation policy applied to an event's bookings.
+ */
+exports.getCancellationPolicy = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const event = await prisma.event.findUnique({
+      where: { id },
+      select: { id: true, cancellationPolicy: true },
+    });
+
+    if (!event) {
+      return res.status(404).json({
+        isOk: false,
+        message: "Event not found.",
+      });
+    }
+
+    const isDefault =
+      !Array.isArray(event.cancellationPolicy) ||
+      event.cancellationPolicy.length === 0;
+
+    res.status(200).json({
+      isOk: true,
+      data: {
+        eventId: event.id,
+        policy: isDefault
+          ? DEFAULT_CANCELLATION_POLICY
+          : event.cancellationPolicy,
+        isDefault,
+      },
+      message: "Cancellation policy fetched successfully.",
+    });
+  } catch (error) {
+    console.error(`Error fetching cancellation policy of event ${id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to fetch cancellation policy",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,196 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { publishedSiteFilter } = require("../services/moderationService");
+const { IMAGE_ORDER } = require("../services/imageGalleryService");
+const { parseListQuery } = require("../services/queryService");
+
+// Query accepted by GET /favorite, see parseListQuery
+const FAVORITE_LIST_QUERY = {
+  filters: { order: { type: "enum", values: ["asc", "desc"] } },
+};
+
+/**
+ * Adds a touristic site to the authenticated user's favorites.
+ * Adding a site that is already a favorite returns the existing favorite.
+ * @route POST /favorite/:siteId
+ */
+exports.addFavorite = async (req, res) => {
+  const { siteId } = req.params;
+
+  try {
+    // Only published sites can be saved
+    const site = await prisma.touristicSite.findFirst({
+      where: { id: siteId, ...publishedSiteFilter },
+      select: { id: true },
+    });
+
+    if (!site) {
+      return res.status(404).json({
+        isOk: false,
+        message: "Touristic site not found",
+      });
+    }
+
+    const favorite = await prisma.favorite.upsert({
+      where: {
+        userId_touristicSiteId: {
+          userId: req.user.id,
+          touristicSiteId: siteId,
+        },
+      },
+      update: {},
+      create: { userId: req.user.id, touristicSiteId: siteId },
+    });
+
+    res.status(201).json({
+      isOk: true,
+      data: favorite,
+      message: "Site added to favorites.",
+    });
+  } catch (error) {
+    console.error(`Error adding site ${siteId} to favorites:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to add favorite",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Removes a touristic site from the authenticated user's favorites.
+ * @route DELETE /favorite/:siteId
+ */
+exports.removeFavorite = async (req, res) => {
+  const { siteId } = req.params;
+
+  try {
+    const { count } = await prisma.favorite.deleteMany({
+      where: { userId: req.user.id, touristicSiteId: siteId },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({
+        isOk: false,
+        message: "This site is not in your favorites",
+      });
+    }
+
+    res.status(200).json({
+      isOk: true,
+      message: "Site removed from favorites.",
+    });
+  } catch (error) {
+    console.error(`Error removing site ${siteId} from favorites:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to remove favorite",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Lists the authenticated user's favorite sites, most recently added first.
+ * Query parameters: page, limit, order ("desc" or "asc" on createdAt)
+ * @route GET /favorite
+ */
+exports.getMyFavorites = async (req, res) => {
+  const { page, limit, skip, filters, errors } = parseListQuery(
+    req.query,
+    FAVORITE_LIST_QUERY
+  );
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      isOk: false,
+      message: "Invalid query parameters",
+      errors,
+    });
+  }
+
+  try {
+    const where = { userId: req.user.id };
+
+    const [totalFavorites, favorites] = await Promise.all([
+      prisma.favorite.count({ where }),
+      prisma.favorite.findMany({
+        where,
+        include: {
+          touristicSite: {
+            include: {
+              images: { orderBy: IMAGE_ORDER },
+              _count: { select: { favorites: true } },
+            },
+          },
+        },
+        orderBy: { createdAt: filters.order || "desc" },
+        skip,
+        take: limit,
+      }),
+    ]);
+
+    const totalPages = Math.ceil(totalFavorites / limit);
+
+    res.status(200).json({
+      isOk: true,
+      favorites: favorites.map((favorite) => {
+        const { _count, ...site } = favorite.touristicSite;
+        return {
+          ...favorite,
+          touristicSite: { ...site, favoritesCount: _count.favorites },
+        };
+      }),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalFavorites,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1,
+      },
+      message: "Favorites fetched successfully.",
+    });
+  } catch (error) {
+    console.error("Error fetching favorites:", error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to fetch favorites",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Number of users who saved a touristic site as a favorite.
+ * @route GET /favorite/site/:siteId/count
+ */
+exports.getSiteFavoriteCount = async (req, res) => {
+  const { siteId } = req.params;
+
+  try {
+    const site = await prisma.touristicSite.findUnique({
+      where: { id: siteId },
+      select: { id: true, _count: { select: { favorites: true } } },
+    });
+
+    if (!site) {
+      return res.status(404).json({
+        isOk: false,
+        message: "Touristic site not found",
+      });
+    }
+
+    res.status(200).json({
+      isOk: true,
+      data: { siteId: site.id, favoritesCount: site._count.favorites },
+      message: "Favorite count fetched successfully.",
+    });
+  } catch (error) {
+    console.error(`Error counting favorites of site ${siteId}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to fetch favorite count",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,454 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { calculateHirePrice } = require("../services/bookingService");
+const {
+  resolveCancellationPolicy,
+} = require("../services/cancellationPolicyService");
+const {
+  parseAvailability,
+  lockGuide,
+  isGuideFree,
+} = require("../services/guideAvailabilityService");
+const { publishedSiteFilter } = require("../services/moderationService");
+const { parseListQuery } = require("../services/queryService");
+const { activeGuideFilter } = require("../services/accountService");
+
+// Longest private tour a guide can be hired for, in hours
+const MAX_HIRE_HOURS = 12;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Query accepted by the hire request lists, see parseListQuery
+const HIRE_REQUEST_LIST_QUERY = {
+  filters: {
+    status: {
+      type: "enum",
+      values: ["PENDING", "ACCEPTED", "DECLINED", "CANCELED"],
+    },
+  },
+};
+
+// Relations returned with every hire request
+const hireRequestInclude = {
+  tourist: { select: { id: true, name: true, email: true } },
+  guide: {
+    select: {
+      id: true,
+      pricePerHour: true,
+      user: { select: { id: true, name: true } },
+    },
+  },
+  touristicSite: { select: { id: true, name: true, location: true } },
+  booking: { select: { id: true, status: true, totalPrice: true } },
+};
+
+/**
+ * Lists hire requests matching a filter, newest first.
+ * Query parameters: page, limit, status
+ * @param {(req: object) => object} where - Builds the GuideHireRequest where clause
+ */
+const listHireRequests = (where) => async (req, res) => {
+  const { page, limit, skip, filters, errors } = parseListQuery(
+    req.query,
+    HIRE_REQUEST_LIST_QUERY
+  );
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      isOk: false,
+      message: "Invalid query parameters",
+      errors,
+    });
+  }
+
+  try {
+    const filter = where(req);
+    if (filters.status) filter.status = filters.status;
+
+    const [totalRequests, requests] = await Promise.all([
+      prisma.guideHireRequest.count({ where: filter }),
+      prisma.guideHireRequest.findMany({
+        where: filter,
+        include: hireRequestInclude,
+        orderBy: { createdAt: "desc" },
+        skip,
+        take: limit,
+      }),
+    ]);
+
+    const totalPages = Math.ceil(totalRequests / limit);
+
+    res.status(200).json({
+      isOk: true,
+      requests,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalRequests,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1,
+      },
+      message: "Hire requests fetched successfully.",
+    });
+  } catch (error) {
+    console.error("Error fetching hire requests:", error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to fetch hire requests",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Asks a guide for a private tour of a site.
+ * Expects guideId, touristicSiteId, startsAt (ISO date-time), hours,
+ * numberOfPeople and an optional message in req.body.
+ * The price is the guide's pricePerHour times the hours, never taken from the
+ * client, and the tour must fit in the guide's free time.
+ * @route POST /hire-requests
+ */
+exports.createHireRequest = async (req, res) => {
+  const { guideId, touristicSiteId, startsAt, hours, numberOfPeople, message } =
+    req.body;
+
+  const errors = [];
+  const start = new Date(startsAt);
+  const hireHours = parseInt(hours, 10);
+  const people = parseInt(numberOfPeople, 10);
+
+  if (!guideId) errors.push("Guide ID is required");
+  if (!touristicSiteId) errors.push("Touristic site ID is required");
+  if (!startsAt || isNaN(start.getTime()))
+    errors.push("Valid start date and time is required");
+  else if (start <= new Date()) errors.push("Start time must be in the future");
+  if (isNaN(hireHours) || hireHours <= 0 || hireHours > MAX_HIRE_HOURS)
+    errors.push(`Hours must be between 1 and ${MAX_HIRE_HOURS}`);
+  if (isNaN(people) || people <= 0)
+    errors.push("Number of people must be a positive integer");
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      isOk: false,
+      message: "Validation failed",
+      errors,
+    });
+  }
+
+  try {
+    const [guide, site] = await Promise.all([
+      prisma.touristGuide.findFirst({
+        where: { id: guideId, ...activeGuideFilter },
+      }),
+      prisma.touristicSite.findFirst({
+        where: { id: touristicSiteId, ...publishedSiteFilter },
+        select: { id: true },
+      }),
+    ]);
+
+    if (!guide) {
+      return res.status(404).json({
+        isOk: false,
+        message: "Guide not found",
+      });
+    }
+    if (!site) {
+      return res.status(404).json({
+        isOk: false,
+        message: "Touristic site not found",
+      });
+    }
+
+    const { availability } = parseAvailability(guide.availability);
+    const end = new Date(start.getTime() + hireHours * HOUR_MS);
+    if (
+      !availability ||
+      !(await isGuideFree(availability, guide.id, start, end))
+    ) {
+      return res.status(409).json({
+        isOk: false,
+        message: "The guide is not available at this time",
+      });
+    }
+
+    const request = await prisma.guideHireRequest.create({
+      data: {
+        tourist: { connect: { id: req.user.id } },
+        guide: { connect: { id: guide.id } },
+        touristicSite: { connect: { id: site.id } },
+        startsAt: start,
+        hours: hireHours,
+        numberOfPeople: people,
+        totalPrice: calculateHirePrice(guide.pricePerHour, hireHours),
+        message: message || null,
+      },
+      include: hireRequestInclude,
+    });
+
+    res.status(201).json({
+      isOk: true,
+      data: request,
+      message: "Hire request sent successfully.",
+    });
+  } catch (error) {
+    console.error("Error creating hire request:", error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to create hire request",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Lists the hire requests sent by the authenticated tourist.
+ * @route GET /hire-requests/my
+ */
+exports.getMyHireRequests = listHireRequests((req) => ({
+  touristId: req.user.id,
+}));
+
+/**
+ * Lists the hire requests received by the authenticated guide.
+ * @route GET /hire-requests/received
+ */
+exports.getReceivedHireRequests = listHireRequests((req) => ({
+  guideId: req.user.guideId,
+}));
+
+/**
+ * Retrieves a hire request (its tourist or guide).
+ * @route GET /hire-requests/:id
+ */
+exports.getHireRequestById = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const request = await prisma.guideHireRequest.findUnique({
+      where: { id },
+      include: hireRequestInclude,
+    });
+
+    if (!request) {
+      return res.status(404).json({
+        isOk: false,
+        message: "Hire request not found.",
+      });
+    }
+
+    res.status(200).json({
+      isOk: true,
+      data: request,
+      message: "Hire request fetched successfully.",
+    });
+  } catch (error) {
+    console.error(`Error fetching hire request ${id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to fetch hire request",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Accepts a pending hire request (its guide) and turns it into a confirmed
+ * booking. Availability is checked again under a lock on the guide so two
+ * overlapping requests cannot both be accepted.
+ * Expects an optional responseMessage in req.body.
+ * @route PUT /hire-requests/:id/accept
+ */
+exports.acceptHireRequest = async (req, res) => {
+  const { id } = req.params;
+  const { responseMessage } = req.body;
+
+  try {
+    const request = await prisma.guideHireRequest.findUnique({
+      where: { id },
+      include: { guide: true },
+    });
+
+    if (!request) {
+      return res.status(404).json({
+        isOk: false,
+        message: "Hire request not found",
+      });
+    }
+
+    if (request.status !== "PENDING") {
+      return res.status(400).json({
+        isOk: false,
+        message: `Cannot accept a ${request.status} hire request`,
+      });
+    }
+
+    if (request.startsAt <= new Date()) {
+      return res.status(400).json({
+        isOk: false,
+        message: "This hire request has already started",
+      });
+    }
+
+    const { availability } = parseAvailability(request.guide.availability);
+    const end = new Date(request.startsAt.getTime() + request.hours * HOUR_MS);
+
+    const result = await prisma.$transaction(async (tx) => {
+      await lockGuide(tx, request.guideId);
+
+      const isFree =
+        availability &&
+        (await isGuideFree(
+          availability,
+          request.guideId,
+          request.startsAt,
+          end,
+          tx
+        ));
+      if (!isFree) {
+        return {
+          error: "You already have a confirmed booking at this time",
+          statusCode: 409,
+        };
+      }
+
+      const booking = await tx.booking.create({
+        data: {
+          tourist: { connect: { id: request.touristId } },
+          guide: { connect: { id: request.guideId } },
+          bookingDate: request.startsAt,
+          numberOfPeople: request.numberOfPeople,
+          totalPrice: request.totalPrice,
+          status: "CONFIRMED",
+          cancellationPolicy: resolveCancellationPolicy(null),
+        },
+      });
+
+      const { count } = await tx.guideHireRequest.updateMany({
+        where: { id, status: "PENDING" },
+        data: {
+          status: "ACCEPTED",
+          bookingId: booking.id,
+          responseMessage: responseMessage || null,
+        },
+      });
+      if (count === 0) {
+        // Throwing rolls back the booking created above
+        throw Object.assign(new Error("Hire request was modified"), {
+          code: "HIRE_REQUEST_CONFLICT",
+        });
+      }
+
+      return { booking };
+    });
+
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        isOk: false,
+        message: result.error,
+      });
+    }
+
+    const accepted = await prisma.guideHireRequest.findUnique({
+      where: { id },
+      include: hireRequestInclude,
+    });
+
+    res.status(200).json({
+      isOk: true,
+      data: accepted,
+      message: "Hire request accepted, the booking is confirmed.",
+    });
+  } catch (error) {
+    if (error.code === "HIRE_REQUEST_CONFLICT") {
+      return res.status(409).json({
+        isOk: false,
+        message: "Hire request was modified by another request, please retry",
+      });
+    }
+    console.error(`Error accepting hire request ${id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to accept hire request",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Builds a handler closing a pending hire request without a booking.
+ * @param {string} status - DECLINED or CANCELED
+ * @param {string} successMessage
+ */
+const closeHireRequest = (status, successMessage) => async (req, res) => {
+  const { id } = req.params;
+  const { responseMessage } = req.body;
+
+  try {
+    const request = await prisma.guideHireRequest.findUnique({
+      where: { id },
+      select: { status: true },
+    });
+
+    if (!request) {
+      return res.status(404).json({
+        isOk: false,
+        message: "Hire request not found",
+      });
+    }
+
+    const { count } = await prisma.guideHireRequest.updateMany({
+      where: { id, status: "PENDING" },
+      data: {
+        status,
+        ...(status === "DECLINED" && {
+          responseMessage: responseMessage || null,
+        }),
+      },
+    });
+
+    if (count === 0) {
+      return res.status(400).json({
+        isOk: false,
+        message: `Cannot change a ${request.status} hire request to ${status}`,
+      });
+    }
+
+    const updated = await prisma.guideHireRequest.findUnique({
+      where: { id },
+      include: hireRequestInclude,
+    });
+
+    res.status(200).json({
+      isOk: true,
+      data: updated,
+      message: successMessage,
+    });
+  } catch (error) {
+    console.error(`Error updating hire request ${id} to ${status}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to update hire request",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Declines a pending hire request (its guide).
+ * Expects an optional responseMessage in req.body.
+ * @route PUT /hire-requests/:id/decline
+ */
+exports.declineHireRequest = closeHireRequest(
+  "DECLINED",
+  "Hire request declined."
+);
+
+/**
+ * Withdraws a pending hire request (its tourist). Once accepted, the booking
+ * is canceled through PUT /bookings/:id/cancel instead.
+ * @route PUT /hire-requests/:id/cancel
+ */
+exports.cancelHireRequest = closeHireRequest(
+  "CANCELED",
+  "Hire request canceled."
+);
@@ -0,0 +1,176 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const {
+  IMAGE_ORDER,
+  GALLERIES,
+  parseListField,
+  parseImageDetails,
+  setCover,
+} = require("../services/imageGalleryService");
+const { resubmitAfterEdit } = require("../services/moderationService");
+
+/**
+ * Sends a published site or event back to review when its gallery changes,
+ * like any other edit of its content.
+ * @param {object} tx - Prisma interactive transaction client
+ * @param {string} ownerModel - GALLERIES[type].ownerModel
+ * @param {string} id
+ * @param {object} user - req.user
+ */
+const resubmitOwner = async (tx, ownerModel, id, user) => {
+  const { status } = await tx[ownerModel].findUnique({
+    where: { id },
+    select: { status: true },
+  });
+  const data = resubmitAfterEdit(user, status);
+  if (Object.keys(data).length > 0) {
+    await tx[ownerModel].update({ where: { id }, data });
+  }
+};
+
+/**
+ * Builds the handler saving the order images were dragged into. req.body.imageIds
+ * lists every image of the site or event, in their new order.
+ * @param {"sites"|"events"} type
+ */
+const reorderImages = (type) => async (req, res) => {
+  const { id } = req.params;
+  const { model, ownerField, ownerModel, ownerLabel } = GALLERIES[type];
+
+  const { items: imageIds, error } = parseListField(
+    req.body.imageIds,
+    "imageIds"
+  );
+  if (error || imageIds.length === 0) {
+    return res.status(400).json({
+      isOk: false,
+      message: "imageIds must list the images in their new order",
+    });
+  }
+
+  try {
+    const owner = await prisma[ownerModel].findUnique({
+      where: { id },
+      select: { id: true, images: { select: { id: true } } },
+    });
+
+    if (!owner) {
+      return res.status(404).json({
+        isOk: false,
+        message: `${ownerLabel} not found`,
+      });
+    }
+
+    const currentIds = owner.images.map((image) => image.id);
+    const isSameSet =
+      new Set(imageIds).size === imageIds.length &&
+      imageIds.length === currentIds.length &&
+      imageIds.every((imageId) => currentIds.includes(imageId));
+    if (!isSameSet) {
+      return res.status(400).json({
+        isOk: false,
+        message: `imageIds must list each of the ${currentIds.length} images once`,
+      });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      for (const [position, imageId] of imageIds.entries()) {
+        await tx[model].update({ where: { id: imageId }, data: { position } });
+      }
+      await resubmitOwner(tx, ownerModel, id, req.user);
+    });
+
+    res.status(200).json({
+      isOk: true,
+      data: await prisma[model].findMany({
+        where: { [ownerField]: id },
+        orderBy: IMAGE_ORDER,
+      }),
+      message: "Images reordered successfully.",
+    });
+  } catch (error) {
+    console.error(`Error reordering images of ${type} ${id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to reorder images",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Reorders the images of a touristic site.
+ * @route PUT /tour-site/site/:id/images/order
+ */
+exports.reorderSiteImages = reorderImages("sites");
+
+/**
+ * Reorders the images of an event.
+ * @route PUT /events/:id/images/order
+ */
+exports.reorderEventImages = reorderImages("events");
+
+/**
+ * Builds the handler updating the caption and alt text of an image, or making
+ * it the cover of its site or event (isCover: true).
+ * @param {"sites"|"events"} type
+ */
+const updateImage = (type) => async (req, res) => {
+  const { id, imageId } = req.params;
+  const { model, ownerField, ownerModel } = GALLERIES[type];
+
+  const { data, errors } = parseImageDetails(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      isOk: false,
+      message: "Validation failed",
+      errors,
+    });
+  }
+
+  try {
+    const image = await prisma[model].findFirst({
+      where: { id: imageId, [ownerField]: id },
+      select: { id: true },
+    });
+
+    if (!image) {
+      return res.status(404).json({
+        isOk: false,
+        message: "Image not found",
+      });
+    }
+
+    const { isCover, ...details } = data;
+    const updatedImage = await prisma.$transaction(async (tx) => {
+      if (isCover) await setCover(tx, type, id, imageId);
+      await resubmitOwner(tx, ownerModel, id, req.user);
+      return tx[model].update({ where: { id: imageId }, data: details });
+    });
+
+    res.status(200).json({
+      isOk: true,
+      data: updatedImage,
+      message: "Image updated successfully.",
+    });
+  } catch (error) {
+    console.error(`Error updating image ${imageId} of ${type} ${id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to update image",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Updates the caption, alt text or cover flag of a touristic site image.
+ * @route PUT /tour-site/site/:id/images/:imageId
+ */
+exports.updateSiteImage = updateImage("sites");
+
+/**
+ * Updates the caption, alt text or cover flag of an event image.
+ * @route PUT /events/:id/images/:imageId
+ */
+exports.updateEventImage = updateImage("events");
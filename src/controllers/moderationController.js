@@ -0,0 +1,265 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const {
+  MODERATION_ACTIONS,
+  SUBMITTABLE_STATUSES,
+  buildModerationUpdate,
+} = require("../services/moderationService");
+const { COVER_FIRST_ORDER } = require("../services/imageGalleryService");
+const { parseListQuery } = require("../services/queryService");
+
+const PUBLICATION_STATUSES = [
+  "DRAFT",
+  "PENDING_REVIEW",
+  "PUBLISHED",
+  "SUSPENDED",
+];
+
+// Query accepted by GET /moderation/queue, see parseListQuery
+const QUEUE_QUERY = {
+  filters: {
+    type: { type: "enum", values: ["sites", "events"] },
+    status: { type: "enum", values: PUBLICATION_STATUSES },
+  },
+};
+
+// What each moderation endpoint works on
+const LISTINGS = {
+  sites: {
+    model: "touristicSite",
+    label: "Touristic site",
+    include: {
+      images: { take: 1, orderBy: COVER_FIRST_ORDER },
+      adminMemberships: {
+        where: { role: "OWNER" },
+        select: {
+          siteAdmin: {
+            select: { user: { select: { id: true, name: true, email: true } } },
+          },
+        },
+      },
+    },
+  },
+  events: {
+    model: "event",
+    label: "Event",
+    include: {
+      images: { take: 1, orderBy: COVER_FIRST_ORDER },
+      touristicSite: { select: { id: true, name: true, status: true } },
+      siteAdmin: {
+        select: { id: true, user: { select: { id: true, name: true } } },
+      },
+      guide: {
+        select: { id: true, user: { select: { id: true, name: true } } },
+      },
+    },
+  },
+};
+
+/**
+ * Lists sites or events awaiting a moderation decision, oldest submission first.
+ * Query parameters: type (sites, events), status (default PENDING_REVIEW),
+ * page, limit
+ * @route GET /moderation/queue
+ */
+exports.getModerationQueue = async (req, res) => {
+  const { page, limit, skip, filters, errors } = parseListQuery(
+    req.query,
+    QUEUE_QUERY
+  );
+  const { type = "sites", status = "PENDING_REVIEW" } = filters;
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      isOk: false,
+      message: "Invalid query parameters",
+      errors,
+    });
+  }
+
+  try {
+    const { model, include } = LISTINGS[type];
+
+    const [totalItems, items] = await Promise.all([
+      prisma[model].count({ where: { status } }),
+      prisma[model].findMany({
+        where: { status },
+        include,
+        orderBy: [{ submittedAt: "asc" }, { id: "asc" }],
+        skip,
+        take: limit,
+      }),
+    ]);
+
+    const totalPages = Math.ceil(totalItems / limit);
+
+    res.status(200).json({
+      isOk: true,
+      items,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1,
+      },
+      message: "Moderation queue fetched successfully.",
+    });
+  } catch (error) {
+    console.error("Error fetching moderation queue:", error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to fetch moderation queue",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Builds the handler of a moderation decision on a site or an event.
+ * The :action param is approve, reject, suspend or reinstate; reject and
+ * suspend need a reason in req.body, which the owners see on their listing.
+ * @param {"sites"|"events"} type
+ */
+const moderate = (type) => async (req, res) => {
+  const { id, action } = req.params;
+  const { model, label } = LISTINGS[type];
+
+  if (!MODERATION_ACTIONS[action]) {
+    return res.status(400).json({
+      isOk: false,
+      message: `Action must be one of ${Object.keys(MODERATION_ACTIONS).join(
+        ", "
+      )}`,
+    });
+  }
+
+  try {
+    const listing = await prisma[model].findUnique({
+      where: { id },
+      select: { status: true },
+    });
+
+    if (!listing) {
+      return res.status(404).json({
+        isOk: false,
+        message: `${label} not found`,
+      });
+    }
+
+    const { data, error, statusCode } = buildModerationUpdate(
+      action,
+      listing.status,
+      req.body.reason
+    );
+    if (error) {
+      return res.status(statusCode || 400).json({
+        isOk: false,
+        message: error,
+      });
+    }
+
+    // Only apply the decision if nobody changed the status meanwhile
+    const { count } = await prisma[model].updateMany({
+      where: { id, status: listing.status },
+      data,
+    });
+    if (count === 0) {
+      return res.status(409).json({
+        isOk: false,
+        message: `${label} was modified by another request, please retry`,
+      });
+    }
+
+    res.status(200).json({
+      isOk: true,
+      data: await prisma[model].findUnique({
+        where: { id },
+        include: LISTINGS[type].include,
+      }),
+      message: `${label} moved to ${data.status}.`,
+    });
+  } catch (error) {
+    console.error(`Error moderating ${type} ${id} (${action}):`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to apply moderation decision",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Approves, rejects, suspends or reinstates a touristic site.
+ * @route PUT /moderation/sites/:id/:action
+ */
+exports.moderateSite = moderate("sites");
+
+/**
+ * Approves, rejects, suspends or reinstates an event.
+ * @route PUT /moderation/events/:id/:action
+ */
+exports.moderateEvent = moderate("events");
+
+/**
+ * Builds the handler owners use to submit a draft (e.g. after a rejection) or
+ * a suspended listing for review again. The previous moderation reason stays
+ * visible until a moderator decides.
+ * @param {"sites"|"events"} type
+ */
+const submitForReview = (type) => async (req, res) => {
+  const { id } = req.params;
+  const { model, label } = LISTINGS[type];
+
+  try {
+    const listing = await prisma[model].findUnique({
+      where: { id },
+      select: { status: true },
+    });
+
+    if (!listing) {
+      return res.status(404).json({
+        isOk: false,
+        message: `${label} not found`,
+      });
+    }
+
+    const { count } = await prisma[model].updateMany({
+      where: { id, status: { in: SUBMITTABLE_STATUSES } },
+      data: { status: "PENDING_REVIEW", submittedAt: new Date() },
+    });
+    if (count === 0) {
+      return res.status(409).json({
+        isOk: false,
+        message: `Only a ${SUBMITTABLE_STATUSES.join(
+          " or "
+        )} listing can be submitted, this one is ${listing.status}`,
+      });
+    }
+
+    res.status(200).json({
+      isOk: true,
+      data: await prisma[model].findUnique({ where: { id } }),
+      message: `${label} submitted for review.`,
+    });
+  } catch (error) {
+    console.error(`Error submitting ${type} ${id} for review:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to submit for review",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Submits a touristic site for review (an admin of the site).
+ * @route PUT /tour-site/site/:id/submit
+ */
+exports.submitSite = submitForReview("sites");
+
+/**
+ * Submits an event for review (its guide or site admin).
+ * @route PUT /events/:id/submit
+ */
+exports.submitEvent = submitForReview("events");
@@ -0,0 +1,322 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { getProvider, getAvailableMethods } = require("../services/payments");
+const {
+  applyPaymentStatus,
+  startPayment,
+} = require("../services/paymentService");
+
+/**
+ * Lists the payment methods available in this environment.
+ * @route GET /payments/methods
+ */
+exports.getPaymentMethods = (req, res) => {
+  res.status(200).json({
+    isOk: true,
+    methods: getAvailableMethods(),
+    message: "Payment methods fetched successfully.",
+  });
+};
+
+/**
+ * Starts paying a booking with the chosen method.
+ * Expects method ("card", "mobile_money", "cash", ...) and, for mobile money,
+ * phoneNumber in req.body. Card payments answer with a redirectUrl to the
+ * hosted checkout; cash payments with instructions.
+ * @route POST /payments/booking/:id
+ */
+exports.startBookingPayment = async (req, res) => {
+  const { id } = req.params;
+  const { method, phoneNumber } = req.body;
+
+  const provider = getProvider(method);
+  if (!provider) {
+    const available = getAvailableMethods().join(", ");
+    return res.status(400).json({
+      isOk: false,
+      message: `Unsupported payment method. Available methods: ${available}`,
+    });
+  }
+
+  if (provider.name === "mobile_money" && !phoneNumber) {
+    return res.status(400).json({
+      isOk: false,
+      message: "Phone number is required for mobile money payments",
+    });
+  }
+
+  try {
+    const booking = await prisma.booking.findUnique({ where: { id } });
+
+    if (!booking) {
+      return res.status(404).json({
+        isOk: false,
+        message: "Booking not found",
+      });
+    }
+
+    if (!["PENDING", "CONFIRMED"].includes(booking.status)) {
+      return res.status(400).json({
+        isOk: false,
+        message: `A ${booking.status} booking cannot be paid`,
+      });
+    }
+
+    const result = await startPayment({
+      booking,
+      provider,
+      customer: {
+        id: req.user.id,
+        name: req.user.name,
+        email: req.user.email,
+        phoneNumber: phoneNumber || null,
+      },
+    });
+
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        isOk: false,
+        message: result.error,
+      });
+    }
+
+    res.status(201).json({
+      isOk: true,
+      data: result.payment,
+      redirectUrl: result.charge.redirectUrl || null,
+      instructions: result.charge.instructions || null,
+      message: "Payment started successfully.",
+    });
+  } catch (error) {
+    console.error(`Error starting payment for booking ${id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to start payment",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Retrieves the payment of a booking.
+ * @route GET /payments/booking/:id
+ */
+exports.getBookingPayment = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const payment = await prisma.payment.findUnique({
+      where: { bookingId: id },
+    });
+
+    if (!payment) {
+      return res.status(404).json({
+        isOk: false,
+        message: "No payment found for this booking.",
+      });
+    }
+
+    res.status(200).json({
+      isOk: true,
+      data: payment,
+      message: "Payment fetched successfully.",
+    });
+  } catch (error) {
+    console.error(`Error fetching payment for booking ${id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to fetch payment",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Records a cash payment as collected on site (guide or site admin).
+ * @route PUT /payments/booking/:id/collect
+ */
+exports.collectCashPayment = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const payment = await prisma.payment.findUnique({
+      where: { bookingId: id },
+      include: { booking: { select: { status: true } } },
+    });
+
+    if (!payment || payment.method !== "cash") {
+      return res.status(404).json({
+        isOk: false,
+        message: "No cash payment found for this booking.",
+      });
+    }
+
+    if (payment.status !== "PENDING") {
+      return res.status(400).json({
+        isOk: false,
+        message: `Cannot collect a ${payment.status} payment`,
+      });
+    }
+
+    if (payment.booking.status === "CANCELED") {
+      return res.status(400).json({
+        isOk: false,
+        message: "Cannot collect the payment of a canceled booking",
+      });
+    }
+
+    const updated = await applyPaymentStatus(payment.id, "COMPLETED");
+
+    res.status(200).json({
+      isOk: true,
+      data: updated,
+      message: "Cash payment collected successfully.",
+    });
+  } catch (error) {
+    console.error(`Error collecting cash payment for booking ${id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to collect payment",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Receives signed payment status callbacks from a provider.
+ * Updates Payment.status and confirms the linked booking once paid.
+ * @route POST /payments/webhook/:provider
+ */
+exports.handleWebhook = async (req, res) => {
+  const provider = getProvider(req.params.provider);
+
+  if (!provider) {
+    return res.status(404).json({
+      isOk: false,
+      message: "Unknown payment provider",
+    });
+  }
+
+  if (!provider.verifyWebhook(req.rawBody, req.headers)) {
+    return res.status(401).json({
+      isOk: false,
+      message: "Invalid webhook signature",
+    });
+  }
+
+  try {
+    const update = provider.parseWebhook(req.body);
+    if (!update || !update.transactionId) {
+      return res.status(400).json({
+        isOk: false,
+        message: "Webhook payload is missing the transaction ID",
+      });
+    }
+
+    const payment = await prisma.payment.findFirst({
+      where: { transactionId: update.transactionId, method: provider.name },
+    });
+
+    if (!payment) {
+      return res.status(404).json({
+        isOk: false,
+        message: "Payment not found",
+      });
+    }
+
+    await applyPaymentStatus(payment.id, update.status);
+
+    res.status(200).json({
+      isOk: true,
+      message: "Webhook processed.",
+    });
+  } catch (error) {
+    console.error(`Error handling ${provider.name} webhook:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to process webhook",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Lists the refunds recorded against a booking's payment, newest first.
+ * @route GET /payments/booking/:id/refunds
+ */
+exports.getBookingRefunds = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const payment = await prisma.payment.findUnique({
+      where: { bookingId: id },
+      include: { refunds: { orderBy: { createdAt: "desc" } } },
+    });
+
+    if (!payment) {
+      return res.status(404).json({
+        isOk: false,
+        message: "No payment found for this booking.",
+      });
+    }
+
+    const { refunds, ...paymentData } = payment;
+
+    res.status(200).json({
+      isOk: true,
+      data: { payment: paymentData, refunds },
+      message: "Refunds fetched successfully.",
+    });
+  } catch (error) {
+    console.error(`Error fetching refunds for booking ${id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to fetch refunds",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Lists every refund received by the authenticated tourist, newest first.
+ * @route GET /payments/refunds/my
+ */
+exports.getMyRefunds = async (req, res) => {
+  try {
+    const refunds = await prisma.refund.findMany({
+      where: { payment: { booking: { touristId: req.user.id } } },
+      include: {
+        payment: {
+          select: {
+            id: true,
+            amount: true,
+            currency: true,
+            method: true,
+            status: true,
+            booking: {
+              select: {
+                id: true,
+                bookingDate: true,
+                event: { select: { id: true, title: true } },
+              },
+            },
+          },
+        },
+      },
+      orderBy: { createdAt: "desc" },
+    });
+
+    res.status(200).json({
+      isOk: true,
+      refunds,
+      message: "Refunds fetched successfully.",
+    });
+  } catch (error) {
+    console.error("Error fetching refunds:", error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to fetch refunds",
+      error: error.message,
+    });
+  }
+};
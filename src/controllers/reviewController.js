@@ -0,0 +1,304 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const {
+  REVIEW_EDIT_WINDOW_DAYS,
+  parseReviewInput,
+  isWithinEditWindow,
+  ratedBookingSelect,
+  siteReviewsFilter,
+  refreshBookingRatings,
+  getRatingSummary,
+} = require("../services/reviewService");
+const { parseListQuery } = require("../services/queryService");
+
+// Query accepted by the review lists, see parseListQuery
+const REVIEW_LIST_QUERY = {};
+
+// Relations returned with every review
+const reviewInclude = {
+  tourist: { select: { id: true, name: true } },
+  booking: {
+    select: {
+      id: true,
+      bookingDate: true,
+      guideId: true,
+      event: { select: { id: true, title: true, touristicSiteId: true } },
+    },
+  },
+};
+
+/**
+ * Lists reviews matching a filter with their rating summary, newest first.
+ * Query parameters: page, limit
+ * @param {(req: object) => object} where - Builds the Review where clause
+ * @param {string} label - Used in log and error messages
+ */
+const listReviews = (where, label) => async (req, res) => {
+  const { page, limit, skip, errors } = parseListQuery(
+    req.query,
+    REVIEW_LIST_QUERY
+  );
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      isOk: false,
+      message: "Invalid query parameters",
+      errors,
+    });
+  }
+
+  try {
+    const filter = where(req);
+
+    const [summary, reviews] = await Promise.all([
+      getRatingSummary(filter),
+      prisma.review.findMany({
+        where: filter,
+        include: reviewInclude,
+        orderBy: { createdAt: "desc" },
+        skip,
+        take: limit,
+      }),
+    ]);
+
+    const totalPages = Math.ceil(summary.numberOfReviews / limit);
+
+    res.status(200).json({
+      isOk: true,
+      reviews,
+      summary,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalReviews: summary.numberOfReviews,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1,
+      },
+      message: "Reviews fetched successfully.",
+    });
+  } catch (error) {
+    console.error(`Error fetching ${label} reviews:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to fetch reviews",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Reviews a completed booking of the authenticated tourist.
+ * Expects rating (1-5) and an optional comment in req.body.
+ * @route POST /reviews/booking/:id
+ */
+exports.createReview = async (req, res) => {
+  const { id } = req.params;
+  const { data, errors } = parseReviewInput(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      isOk: false,
+      message: "Validation failed",
+      errors,
+    });
+  }
+
+  try {
+    const booking = await prisma.booking.findUnique({
+      where: { id },
+      select: { id: true, status: true, ...ratedBookingSelect },
+    });
+
+    if (!booking) {
+      return res.status(404).json({
+        isOk: false,
+        message: "Booking not found",
+      });
+    }
+
+    if (booking.status !== "COMPLETED") {
+      return res.status(400).json({
+        isOk: false,
+        message: "Only completed bookings can be reviewed",
+      });
+    }
+
+    const review = await prisma.$transaction(async (tx) => {
+      const created = await tx.review.create({
+        data: {
+          ...data,
+          tourist: { connect: { id: req.user.id } },
+          booking: { connect: { id: booking.id } },
+        },
+        include: reviewInclude,
+      });
+      await refreshBookingRatings(booking, tx);
+      return created;
+    });
+
+    res.status(201).json({
+      isOk: true,
+      data: review,
+      message: "Review created successfully.",
+    });
+  } catch (error) {
+    if (error.code === "P2002") {
+      return res.status(409).json({
+        isOk: false,
+        message: "This booking has already been reviewed",
+      });
+    }
+    console.error(`Error reviewing booking ${id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to create review",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Edits the rating or comment of the authenticated tourist's review, within
+ * REVIEW_EDIT_WINDOW_DAYS of posting it.
+ * @route PUT /reviews/:id
+ */
+exports.updateReview = async (req, res) => {
+  const { id } = req.params;
+  const { data, errors } = parseReviewInput(req.body, true);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      isOk: false,
+      message: "Validation failed",
+      errors,
+    });
+  }
+
+  try {
+    const review = await prisma.review.findUnique({
+      where: { id },
+      include: { booking: { select: ratedBookingSelect } },
+    });
+
+    if (!review) {
+      return res.status(404).json({
+        isOk: false,
+        message: "Review not found",
+      });
+    }
+
+    if (!isWithinEditWindow(review)) {
+      return res.status(403).json({
+        isOk: false,
+        message: `Reviews can only be edited within ${REVIEW_EDIT_WINDOW_DAYS} days of posting`,
+      });
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const saved = await tx.review.update({
+        where: { id },
+        data,
+        include: reviewInclude,
+      });
+      await refreshBookingRatings(review.booking, tx);
+      return saved;
+    });
+
+    res.status(200).json({
+      isOk: true,
+      data: updated,
+      message: "Review updated successfully.",
+    });
+  } catch (error) {
+    console.error(`Error updating review ${id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to update review",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Deletes a review. Tourists can only delete their own, within
+ * REVIEW_EDIT_WINDOW_DAYS of posting it; super admins can moderate any review.
+ * @route DELETE /reviews/:id
+ */
+exports.deleteReview = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const review = await prisma.review.findUnique({
+      where: { id },
+      include: { booking: { select: ratedBookingSelect } },
+    });
+
+    if (!review) {
+      return res.status(404).json({
+        isOk: false,
+        message: "Review not found",
+      });
+    }
+
+    if (req.user.role !== "SUPER_ADMIN" && !isWithinEditWindow(review)) {
+      return res.status(403).json({
+        isOk: false,
+        message: `Reviews can only be deleted within ${REVIEW_EDIT_WINDOW_DAYS} days of posting`,
+      });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.review.delete({ where: { id } });
+      await refreshBookingRatings(review.booking, tx);
+    });
+
+    res.status(200).json({
+      isOk: true,
+      message: "Review deleted successfully.",
+    });
+  } catch (error) {
+    console.error(`Error deleting review ${id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to delete review",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Lists the reviews written by the authenticated tourist.
+ * @route GET /reviews/my
+ */
+exports.getMyReviews = listReviews(
+  (req) => ({ touristId: req.user.id }),
+  "own"
+);
+
+/**
+ * Lists the reviews of a guide's bookings with the guide's rating summary.
+ * @route GET /reviews/guide/:id
+ */
+exports.getGuideReviews = listReviews(
+  (req) => ({ booking: { guideId: req.params.id } }),
+  "guide"
+);
+
+/**
+ * Lists the reviews of an event's bookings with the event's rating summary.
+ * @route GET /reviews/event/:id
+ */
+exports.getEventReviews = listReviews(
+  (req) => ({ booking: { eventId: req.params.id } }),
+  "event"
+);
+
+/**
+ * Lists the reviews of all events and private tours at a touristic site with
+ * the site's rating summary.
+ * @route GET /reviews/site/:id
+ */
+exports.getSiteReviews = listReviews(
+  (req) => siteReviewsFilter(req.params.id),
+  "site"
+);
@@ -0,0 +1,135 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const {
+  tokenize,
+  highlight,
+  buildSnippet,
+  findMatches,
+  buildFacets,
+} = require("../services/searchService");
+const { COVER_FIRST_ORDER } = require("../services/imageGalleryService");
+const { parseListQuery } = require("../services/queryService");
+
+const SEARCH_TYPES = {
+  all: ["site", "event"],
+  sites: ["site"],
+  events: ["event"],
+};
+
+// Query accepted by GET /search, see parseListQuery
+const SEARCH_QUERY = {
+  filters: {
+    q: { type: "string" },
+    type: { type: "enum", values: Object.keys(SEARCH_TYPES) },
+    category: { type: "string" },
+    location: { type: "string" },
+    minPrice: { type: "number", min: 0 },
+    maxPrice: { type: "number", min: 0 },
+    minRating: { type: "number", min: 0, max: 5 },
+  },
+  ranges: [["minPrice", "maxPrice"]],
+};
+
+/**
+ * Searches touristic sites and events with the MySQL full-text indexes.
+ * Query parameters: q, type (all, sites, events), category, location,
+ * minPrice, maxPrice (entry fee for sites, price for events), minRating,
+ * page, limit
+ * Invalid or unknown parameters are rejected with a 400 listing the problems.
+ * Results are ranked by relevance and carry highlighted name/description
+ * snippets; facets describe every match, not only the current page.
+ * @route GET /search
+ */
+exports.search = async (req, res) => {
+  const { page, limit, skip, filters, errors } = parseListQuery(
+    req.query,
+    SEARCH_QUERY
+  );
+  const { type = "all" } = filters;
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      isOk: false,
+      message: "Invalid query parameters",
+      errors,
+    });
+  }
+
+  try {
+    const searchFilters = {
+      terms: tokenize(filters.q),
+      category: filters.category,
+      location: filters.location,
+      minPrice: filters.minPrice,
+      maxPrice: filters.maxPrice,
+      minRating: filters.minRating,
+    };
+
+    const matches = (
+      await Promise.all(
+        SEARCH_TYPES[type].map((kind) => findMatches(kind, searchFilters))
+      )
+    )
+      .flat()
+      .sort((a, b) => b.score - a.score);
+
+    const pageMatches = matches.slice(skip, skip + limit);
+    const idsOf = (kind) =>
+      pageMatches.filter((m) => m.type === kind).map((m) => m.id);
+
+    const [sites, events] = await Promise.all([
+      prisma.touristicSite.findMany({
+        where: { id: { in: idsOf("site") } },
+        include: { images: { take: 1, orderBy: COVER_FIRST_ORDER } },
+      }),
+      prisma.event.findMany({
+        where: { id: { in: idsOf("event") } },
+        include: {
+          images: { take: 1, orderBy: COVER_FIRST_ORDER },
+          touristicSite: { select: { id: true, name: true, location: true } },
+        },
+      }),
+    ]);
+
+    const byId = new Map([...sites, ...events].map((item) => [item.id, item]));
+    const results = pageMatches
+      .filter((match) => byId.has(match.id))
+      .map((match) => {
+        const item = byId.get(match.id);
+        const title = match.type === "site" ? item.name : item.title;
+        return {
+          type: match.type,
+          score: match.score,
+          rating: match.rating,
+          highlights: {
+            title: highlight(title, searchFilters.terms),
+            description: buildSnippet(item.description, searchFilters.terms),
+          },
+          data: item,
+        };
+      });
+
+    const totalPages = Math.ceil(matches.length / limit);
+
+    res.status(200).json({
+      isOk: true,
+      results,
+      facets: buildFacets(matches),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalResults: matches.length,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1,
+      },
+      message: "Search completed successfully.",
+    });
+  } catch (error) {
+    console.error("Error searching:", error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to search",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,491 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const bcrypt = require("bcrypt");
+const {
+  SITE_ADMIN_ROLES,
+  lockOwners,
+  createInvitation,
+  findInvitationByToken,
+  getInvitationProblem,
+} = require("../services/siteAdminService");
+const { EMAIL_PATTERN } = require("../services/accountService");
+
+// Relations returned with every membership
+const membershipInclude = {
+  siteAdmin: {
+    select: {
+      id: true,
+      user: { select: { id: true, name: true, email: true } },
+    },
+  },
+  site: { select: { id: true, name: true } },
+};
+
+// Invitation fields safe to return, never the token hash
+const invitationSelect = {
+  id: true,
+  siteId: true,
+  email: true,
+  role: true,
+  expiresAt: true,
+  createdAt: true,
+  invitedBy: {
+    select: { id: true, user: { select: { id: true, name: true } } },
+  },
+};
+
+/**
+ * Lists the admins of a site with their roles, owners first.
+ * @route GET /tour-site/site/:id/admins
+ */
+exports.getSiteAdmins = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const memberships = await prisma.siteAdminMembership.findMany({
+      where: { siteId: id },
+      include: membershipInclude,
+      orderBy: [{ role: "asc" }, { createdAt: "asc" }],
+    });
+
+    res.status(200).json({
+      isOk: true,
+      data: memberships,
+      message: "Site admins fetched successfully.",
+    });
+  } catch (error) {
+    console.error(`Error fetching admins of site ${id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to fetch site admins",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Changes the role of one of a site's admins (an OWNER of the site).
+ * A site always keeps at least one OWNER.
+ * Expects role (OWNER or EDITOR) in req.body.
+ * @route PUT /tour-site/site/:id/admins/:adminId
+ */
+exports.updateSiteAdminRole = async (req, res) => {
+  const { id, adminId } = req.params;
+  const { role } = req.body;
+
+  if (!SITE_ADMIN_ROLES.includes(role)) {
+    return res.status(400).json({
+      isOk: false,
+      message: `Role must be one of ${SITE_ADMIN_ROLES.join(", ")}`,
+    });
+  }
+
+  try {
+    // The owners stay locked until the change is made, so two owners cannot
+    // demote each other at the same time
+    const { error, statusCode, updated } = await prisma.$transaction(
+      async (tx) => {
+        const owners = await lockOwners(tx, id);
+        const membership = await tx.siteAdminMembership.findUnique({
+          where: { siteAdminId_siteId: { siteAdminId: adminId, siteId: id } },
+        });
+
+        if (!membership) {
+          return {
+            error: "This admin does not manage this site",
+            statusCode: 404,
+          };
+        }
+        if (membership.role === "OWNER" && role !== "OWNER" && owners === 1) {
+          return {
+            error: "A site must keep at least one owner",
+            statusCode: 409,
+          };
+        }
+
+        return {
+          updated: await tx.siteAdminMembership.update({
+            where: { id: membership.id },
+            data: { role },
+            include: membershipInclude,
+          }),
+        };
+      }
+    );
+
+    if (error) {
+      return res.status(statusCode).json({ isOk: false, message: error });
+    }
+
+    res.status(200).json({
+      isOk: true,
+      data: updated,
+      message: "Site admin role updated successfully.",
+    });
+  } catch (error) {
+    console.error(`Error updating admin ${adminId} of site ${id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to update site admin role",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Removes an admin from a site. OWNERs can remove anyone, other admins only
+ * themselves (leaving the site). A site always keeps at least one OWNER.
+ * @route DELETE /tour-site/site/:id/admins/:adminId
+ */
+exports.removeSiteAdmin = async (req, res) => {
+  const { id, adminId } = req.params;
+
+  const isSelf = adminId === req.user.siteAdminId;
+  if (
+    req.user.role !== "SUPER_ADMIN" &&
+    !isSelf &&
+    req.user.siteRoles[id] !== "OWNER"
+  ) {
+    return res.status(403).json({
+      isOk: false,
+      message: "Only an owner of the site can remove other admins",
+    });
+  }
+
+  try {
+    // The owners stay locked until the removal is made, so two owners cannot
+    // remove each other at the same time
+    const { error, statusCode } = await prisma.$transaction(async (tx) => {
+      const owners = await lockOwners(tx, id);
+      const membership = await tx.siteAdminMembership.findUnique({
+        where: { siteAdminId_siteId: { siteAdminId: adminId, siteId: id } },
+      });
+
+      if (!membership) {
+        return {
+          error: "This admin does not manage this site",
+          statusCode: 404,
+        };
+      }
+      if (membership.role === "OWNER" && owners === 1) {
+        return {
+          error:
+            "A site must keep at least one owner, make another admin owner first",
+          statusCode: 409,
+        };
+      }
+
+      await tx.siteAdminMembership.delete({ where: { id: membership.id } });
+      return {};
+    });
+
+    if (error) {
+      return res.status(statusCode).json({ isOk: false, message: error });
+    }
+
+    res.status(200).json({
+      isOk: true,
+      message: isSelf
+        ? "You no longer manage this site."
+        : "Site admin removed successfully.",
+    });
+  } catch (error) {
+    console.error(`Error removing admin ${adminId} from site ${id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to remove site admin",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Lists the pending invitations of a site (an OWNER of the site).
+ * @route GET /tour-site/site/:id/invitations
+ */
+exports.getSiteInvitations = async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const invitations = await prisma.siteAdminInvitation.findMany({
+      where: {
+        siteId: id,
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { gt: new Date() },
+      },
+      select: invitationSelect,
+      orderBy: { createdAt: "desc" },
+    });
+
+    res.status(200).json({
+      isOk: true,
+      data: invitations,
+      message: "Invitations fetched successfully.",
+    });
+  } catch (error) {
+    console.error(`Error fetching invitations of site ${id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to fetch invitations",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Invites someone by email to administer a site (an OWNER of the site).
+ * The email carries a single-use link; a pending invitation to the same
+ * address is replaced.
+ * Expects email and an optional role (OWNER or EDITOR, default EDITOR) in req.body.
+ * @route POST /tour-site/site/:id/invitations
+ */
+exports.inviteSiteAdmin = async (req, res) => {
+  const { id } = req.params;
+  const email = String(req.body.email || "")
+    .trim()
+    .toLowerCase();
+  const role = req.body.role || "EDITOR";
+
+  const errors = [];
+  if (!EMAIL_PATTERN.test(email)) errors.push("A valid email is required");
+  if (!SITE_ADMIN_ROLES.includes(role))
+    errors.push(`Role must be one of ${SITE_ADMIN_ROLES.join(", ")}`);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      isOk: false,
+      message: "Validation failed",
+      errors,
+    });
+  }
+
+  try {
+    const site = await prisma.touristicSite.findUnique({
+      where: { id },
+      select: { id: true, name: true },
+    });
+
+    if (!site) {
+      return res.status(404).json({
+        isOk: false,
+        message: "Touristic site not found",
+      });
+    }
+
+    const existingMember = await prisma.siteAdminMembership.findFirst({
+      where: { siteId: id, siteAdmin: { user: { email } } },
+      select: { id: true },
+    });
+
+    if (existingMember) {
+      return res.status(409).json({
+        isOk: false,
+        message: "This person already manages this site",
+      });
+    }
+
+    const invitation = await createInvitation({
+      site,
+      email,
+      role,
+      invitedBy: req.user,
+    });
+
+    res.status(201).json({
+      isOk: true,
+      data: await prisma.siteAdminInvitation.findUnique({
+        where: { id: invitation.id },
+        select: invitationSelect,
+      }),
+      message: `Invitation sent to ${email}.`,
+    });
+  } catch (error) {
+    console.error(`Error inviting an admin to site ${id}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to send invitation",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Revokes a pending invitation of a site (an OWNER of the site).
+ * @route DELETE /tour-site/site/:id/invitations/:invitationId
+ */
+exports.revokeSiteInvitation = async (req, res) => {
+  const { id, invitationId } = req.params;
+
+  try {
+    const { count } = await prisma.siteAdminInvitation.updateMany({
+      where: {
+        id: invitationId,
+        siteId: id,
+        acceptedAt: null,
+        revokedAt: null,
+      },
+      data: { revokedAt: new Date() },
+    });
+
+    if (count === 0) {
+      return res.status(404).json({
+        isOk: false,
+        message: "Pending invitation not found",
+      });
+    }
+
+    res.status(200).json({
+      isOk: true,
+      message: "Invitation revoked.",
+    });
+  } catch (error) {
+    console.error(`Error revoking invitation ${invitationId}:`, error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to revoke invitation",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Accepts an invitation to administer a site.
+ * Someone who already has an account must be logged in as the invited email,
+ * and that account must be a site admin one; otherwise a SITE_ADMIN account
+ * is created for the invited email.
+ * Expects token, plus name, password and an optional phoneNumber in req.body
+ * when no account exists yet.
+ * @route POST /tour-site/invitations/accept
+ */
+exports.acceptSiteInvitation = async (req, res) => {
+  const { token, name, password, phoneNumber } = req.body;
+
+  if (!token) {
+    return res.status(400).json({
+      isOk: false,
+      message: "Invitation token is required",
+    });
+  }
+
+  try {
+    const invitation = await findInvitationByToken(token);
+
+    if (!invitation) {
+      return res.status(404).json({
+        isOk: false,
+        message: "Invitation not found",
+      });
+    }
+
+    const problem = getInvitationProblem(invitation);
+    if (problem) {
+      return res.status(410).json({
+        isOk: false,
+        message: problem,
+      });
+    }
+
+    const existingUser = await prisma.user.findUnique({
+      where: { email: invitation.email },
+      select: { id: true, role: true },
+    });
+
+    let hashedPassword = null;
+    if (existingUser) {
+      if (!req.user || req.user.id !== existingUser.id) {
+        return res.status(401).json({
+          isOk: false,
+          message: `Log in as ${invitation.email} to accept this invitation`,
+        });
+      }
+      if (existingUser.role !== "SITE_ADMIN") {
+        return res.status(409).json({
+          isOk: false,
+          message: "Only site admin accounts can manage sites",
+        });
+      }
+    } else {
+      if (!name || !password) {
+        return res.status(400).json({
+          isOk: false,
+          message: "Name and password are required to create your account",
+        });
+      }
+      hashedPassword = await bcrypt.hash(password, 12);
+    }
+
+    const result = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.siteAdminInvitation.updateMany({
+        where: { id: invitation.id, acceptedAt: null, revokedAt: null },
+        data: { acceptedAt: new Date() },
+      });
+      if (count === 0) return { conflict: true };
+
+      const userId = existingUser
+        ? existingUser.id
+        : (
+            await tx.user.create({
+              data: {
+                name,
+                email: invitation.email,
+                password: hashedPassword,
+                phoneNumber: phoneNumber || null,
+                role: "SITE_ADMIN",
+              },
+            })
+          ).id;
+
+      const siteAdmin = await tx.touristicSiteAdmin.upsert({
+        where: { userId },
+        create: { user: { connect: { id: userId } } },
+        update: {},
+      });
+
+      // Accepting never demotes an existing owner
+      const membership = await tx.siteAdminMembership.upsert({
+        where: {
+          siteAdminId_siteId: {
+            siteAdminId: siteAdmin.id,
+            siteId: invitation.siteId,
+          },
+        },
+        create: {
+          siteAdmin: { connect: { id: siteAdmin.id } },
+          site: { connect: { id: invitation.siteId } },
+          role: invitation.role,
+        },
+        update: invitation.role === "OWNER" ? { role: "OWNER" } : {},
+        include: membershipInclude,
+      });
+
+      return { membership };
+    });
+
+    if (result.conflict) {
+      return res.status(409).json({
+        isOk: false,
+        message: "This invitation was just used or revoked",
+      });
+    }
+
+    res.status(200).json({
+      isOk: true,
+      data: result.membership,
+      message: `You now manage ${invitation.site.name}.`,
+    });
+  } catch (error) {
+    if (error.code === "P2002") {
+      return res.status(409).json({
+        isOk: false,
+        message: "An account with this email was just created, please log in",
+      });
+    }
+    console.error("Error accepting site invitation:", error);
+    res.status(500).json({
+      isOk: false,
+      message: "Failed to accept invitation",
+      error: error.message,
+    });
+  }
+};
@@ -2,8 +2,63 @@
 const { PrismaClient } = require("@prisma/client");
 const prisma = new PrismaClient();
 const bcrypt = require("bcrypt");
+const {
+  MAX_BOX_RESULTS,
+  isValidCoordinates,
+  parsePointQuery,
+  parseBoundingBox,
+  boundingBoxFilter,
+  findSitesNear,
+  MAX_MAP_FEATURES,
+  parseMapQuery,
+  toPointFeature,
+  clusterFeatures,
+} = require("../services/geoService");
+const {
+  UPCOMING_WINDOW_DAYS,
+  expandOccurrences,
+  scheduleRangeFilter,
+} = require("../services/scheduleService");
+const {
+  publishedSiteFilter,
+  publishedEventFilter,
+  resubmitAfterEdit,
+} = require("../services/moderationService");
+const { deleteImageFiles, thumbnailUrl } = require("../services/mediaService");
+const {
+  IMAGE_ORDER,
+  COVER_FIRST_ORDER,
+  parseListField,
+  parseNewImageDetails,
+  newImagesData,
+  applyImageChanges,
+} = require("../services/imageGalleryService");
+const { parseListQuery, rangeFilter } = require("../services/queryService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Query accepted by the paginated site and site admin lists, see parseListQuery
+const PAGE_QUERY = {};
+
+// Query accepted by GET /tour-site/nearby, lat, lng and radius are checked by
+// parsePointQuery
+const NEARBY_QUERY = {
+  filters: {
+    lat: { type: "number" },
+    lng: { type: "number" },
+    radius: { type: "number" },
+  },
+};
+
+// Whether a submitted siteLatitude or siteLongitude is out of range
+const hasInvalidCoordinate = (siteLatitude, siteLongitude) =>
+  Boolean(
+    (siteLatitude && !isValidCoordinates(parseFloat(siteLatitude), 0)) ||
+      (siteLongitude && !isValidCoordinates(0, parseFloat(siteLongitude)))
+  );
 
 // CREATE - Site Admin with Touristic Site
+// siteImages may come with imageDetails: [{ caption, altText, isCover }] per image
 exports.createSiteAdminWithSite = async (req, res) => {
   try {
     const {
@@ -19,6 +74,7 @@ exports.createSiteAdminWithSite = async (req, res) => {
       siteOpeningHours,
       siteEntryFee,
       siteCategory,
+      imageDetails,
     } = req.body;
 
     console.log("Request body:", req.body);
@@ -32,6 +88,21 @@ exports.createSiteAdminWithSite = async (req, res) => {
       });
     }
 
+    if (hasInvalidCoordinate(siteLatitude, siteLongitude)) {
+      return res.status(400).json({
+        error: "siteLatitude and siteLongitude must be valid coordinates",
+      });
+    }
+
+    const files = req.files || [];
+    const { details, errors: imageErrors } = parseNewImageDetails(
+      imageDetails,
+      files.length
+    );
+    if (imageErrors.length > 0) {
+      return res.status(400).json({ error: imageErrors.join("; ") });
+    }
+
     // Check if user already exists
     const existingUser = await prisma.user.findUnique({
       where: { email },
@@ -46,17 +117,8 @@ exports.createSiteAdminWithSite = async (req, res) => {
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 12);
 
-    // Process uploaded images
-    const siteImages = [];
-    if (req.files && req.files) {
-      const files = Array.isArray(req.files) ? req.files : [req.files];
-
-      for (const file of files) {
-        siteImages.push({
-          url: `/uploads/sites/${file.filename || file.name}`,
-        });
-      }
-    }
+    // Uploaded images, checked and stored by uploadImages()
+    const siteImages = newImagesData(files, details, { withCover: true });
 
     // Create transaction
     const result = await prisma.$transaction(async (prisma) => {
@@ -82,14 +144,18 @@ exports.createSiteAdminWithSite = async (req, res) => {
           openingHours: siteOpeningHours || "",
           entryFee: siteEntryFee ? parseFloat(siteEntryFee) : null,
           category: siteCategory || "",
+          // New sites wait for a SUPER_ADMIN to approve them
+          submittedAt: new Date(),
         },
       });
 
-      // 3. Create TouristicSiteAdmin (linking user and site)
+      // 3. Create TouristicSiteAdmin, owner of the new site
       const siteAdmin = await prisma.touristicSiteAdmin.create({
         data: {
           userId: user.id,
-          siteId: touristicSite.id,
+          memberships: {
+            create: { siteId: touristicSite.id, role: "OWNER" },
+          },
         },
       });
 
@@ -97,7 +163,7 @@ exports.createSiteAdminWithSite = async (req, res) => {
       if (siteImages.length > 0) {
         await prisma.touristicSiteImage.createMany({
           data: siteImages.map((image) => ({
-            url: image.url,
+            ...image,
             touristicSiteId: touristicSite.id,
           })),
         });
@@ -110,7 +176,8 @@ exports.createSiteAdminWithSite = async (req, res) => {
     const { password: _, ...userWithoutPassword } = result.user;
 
     res.status(201).json({
-      message: "Site admin and touristic site created successfully",
+      message:
+        "Site admin and touristic site created successfully, the site is pending review",
       data: {
         user: userWithoutPassword,
         site: result.touristicSite,
@@ -126,15 +193,89 @@ exports.createSiteAdminWithSite = async (req, res) => {
   }
 };
 
+// CREATE - Another touristic site for the authenticated site admin, who owns it
+// siteImages may come with imageDetails: [{ caption, altText, isCover }] per image
+exports.createSite = async (req, res) => {
+  try {
+    const {
+      siteName,
+      siteDescription,
+      siteLocation,
+      siteLatitude,
+      siteLongitude,
+      siteOpeningHours,
+      siteEntryFee,
+      siteCategory,
+      imageDetails,
+    } = req.body;
+
+    if (!siteName || !siteLocation) {
+      return res.status(400).json({
+        error: "Missing required fields: siteName, siteLocation",
+      });
+    }
+
+    if (hasInvalidCoordinate(siteLatitude, siteLongitude)) {
+      return res.status(400).json({
+        error: "siteLatitude and siteLongitude must be valid coordinates",
+      });
+    }
+
+    const files = req.files || [];
+    const { details, errors: imageErrors } = parseNewImageDetails(
+      imageDetails,
+      files.length
+    );
+    if (imageErrors.length > 0) {
+      return res.status(400).json({ error: imageErrors.join("; ") });
+    }
+
+    const touristicSite = await prisma.touristicSite.create({
+      data: {
+        name: siteName,
+        description: siteDescription || "",
+        location: siteLocation,
+        latitude: siteLatitude ? parseFloat(siteLatitude) : null,
+        longitude: siteLongitude ? parseFloat(siteLongitude) : null,
+        openingHours: siteOpeningHours || "",
+        entryFee: siteEntryFee ? parseFloat(siteEntryFee) : null,
+        category: siteCategory || "",
+        submittedAt: new Date(),
+        adminMemberships: {
+          create: { siteAdminId: req.user.siteAdminId, role: "OWNER" },
+        },
+        images: {
+          create: newImagesData(files, details, { withCover: true }),
+        },
+      },
+      include: { images: { orderBy: IMAGE_ORDER } },
+    });
+
+    res.status(201).json({
+      message: "Touristic site created successfully, it is pending review",
+      data: { site: touristicSite },
+    });
+  } catch (error) {
+    console.error("Error creating touristic site:", error);
+    res.status(500).json({
+      error: "Internal server error",
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
 // READ - Get all Site Admins with their sites
 exports.getAllSiteAdmins = async (req, res) => {
-  try {
-    const { page = 1, limit = 10 } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+  const { page, limit, skip, errors } = parseListQuery(req.query, PAGE_QUERY);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Invalid query parameters", errors });
+  }
 
+  try {
     const siteAdmins = await prisma.touristicSiteAdmin.findMany({
       skip,
-      take: parseInt(limit),
+      take: limit,
       include: {
         user: {
           select: {
@@ -145,16 +286,20 @@ exports.getAllSiteAdmins = async (req, res) => {
             createdAt: true,
           },
         },
-        site: {
+        memberships: {
           include: {
-            images: {
-              take: 1, // Get only first image for thumbnail
-              orderBy: { createdAt: "asc" },
+            site: {
+              include: {
+                images: {
+                  take: 1, // Get only the cover for thumbnail
+                  orderBy: COVER_FIRST_ORDER,
+                },
+              },
             },
           },
         },
       },
-      orderBy: { createdAt: "desc" },
+      orderBy: { user: { createdAt: "desc" } },
     });
 
     const total = await prisma.touristicSiteAdmin.count();
@@ -162,10 +307,10 @@ exports.getAllSiteAdmins = async (req, res) => {
     res.status(200).json({
       data: siteAdmins,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         total,
-        pages: Math.ceil(total / parseInt(limit)),
+        pages: Math.ceil(total / limit),
       },
     });
   } catch (error) {
@@ -181,6 +326,13 @@ exports.getSiteAdminById = async (req, res) => {
   try {
     const { id } = req.params;
 
+    // The admin and super admins see unpublished listings, contact details,
+    // who favorited the sites and the bookings of the events
+    const seesAll = Boolean(
+      req.user &&
+        (req.user.siteAdminId === id || req.user.role === "SUPER_ADMIN")
+    );
+
     const siteAdmin = await prisma.touristicSiteAdmin.findUnique({
       where: { id },
       include: {
@@ -188,42 +340,53 @@ exports.getSiteAdminById = async (req, res) => {
           select: {
             id: true,
             name: true,
-            email: true,
-            phoneNumber: true,
+            email: seesAll,
+            phoneNumber: seesAll,
             profilePicture: true,
             createdAt: true,
             updatedAt: true,
           },
         },
-        site: {
+        memberships: {
+          ...(!seesAll && { where: { site: publishedSiteFilter } }),
           include: {
-            images: true,
-            favorites: {
-              select: {
-                id: true,
-                user: {
-                  select: {
-                    id: true,
-                    name: true,
+            site: {
+              include: {
+                images: { orderBy: IMAGE_ORDER },
+                _count: { select: { favorites: true } },
+                ...(seesAll && {
+                  favorites: {
+                    select: {
+                      id: true,
+                      user: {
+                        select: {
+                          id: true,
+                          name: true,
+                        },
+                      },
+                    },
                   },
-                },
+                }),
               },
             },
           },
         },
         siteEvents: {
+          ...(!seesAll && { where: publishedEventFilter }),
           include: {
             touristicSite: {
               select: {
                 name: true,
               },
             },
-            bookings: {
-              select: {
-                id: true,
-                status: true,
+            ...(seesAll && {
+              bookings: {
+                select: {
+                  id: true,
+                  status: true,
+                },
               },
-            },
+            }),
           },
         },
       },
@@ -236,7 +399,15 @@ exports.getSiteAdminById = async (req, res) => {
     }
 
     res.status(200).json({
-      data: siteAdmin,
+      data: {
+        ...siteAdmin,
+        memberships: siteAdmin.memberships.map(
+          ({ site: { _count, ...site }, ...membership }) => ({
+            ...membership,
+            site: { ...site, favoritesCount: _count.favorites },
+          })
+        ),
+      },
     });
   } catch (error) {
     console.error("Error fetching site admin:", error);
@@ -246,7 +417,9 @@ exports.getSiteAdminById = async (req, res) => {
   }
 };
 
-// UPDATE - Update Site Admin and associated data
+// UPDATE - Update Site Admin and one of their sites
+// siteId picks the site to update, it may be omitted when the admin manages one site.
+// New siteImages may come with imageDetails, imagesToRemove lists image IDs to delete.
 exports.updateSiteAdmin = async (req, res) => {
   try {
     const { id } = req.params;
@@ -254,6 +427,7 @@ exports.updateSiteAdmin = async (req, res) => {
       name,
       email,
       phoneNumber,
+      siteId,
       siteName,
       siteDescription,
       siteLocation,
@@ -262,12 +436,42 @@ exports.updateSiteAdmin = async (req, res) => {
       siteOpeningHours,
       siteEntryFee,
       siteCategory,
+      imagesToRemove, // JSON string of array of image IDs to delete
+      imageDetails,
     } = req.body;
 
+    // Owners verify a new email through the /users/me endpoints
+    if (email !== undefined && req.user.role !== "SUPER_ADMIN") {
+      return res.status(403).json({
+        error: "Change your email with PUT /users/me/email.",
+      });
+    }
+
+    if (hasInvalidCoordinate(siteLatitude, siteLongitude)) {
+      return res.status(400).json({
+        error: "siteLatitude and siteLongitude must be valid coordinates",
+      });
+    }
+
+    const files = req.files || [];
+    const { items: parsedImagesToRemove, error: removeError } = parseListField(
+      imagesToRemove,
+      "imagesToRemove"
+    );
+    const { details, errors: imageErrors } = parseNewImageDetails(
+      imageDetails,
+      files.length
+    );
+    if (removeError || imageErrors.length > 0) {
+      return res.status(400).json({
+        error: [removeError, ...imageErrors].filter(Boolean).join("; "),
+      });
+    }
+
     // Check if site admin exists
     const existingSiteAdmin = await prisma.touristicSiteAdmin.findUnique({
       where: { id },
-      include: { user: true, site: true },
+      include: { user: true, memberships: { select: { siteId: true } } },
     });
 
     if (!existingSiteAdmin) {
@@ -276,6 +480,36 @@ exports.updateSiteAdmin = async (req, res) => {
       });
     }
 
+    const hasSiteChanges =
+      [
+        siteName,
+        siteDescription,
+        siteLocation,
+        siteLatitude,
+        siteLongitude,
+        siteOpeningHours,
+        siteEntryFee,
+        siteCategory,
+      ].some((value) => value !== undefined) ||
+      files.length > 0 ||
+      parsedImagesToRemove.length > 0;
+
+    // The site being edited must be one the admin manages
+    const managedSiteIds = existingSiteAdmin.memberships.map((m) => m.siteId);
+    const targetSiteId =
+      siteId || (managedSiteIds.length === 1 ? managedSiteIds[0] : null);
+
+    if (hasSiteChanges && !targetSiteId) {
+      return res.status(400).json({
+        error: "siteId is required for admins managing several sites",
+      });
+    }
+    if (hasSiteChanges && !managedSiteIds.includes(targetSiteId)) {
+      return res.status(403).json({
+        error: "This admin does not manage the given site",
+      });
+    }
+
     // Check if email is being changed and if it's already taken
     if (email && email !== existingSiteAdmin.user.email) {
       const existingUser = await prisma.user.findUnique({
@@ -289,21 +523,6 @@ exports.updateSiteAdmin = async (req, res) => {
       }
     }
 
-    // Process new images if any
-    const newSiteImages = [];
-    if (req.files && req.files.siteImages) {
-      const files = Array.isArray(req.files.siteImages)
-        ? req.files.siteImages
-        : [req.files.siteImages];
-
-      for (const file of files) {
-        newSiteImages.push({
-          url: `/uploads/sites/${file.filename || file.name}`,
-          touristicSiteId: existingSiteAdmin.siteId,
-        });
-      }
-    }
-
     // Update transaction
     const result = await prisma.$transaction(async (prisma) => {
       // 1. Update User
@@ -316,10 +535,25 @@ exports.updateSiteAdmin = async (req, res) => {
         },
       });
 
-      // 2. Update TouristicSite
+      if (!hasSiteChanges) return { user, touristicSite: null };
+
+      // 2. Remove and add images, checked and stored by uploadImages()
+      const removedImages = await applyImageChanges(
+        prisma,
+        "sites",
+        targetSiteId,
+        { removeIds: parsedImagesToRemove, files, details }
+      );
+
+      // 3. Update TouristicSite, back to review if it was published
+      const { status } = await prisma.touristicSite.findUnique({
+        where: { id: targetSiteId },
+        select: { status: true },
+      });
       const touristicSite = await prisma.touristicSite.update({
-        where: { id: existingSiteAdmin.siteId },
+        where: { id: targetSiteId },
         data: {
+          ...resubmitAfterEdit(req.user, status),
           ...(siteName && { name: siteName }),
           ...(siteDescription !== undefined && {
             description: siteDescription,
@@ -339,18 +573,15 @@ exports.updateSiteAdmin = async (req, res) => {
           }),
           ...(siteCategory !== undefined && { category: siteCategory }),
         },
+        include: { images: { orderBy: IMAGE_ORDER } },
       });
 
-      // 3. Add new images if any
-      if (newSiteImages.length > 0) {
-        await prisma.touristicSiteImage.createMany({
-          data: newSiteImages,
-        });
-      }
-
-      return { user, touristicSite };
+      return { user, touristicSite, removedImages };
     });
 
+    // Delete the files of removed images once their rows are gone
+    if (result.removedImages) await deleteImageFiles(result.removedImages);
+
     // Return updated data
     const { password: _, ...userWithoutPassword } = result.user;
 
@@ -371,24 +602,339 @@ exports.updateSiteAdmin = async (req, res) => {
   }
 };
 
-//
+// Site columns selectable with ?fields=, plus the images and events relations
+const SITE_FIELDS = [
+  "id",
+  "name",
+  "description",
+  "location",
+  "latitude",
+  "longitude",
+  "category",
+  "openingHours",
+  "entryFee",
+  "rating",
+  "numberOfReviews",
+];
+const SITE_RELATIONS = ["images", "events"];
+
+// Orderings of the site listing, id last so the cursor order is stable
+const SITE_SORTS = {
+  name: (order) => [{ name: order }, { id: "asc" }],
+  entryFee: (order) => [{ entryFee: order }, { id: "asc" }],
+  popularity: (order) => [{ favorites: { _count: order } }, { id: "asc" }],
+  rating: (order) => [
+    { rating: order },
+    { numberOfReviews: order },
+    { id: "asc" },
+  ],
+};
+
+const MAX_SITES_PAGE = 100;
 
+// Query accepted by GET /tour-site/allsites, see parseListQuery. fields is
+// checked against SITE_FIELDS and SITE_RELATIONS by the handler.
+const SITE_LIST_QUERY = {
+  sortFields: Object.keys(SITE_SORTS),
+  defaultSortBy: "name",
+  defaultLimit: 20,
+  maxLimit: MAX_SITES_PAGE,
+  filters: {
+    cursor: { type: "cursor" },
+    category: { type: "string" },
+    location: { type: "string" },
+    minFee: { type: "number", min: 0 },
+    maxFee: { type: "number", min: 0 },
+    fields: { type: "string" },
+  },
+  ranges: [["minFee", "maxFee"]],
+};
+
+// READ - Touristic sites, a page at a time
+// Query parameters: cursor (nextCursor of the previous page), limit,
+// category, location, minFee, maxFee, sortBy (name, entryFee, popularity,
+// rating), sortOrder (asc, desc), fields (comma-separated, defaults to every
+// column and images; add "events" to include the site's events)
 exports.getAllTouristicSites = async (req, res) => {
+  const {
+    limit: take,
+    sortBy,
+    filters,
+    errors,
+  } = parseListQuery(req.query, SITE_LIST_QUERY);
+  const { cursor, category, location, minFee, maxFee, fields } = filters;
+  // Names read best A to Z, the other sorts put the highest first
+  const sortOrder =
+    req.query.sortOrder === undefined && sortBy !== "name"
+      ? "desc"
+      : req.query.sortOrder || "asc";
+
+  const requested = fields
+    ? [...new Set(fields.split(",").map((field) => field.trim()))]
+    : [...SITE_FIELDS, "images"];
+  const unknown = requested.filter(
+    (field) => !SITE_FIELDS.includes(field) && !SITE_RELATIONS.includes(field)
+  );
+  if (unknown.length > 0) errors.push(`Unknown fields: ${unknown.join(", ")}`);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Invalid query parameters", errors });
+  }
+
   try {
+    const userId = req.user ? req.user.id : null;
+
+    // A cursor must still point at a site, or the page would come back empty
+    if (
+      cursor &&
+      !(await prisma.touristicSite.findUnique({
+        where: { id: cursor },
+        select: { id: true },
+      }))
+    ) {
+      return res.status(400).json({
+        error: "Invalid query parameters",
+        errors: [
+          "cursor does not match a site, start again from the first page",
+        ],
+      });
+    }
+
+    const entryFee = rangeFilter(minFee, maxFee);
+    const where = {
+      ...publishedSiteFilter,
+      ...(category && { category }),
+      ...(location && { location: { contains: location } }),
+      ...(entryFee && { entryFee }),
+    };
+
+    const select = { id: true };
+    for (const field of requested) select[field] = true;
+    if (select.images) select.images = { orderBy: IMAGE_ORDER };
+    if (select.events) select.events = { where: { status: "PUBLISHED" } };
+    select._count = { select: { favorites: true } };
+    // Only the current user's favorite, to flag the sites they saved
+    if (userId) select.favorites = { where: { userId }, select: { id: true } };
+
+    const [total, sites] = await Promise.all([
+      prisma.touristicSite.count({ where }),
+      prisma.touristicSite.findMany({
+        where,
+        select,
+        orderBy: SITE_SORTS[sortBy](sortOrder),
+        // One extra row tells whether there is a next page
+        take: take + 1,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+      }),
+    ]);
+
+    const pageSites = sites.slice(0, take);
+    const hasNextPage = sites.length > take;
+
+    res.status(200).json({
+      sites: pageSites.map(({ _count, favorites, ...site }) => ({
+        ...site,
+        favoritesCount: _count.favorites,
+        isFavorited: Boolean(favorites && favorites.length > 0),
+      })),
+      pagination: {
+        limit: take,
+        total,
+        hasNextPage,
+        nextCursor: hasNextPage ? pageSites[pageSites.length - 1].id : null,
+      },
+      message: "Touristic sites fetched successfully...",
+      success: true,
+    });
+  } catch (error) {
+    console.error("Error fetching touristic sites:", error);
+    res.status(500).json({
+      error: "Internal server error",
+    });
+  }
+};
+
+// READ - Sites within a radius of a point, nearest first, up to
+// MAX_NEARBY_RESULTS of them
+// Query parameters: lat, lng, radius (km, default 10), page, limit
+exports.getNearbySites = async (req, res) => {
+  const { page, limit, skip, errors } = parseListQuery(req.query, NEARBY_QUERY);
+  const { point, error } = parsePointQuery(req.query);
+  if (error) errors.push(error);
+
+  if (errors.length > 0) {
+    return res
+      .status(400)
+      .json({ message: errors.join(", "), errors, success: false });
+  }
+
+  try {
+    const matches = await findSitesNear(point);
+    const pageMatches = matches.slice(skip, skip + limit);
+
     const sites = await prisma.touristicSite.findMany({
-      include: {
-        images: true,
-        favorites: true,
-        events: true,
+      where: { id: { in: pageMatches.map((match) => match.id) } },
+      include: { images: { orderBy: IMAGE_ORDER } },
+    });
+    const byId = new Map(sites.map((site) => [site.id, site]));
+
+    res.status(200).json({
+      sites: pageMatches
+        .filter((match) => byId.has(match.id))
+        .map((match) => ({
+          ...byId.get(match.id),
+          distanceKm: match.distanceKm,
+        })),
+      pagination: {
+        page,
+        limit,
+        total: matches.length,
+        pages: Math.ceil(matches.length / limit),
+      },
+      message: "Nearby sites fetched successfully.",
+      success: true,
+    });
+  } catch (err) {
+    console.error("Error fetching nearby sites:", err);
+    return res.status(500).json({
+      message: "Internal server error",
+      success: false,
+    });
+  }
+};
+
+// READ - Sites inside a map bounding box
+// Query parameters: minLat, minLng, maxLat, maxLng
+exports.getSitesInBoundingBox = async (req, res) => {
+  const { box, error } = parseBoundingBox(req.query);
+
+  if (error) {
+    return res.status(400).json({ message: error, success: false });
+  }
+
+  try {
+    const sites = await prisma.touristicSite.findMany({
+      where: { ...publishedSiteFilter, ...boundingBoxFilter(box) },
+      select: {
+        id: true,
+        name: true,
+        location: true,
+        category: true,
+        latitude: true,
+        longitude: true,
+        entryFee: true,
+        images: { take: 1, orderBy: COVER_FIRST_ORDER },
       },
+      take: MAX_BOX_RESULTS + 1,
     });
+
     res.status(200).json({
-      sites,
-      message: "Touristic sites fetched successfully...",
+      sites: sites.slice(0, MAX_BOX_RESULTS),
+      // More sites than returned, the client should zoom in
+      truncated: sites.length > MAX_BOX_RESULTS,
+      message: "Sites fetched successfully.",
       success: true,
     });
   } catch (err) {
-    console.log(`server errror${err.message}`);
+    console.error("Error fetching sites in bounding box:", err);
+    return res.status(500).json({
+      message: `Internal server error: ${err.message}`,
+      success: false,
+    });
+  }
+};
+
+// Number of events with an occurrence in the upcoming window, per site id
+const countUpcomingEventsBySite = async (siteIds) => {
+  const from = new Date();
+  const to = new Date(from.getTime() + UPCOMING_WINDOW_DAYS * DAY_MS);
+
+  const events = await prisma.event.findMany({
+    where: {
+      touristicSiteId: { in: siteIds },
+      status: "PUBLISHED",
+      ...scheduleRangeFilter(from, to),
+    },
+    select: { touristicSiteId: true, schedules: true },
+  });
+
+  const counts = new Map();
+  for (const event of events) {
+    if (expandOccurrences(event.schedules, from, to, 1).length === 0) continue;
+    counts.set(
+      event.touristicSiteId,
+      (counts.get(event.touristicSiteId) || 0) + 1
+    );
+  }
+  return counts;
+};
+
+// READ - Sites with coordinates as a GeoJSON FeatureCollection for maps
+// Query parameters: category, minLat, minLng, maxLat, maxLng (optional box),
+// zoom (clusters nearby sites at that zoom level)
+exports.getSitesGeoJson = async (req, res) => {
+  const { category } = req.query;
+  const { box, zoom, error } = parseMapQuery(req.query);
+
+  if (error) {
+    return res.status(400).json({ message: error, success: false });
+  }
+
+  try {
+    const sites = await prisma.touristicSite.findMany({
+      where: {
+        ...publishedSiteFilter,
+        latitude: { not: null },
+        longitude: { not: null },
+        ...(category && { category }),
+        ...(box && boundingBoxFilter(box)),
+      },
+      select: {
+        id: true,
+        name: true,
+        location: true,
+        category: true,
+        latitude: true,
+        longitude: true,
+        entryFee: true,
+        images: {
+          select: { url: true, variants: true },
+          orderBy: COVER_FIRST_ORDER,
+          take: 1,
+        },
+      },
+      orderBy: { name: "asc" },
+      take: MAX_MAP_FEATURES + 1,
+    });
+
+    const mapSites = sites.slice(0, MAX_MAP_FEATURES);
+    const upcomingCounts = await countUpcomingEventsBySite(
+      mapSites.map((site) => site.id)
+    );
+
+    const features = mapSites.map((site) =>
+      toPointFeature(site.latitude, site.longitude, {
+        id: site.id,
+        name: site.name,
+        location: site.location,
+        category: site.category,
+        entryFee: site.entryFee === null ? null : Number(site.entryFee),
+        thumbnail: site.images.length > 0 ? thumbnailUrl(site.images[0]) : null,
+        upcomingEventCount: upcomingCounts.get(site.id) || 0,
+      })
+    );
+
+    res
+      .status(200)
+      .type("application/geo+json")
+      .json({
+        type: "FeatureCollection",
+        features: zoom === null ? features : clusterFeatures(features, zoom),
+        // More sites than exported, the client should zoom in
+        truncated: sites.length > MAX_MAP_FEATURES,
+      });
+  } catch (err) {
+    console.error("Error exporting sites as GeoJSON:", err);
     return res.status(500).json({
       message: `Internal server error: ${err.message}`,
       success: false,
@@ -397,6 +943,8 @@ exports.getAllTouristicSites = async (req, res) => {
 };
 
 // DELETE - Delete Site Admin and associated data (with caution)
+// Sites the admin manages alone are deleted with them; sites shared with other
+// admins are kept, as long as another admin can own them.
 exports.deleteSiteAdmin = async (req, res) => {
   try {
     const { id } = req.params;
@@ -405,11 +953,18 @@ exports.deleteSiteAdmin = async (req, res) => {
     const existingSiteAdmin = await prisma.touristicSiteAdmin.findUnique({
       where: { id },
       include: {
-        site: {
+        memberships: {
           include: {
-            events: {
+            site: {
               include: {
-                bookings: true,
+                adminMemberships: { select: { siteAdminId: true, role: true } },
+                images: { select: { url: true, variants: true } },
+                events: {
+                  include: {
+                    bookings: true,
+                    images: { select: { url: true, variants: true } },
+                  },
+                },
               },
             },
           },
@@ -423,9 +978,34 @@ exports.deleteSiteAdmin = async (req, res) => {
       });
     }
 
+    const sites = existingSiteAdmin.memberships.map((m) => m.site);
+    const soleSites = sites.filter(
+      (site) => site.adminMemberships.length === 1
+    );
+
+    // Shared sites this admin is the only owner of would be left ownerless
+    const orphanedSites = existingSiteAdmin.memberships
+      .filter(
+        (m) =>
+          m.role === "OWNER" &&
+          m.site.adminMemberships.length > 1 &&
+          !m.site.adminMemberships.some(
+            (other) => other.siteAdminId !== id && other.role === "OWNER"
+          )
+      )
+      .map((m) => m.site.name);
+
+    if (orphanedSites.length > 0) {
+      return res.status(409).json({
+        error: `Make another admin owner of ${orphanedSites.join(
+          ", "
+        )} before deleting this admin.`,
+      });
+    }
+
     // Check if there are associated events with bookings
-    const hasBookings = existingSiteAdmin.site.events.some(
-      (event) => event.bookings && event.bookings.length > 0
+    const hasBookings = soleSites.some((site) =>
+      site.events.some((event) => event.bookings && event.bookings.length > 0)
     );
 
     if (hasBookings) {
@@ -435,31 +1015,34 @@ exports.deleteSiteAdmin = async (req, res) => {
       });
     }
 
+    const soleSiteIds = soleSites.map((site) => site.id);
+
     // Delete transaction
     await prisma.$transaction(async (prisma) => {
-      // 1. Delete site events first (cascade should handle this but being explicit)
+      // 1. Delete the events of the sites deleted with the admin
       await prisma.event.deleteMany({
-        where: { siteAdminId: id },
+        where: { touristicSiteId: { in: soleSiteIds } },
       });
 
       // 2. Delete site images
       await prisma.touristicSiteImage.deleteMany({
-        where: { touristicSiteId: existingSiteAdmin.siteId },
+        where: { touristicSiteId: { in: soleSiteIds } },
       });
 
       // 3. Delete site favorites
       await prisma.favorite.deleteMany({
-        where: { touristicSiteId: existingSiteAdmin.siteId },
+        where: { touristicSiteId: { in: soleSiteIds } },
       });
 
-      // 4. Delete TouristicSiteAdmin
+      // 4. Delete TouristicSiteAdmin (its memberships cascade, its events on
+      // shared sites stay with the site)
       await prisma.touristicSiteAdmin.delete({
         where: { id },
       });
 
-      // 5. Delete TouristicSite
-      await prisma.touristicSite.delete({
-        where: { id: existingSiteAdmin.siteId },
+      // 5. Delete the sites nobody else manages
+      await prisma.touristicSite.deleteMany({
+        where: { id: { in: soleSiteIds } },
       });
 
       // 6. Delete User (this will cascade delete related records)
@@ -468,8 +1051,17 @@ exports.deleteSiteAdmin = async (req, res) => {
       });
     });
 
+    // Then the image files of the deleted sites and their events
+    await deleteImageFiles(
+      soleSites.flatMap((site) => [
+        ...site.images,
+        ...site.events.flatMap((event) => event.images),
+      ])
+    );
+
     res.status(200).json({
       message: "Site admin and all associated data deleted successfully",
+      deletedSiteIds: soleSiteIds,
     });
   } catch (error) {
     console.error("Error deleting site admin:", error);
@@ -482,59 +1074,78 @@ exports.deleteSiteAdmin = async (req, res) => {
 };
 
 // READ - Get all sites for a specific site admin
+// The admin and SUPER_ADMIN users see every site with its moderation status
+// and reason, everyone else only the published ones
 exports.getSitesByAdmin = async (req, res) => {
+  const { page, limit, skip, errors } = parseListQuery(req.query, PAGE_QUERY);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Invalid query parameters", errors });
+  }
+
   try {
     const { adminId } = req.params;
-    const { page = 1, limit = 10 } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const seesAll = Boolean(
+      req.user && (req.user.id === adminId || req.user.role === "SUPER_ADMIN")
+    );
+
+    // adminId is the admin's user id
+    const where = {
+      adminMemberships: { some: { siteAdmin: { userId: adminId } } },
+      ...(!seesAll && publishedSiteFilter),
+    };
 
     const sites = await prisma.touristicSite.findMany({
-      where: {
-        admin: {
-          userId: adminId,
-        },
-      },
+      where,
       skip,
-      take: parseInt(limit),
+      take: limit,
       include: {
-        images: true,
-        favorites: {
-          select: {
-            id: true,
-            user: {
-              select: {
-                id: true,
-                name: true,
+        images: { orderBy: IMAGE_ORDER },
+        _count: { select: { favorites: true } },
+        ...(seesAll && {
+          favorites: {
+            select: {
+              id: true,
+              user: {
+                select: {
+                  id: true,
+                  name: true,
+                },
               },
             },
           },
-        },
+        }),
         events: {
+          ...(!seesAll && { where: { status: "PUBLISHED" } }),
           select: {
             id: true,
             title: true,
             price: true,
+            status: true,
           },
         },
-      },
-      orderBy: { createdAt: "desc" },
-    });
-
-    const total = await prisma.touristicSite.count({
-      where: {
-        admin: {
-          userId: adminId,
+        // The admin's own role on the site
+        adminMemberships: {
+          where: { siteAdmin: { userId: adminId } },
+          select: { role: true },
         },
       },
+      orderBy: { name: "asc" },
     });
 
+    const total = await prisma.touristicSite.count({ where });
+
     res.status(200).json({
-      data: sites,
+      data: sites.map(({ adminMemberships, _count, ...site }) => ({
+        ...site,
+        favoritesCount: _count.favorites,
+        role: adminMemberships[0].role,
+      })),
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         total,
-        pages: Math.ceil(total / parseInt(limit)),
+        pages: Math.ceil(total / limit),
       },
     });
   } catch (error) {
@@ -5,18 +5,79 @@ const bcrypt = require("bcrypt");
 
 const prisma = new PrismaClient();
 
+const { getRatingSummary } = require("../services/reviewService");
+const { SITE_ADMIN_ROLES } = require("../services/siteAdminService");
+const {
+  parseAvailability,
+  getFreeSlots,
+  getBusyPeriods,
+} = require("../services/guideAvailabilityService");
+const { addDays, isValidDateString } = require("../services/timeZoneService");
+const { revokeAllUserTokens } = require("../services/tokenService");
+const { parseListQuery, rangeFilter } = require("../services/queryService");
+const { publishedEventFilter } = require("../services/moderationService");
+const { activeGuideFilter } = require("../services/accountService");
+
 // Set the number of salt rounds for bcrypt
 const saltRounds = 10;
 
+// Longest date range served by getGuideFreeSlots
+const MAX_FREE_SLOT_DAYS = 31;
+
+// Guide list sort keys accepted from the query string
+const GUIDE_SORT_FIELDS = {
+  rating: (order) => ({ rating: order }),
+  pricePerHour: (order) => ({ pricePerHour: order }),
+  numberOfReviews: (order) => ({ numberOfReviews: order }),
+  name: (order) => ({ user: { name: order } }),
+};
+
+// Query accepted by GET /guides, see parseListQuery
+const GUIDE_LIST_QUERY = {
+  sortFields: Object.keys(GUIDE_SORT_FIELDS),
+  defaultSortBy: "rating",
+  defaultSortOrder: "desc",
+  filters: {
+    language: { type: "string" },
+    minPrice: { type: "number", min: 0 },
+    maxPrice: { type: "number", min: 0 },
+    minRating: { type: "number", min: 0, max: 5 },
+  },
+  ranges: [["minPrice", "maxPrice"]],
+};
+
+/**
+ * Validates the languages and pricePerHour of a guide profile.
+ * @param {{ languages?: any, pricePerHour?: any }} fields
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateGuideFields = ({ languages, pricePerHour }) => {
+  if (
+    languages !== undefined &&
+    (!Array.isArray(languages) ||
+      languages.length === 0 ||
+      languages.some((l) => typeof l !== "string" || !l.trim()))
+  ) {
+    return "Languages must be a non-empty array of language names.";
+  }
+  if (
+    pricePerHour !== undefined &&
+    (isNaN(parseFloat(pricePerHour)) || parseFloat(pricePerHour) < 0)
+  ) {
+    return "Price per hour must be a positive number.";
+  }
+  return null;
+};
+
 // --- User CRUD Operations ---
 
 /**
- * Registers a new user with the default 'TOURIST' role.
+ * Registers a new user with the 'TOURIST' role.
  * Hashes the password before storing it.
  * @route POST /api/users/register
  */
 exports.registerUser = async (req, res) => {
-  const { email, name, password, phoneNumber, profilePicture, role } = req.body;
+  const { email, name, password, phoneNumber, role } = req.body;
 
   if (!email || !name || !password) {
     return res
@@ -24,32 +85,25 @@ exports.registerUser = async (req, res) => {
       .json({ error: "Email, name, and password are required." });
   }
 
+  // Self-registration always creates a tourist; other roles are granted
+  // by a SUPER_ADMIN through updateUser or the dedicated onboarding flows.
+  if (role && role !== "TOURIST") {
+    return res
+      .status(403)
+      .json({ error: "Only tourist accounts can be self-registered." });
+  }
+
   try {
     const hashedPassword = await bcrypt.hash(password, saltRounds);
-    let newUser;
-    if (role === "TOURIST") {
-      newUser = await prisma.user.create({
-        data: {
-          email,
-          name,
-          password: hashedPassword,
-          phoneNumber: phoneNumber || null,
-          profilePicture: profilePicture || null,
-          role, // Default role for new registrations
-        },
-      });
-    } else {
-      newUser = await prisma.user.create({
-        data: {
-          email,
-          name,
-          password: hashedPassword,
-          phoneNumber: phoneNumber || null,
-          profilePicture: profilePicture || null,
-          role, // Allow role to be set if provided
-        },
-      });
-    }
+    const newUser = await prisma.user.create({
+      data: {
+        email,
+        name,
+        password: hashedPassword,
+        phoneNumber: phoneNumber || null,
+        role: "TOURIST",
+      },
+    });
     // Exclude password from the response
     const { password: _, ...userWithoutPassword } = newUser;
     res.status(201).json({
@@ -75,6 +129,7 @@ exports.registerUser = async (req, res) => {
 exports.getAllUsers = async (req, res) => {
   try {
     const users = await prisma.user.findMany({
+      where: { deletedAt: null },
       select: {
         id: true,
         email: true,
@@ -103,13 +158,6 @@ exports.getUserById = async (req, res) => {
   try {
     const user = await prisma.user.findUnique({
       where: { id },
-      include: {
-        touristGuides: true, // Include TouristGuide data if user is a guide
-        siteAdmins: {
-          // Include TouristicSiteAdmin data if user is a site admin
-          include: { site: true }, // Also include the related TouristicSite for site admins
-        },
-      },
       select: {
         id: true,
         email: true,
@@ -119,8 +167,11 @@ exports.getUserById = async (req, res) => {
         role: true,
         createdAt: true,
         updatedAt: true,
-        touristGuides: true,
-        siteAdmins: true,
+        touristGuides: true, // TouristGuide data if user is a guide
+        siteAdmins: {
+          // TouristicSiteAdmin data and managed sites if user is a site admin
+          include: { memberships: { include: { site: true } } },
+        },
       },
     });
 
@@ -142,15 +193,21 @@ exports.getUserById = async (req, res) => {
  */
 exports.updateUser = async (req, res) => {
   const { id } = req.params;
-  const { name, email, password, phoneNumber, profilePicture, role } = req.body; // Role update should be handled carefully, often requires admin privileges
+  const { name, email, password, phoneNumber, role } = req.body; // Role update should be handled carefully, often requires admin privileges
 
   try {
     const userData = {};
     if (name) userData.name = name;
     if (email) userData.email = email;
     if (phoneNumber) userData.phoneNumber = phoneNumber;
-    if (profilePicture) userData.profilePicture = profilePicture;
-    if (role) userData.role = role; // Be cautious about allowing role updates via a simple endpoint, usually requires auth checks
+    if (role) {
+      if (req.user.role !== "SUPER_ADMIN") {
+        return res
+          .status(403)
+          .json({ error: "Only a super admin can change user roles." });
+      }
+      userData.role = role;
+    }
 
     if (password) {
       userData.password = await bcrypt.hash(password, saltRounds);
@@ -170,6 +227,8 @@ exports.updateUser = async (req, res) => {
         updatedAt: true,
       },
     });
+    // Sessions opened with the old password must sign in again
+    if (password) await revokeAllUserTokens(id);
 
     res.status(200).json(updatedUser);
   } catch (error) {
@@ -224,11 +283,10 @@ exports.createTouristGuide = async (req, res) => {
     name,
     password,
     phoneNumber,
-    profilePicture,
     bio,
     languages, // Expects an array, e.g., ["English", "French"]
     pricePerHour,
-    availability, // Expects a JSON object/array
+    availability, // Expects a weekly calendar, see guideAvailabilityService.parseAvailability
   } = req.body;
 
   if (
@@ -245,6 +303,17 @@ exports.createTouristGuide = async (req, res) => {
       .json({ error: "Missing required fields for Tourist Guide creation." });
   }
 
+  const validationError = validateGuideFields({ languages, pricePerHour });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  const { availability: parsedAvailability, errors } =
+    parseAvailability(availability);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: "Invalid availability.", errors });
+  }
+
   try {
     const hashedPassword = await bcrypt.hash(password, saltRounds);
 
@@ -255,7 +324,6 @@ exports.createTouristGuide = async (req, res) => {
           name,
           password: hashedPassword,
           phoneNumber,
-          profilePicture,
           role: "GUIDE", // Set role to GUIDE
         },
         select: {
@@ -276,7 +344,7 @@ exports.createTouristGuide = async (req, res) => {
           bio,
           languages: languages, // Prisma handles JSON type directly if the input is valid
           pricePerHour: parseFloat(pricePerHour),
-          availability: availability, // Prisma handles JSON type directly if the input is valid
+          availability: parsedAvailability,
         },
         include: {
           user: {
@@ -307,26 +375,75 @@ exports.createTouristGuide = async (req, res) => {
 };
 
 /**
- * Retrieves all Tourist Guides with their associated user information.
+ * Retrieves Tourist Guides with their public user information.
+ * Query parameters: page, limit, language (comma-separated, guides must speak
+ * all of them), minPrice, maxPrice, minRating, sortBy (rating, pricePerHour,
+ * numberOfReviews, name), sortOrder
+ * Invalid or unknown parameters are rejected with a 400 listing the problems.
  * @route GET /api/guides
  */
 exports.getAllTouristGuides = async (req, res) => {
+  const { page, limit, skip, sortBy, sortOrder, filters, errors } =
+    parseListQuery(req.query, GUIDE_LIST_QUERY);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      isOk: false,
+      message: "Invalid query parameters",
+      errors,
+    });
+  }
+
   try {
-    const guides = await prisma.touristGuide.findMany({
-      include: {
-        user: {
-          select: {
-            id: true,
-            email: true,
-            name: true,
-            phoneNumber: true,
-            profilePicture: true,
-            role: true,
+    const where = { ...activeGuideFilter };
+    if (filters.language) {
+      const languages = filters.language
+        .split(",")
+        .map((l) => l.trim())
+        .filter(Boolean);
+      if (languages.length > 0) {
+        where.languages = { path: "$", array_contains: languages };
+      }
+    }
+    const pricePerHour = rangeFilter(filters.minPrice, filters.maxPrice);
+    if (pricePerHour) where.pricePerHour = pricePerHour;
+    if (filters.minRating !== undefined) {
+      where.rating = { gte: filters.minRating };
+    }
+
+    const [totalGuides, guides] = await Promise.all([
+      prisma.touristGuide.count({ where }),
+      prisma.touristGuide.findMany({
+        where,
+        include: {
+          user: {
+            select: {
+              id: true,
+              name: true,
+              profilePicture: true,
+            },
           },
         },
+        orderBy: [GUIDE_SORT_FIELDS[sortBy](sortOrder), { id: "asc" }],
+        skip,
+        take: limit,
+      }),
+    ]);
+
+    const totalPages = Math.ceil(totalGuides / limit);
+
+    res.status(200).json({
+      isOk: true,
+      guides,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalGuides,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1,
       },
+      message: "Tourist guides fetched successfully.",
     });
-    res.status(200).json(guides);
   } catch (error) {
     console.error("Error fetching tourist guides:", error);
     res.status(500).json({ error: "Could not retrieve tourist guides." });
@@ -334,39 +451,142 @@ exports.getAllTouristGuides = async (req, res) => {
 };
 
 /**
- * Retrieves a single Tourist Guide by their ID, including associated user information.
+ * Retrieves the public profile of a Tourist Guide: their user information,
+ * the events they run, their latest reviews and rating summary.
  * @route GET /api/guides/:id
  */
 exports.getTouristGuideById = async (req, res) => {
   const { id } = req.params;
 
+  // The guide and super admins also see the guide's unpublished events
+  const seesAll = Boolean(
+    req.user && (req.user.guideId === id || req.user.role === "SUPER_ADMIN")
+  );
+
   try {
-    const guide = await prisma.touristGuide.findUnique({
-      where: { id },
+    const guide = await prisma.touristGuide.findFirst({
+      where: { id, ...activeGuideFilter },
       include: {
         user: {
           select: {
             id: true,
-            email: true,
             name: true,
-            phoneNumber: true,
             profilePicture: true,
-            role: true,
           },
         },
+        guideEvents: {
+          ...(!seesAll && { where: publishedEventFilter }),
+          select: {
+            id: true,
+            title: true,
+            price: true,
+            duration: true,
+            maxGroupSize: true,
+            touristicSite: {
+              select: { id: true, name: true, location: true },
+            },
+          },
+          orderBy: { createdAt: "desc" },
+        },
       },
     });
 
     if (!guide) {
       return res.status(404).json({ error: "Tourist Guide not found." });
     }
-    res.status(200).json(guide);
+
+    const reviewFilter = { booking: { guideId: id } };
+    const [reviews, ratingSummary] = await Promise.all([
+      prisma.review.findMany({
+        where: reviewFilter,
+        include: { tourist: { select: { id: true, name: true } } },
+        orderBy: { createdAt: "desc" },
+        take: 10,
+      }),
+      getRatingSummary(reviewFilter),
+    ]);
+
+    res.status(200).json({ ...guide, reviews, ratingSummary });
   } catch (error) {
     console.error(`Error fetching tourist guide with ID ${id}:`, error);
     res.status(500).json({ error: "Could not retrieve tourist guide." });
   }
 };
 
+/**
+ * Returns a guide's free time slots between two dates, after removing blocked
+ * dates, time off and their confirmed bookings.
+ * Query parameters: from, to ("YYYY-MM-DD" in the guide's time zone, at most
+ * MAX_FREE_SLOT_DAYS apart; defaults to the next 7 days), minDuration (minutes)
+ * @route GET /guides/:id/free-slots
+ */
+exports.getGuideFreeSlots = async (req, res) => {
+  const { id } = req.params;
+  const minMinutes =
+    req.query.minDuration === undefined ? 1 : Number(req.query.minDuration);
+
+  if (!Number.isInteger(minMinutes) || minMinutes < 1) {
+    return res
+      .status(400)
+      .json({
+        error: "minDuration must be a positive whole number of minutes.",
+      });
+  }
+
+  try {
+    const guide = await prisma.touristGuide.findFirst({
+      where: { id, ...activeGuideFilter },
+      select: { id: true, availability: true },
+    });
+
+    if (!guide) {
+      return res.status(404).json({ error: "Tourist Guide not found." });
+    }
+
+    const { availability } = parseAvailability(guide.availability);
+    if (!availability) {
+      return res.status(409).json({
+        error: "This guide has not set up a valid availability calendar.",
+      });
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    const from = req.query.from || today;
+    const to = req.query.to || addDays(from, 6);
+
+    if (!isValidDateString(from) || !isValidDateString(to)) {
+      return res
+        .status(400)
+        .json({ error: "from and to must be dates in YYYY-MM-DD format." });
+    }
+    if (to < from || addDays(from, MAX_FREE_SLOT_DAYS - 1) < to) {
+      return res.status(400).json({
+        error: `The date range must span 1 to ${MAX_FREE_SLOT_DAYS} days.`,
+      });
+    }
+
+    // Widened by a day each way to cover every time zone
+    const busy = await getBusyPeriods(
+      id,
+      new Date(`${addDays(from, -1)}T00:00:00Z`),
+      new Date(`${addDays(to, 2)}T00:00:00Z`)
+    );
+
+    const slots = getFreeSlots(availability, from, to, busy, { minMinutes });
+
+    res.status(200).json({
+      guideId: guide.id,
+      timeZone: availability.timeZone,
+      from,
+      to,
+      slots,
+    });
+  } catch (error) {
+    console.error(`Error fetching free slots of guide ${id}:`, error);
+    res.status(500).json({ error: "Could not retrieve free slots." });
+  }
+};
+
 /**
  * Updates an existing Tourist Guide's information and optionally their associated user's details.
  * Uses a transaction if both guide and user data are updated.
@@ -384,22 +604,47 @@ exports.updateTouristGuide = async (req, res) => {
     email,
     password,
     phoneNumber,
-    profilePicture,
   } = req.body;
 
+  // Owners verify these changes through the /users/me endpoints
+  if (
+    (email !== undefined || password !== undefined) &&
+    req.user.role !== "SUPER_ADMIN"
+  ) {
+    return res.status(403).json({
+      error:
+        "Change your email or password with PUT /users/me/email or /users/me/password.",
+    });
+  }
+
+  const validationError = validateGuideFields({ languages, pricePerHour });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  let parsedAvailability;
+  if (availability !== undefined) {
+    const parsed = parseAvailability(availability);
+    if (parsed.errors.length > 0) {
+      return res
+        .status(400)
+        .json({ error: "Invalid availability.", errors: parsed.errors });
+    }
+    parsedAvailability = parsed.availability;
+  }
+
   try {
     const guideData = {};
     if (bio !== undefined) guideData.bio = bio;
     if (languages !== undefined) guideData.languages = languages;
     if (pricePerHour !== undefined)
       guideData.pricePerHour = parseFloat(pricePerHour);
-    if (availability !== undefined) guideData.availability = availability;
+    if (parsedAvailability) guideData.availability = parsedAvailability;
 
     const userData = {};
     if (name !== undefined) userData.name = name;
     if (email !== undefined) userData.email = email;
     if (phoneNumber !== undefined) userData.phoneNumber = phoneNumber;
-    if (profilePicture !== undefined) userData.profilePicture = profilePicture;
     if (password !== undefined) {
       userData.password = await bcrypt.hash(password, saltRounds);
     }
@@ -445,6 +690,9 @@ exports.updateTouristGuide = async (req, res) => {
         });
         return guideUpdateResult;
       });
+      if (password !== undefined) {
+        await revokeAllUserTokens(existingGuide.userId);
+      }
     } else if (hasGuideDataToUpdate) {
       // Only guide data needs updating, no transaction needed for User
       updatedGuide = await prisma.touristGuide.update({
@@ -551,8 +799,8 @@ exports.createTouristicSiteAdmin = async (req, res) => {
     name,
     password,
     phoneNumber,
-    profilePicture,
     siteId, // Required to link the admin to a specific site
+    siteRole = "EDITOR", // OWNER or EDITOR of that site
   } = req.body;
 
   if (!email || !name || !password || !siteId) {
@@ -560,6 +808,11 @@ exports.createTouristicSiteAdmin = async (req, res) => {
       error: "Missing required fields for Touristic Site Admin creation.",
     });
   }
+  if (!SITE_ADMIN_ROLES.includes(siteRole)) {
+    return res.status(400).json({
+      error: `siteRole must be one of ${SITE_ADMIN_ROLES.join(", ")}`,
+    });
+  }
 
   try {
     const hashedPassword = await bcrypt.hash(password, saltRounds);
@@ -571,7 +824,6 @@ exports.createTouristicSiteAdmin = async (req, res) => {
           name,
           password: hashedPassword,
           phoneNumber,
-          profilePicture,
           role: "SITE_ADMIN", // Set role to SITE_ADMIN
         },
         select: {
@@ -589,7 +841,7 @@ exports.createTouristicSiteAdmin = async (req, res) => {
       const newSiteAdmin = await tx.touristicSiteAdmin.create({
         data: {
           userId: newUser.id,
-          siteId,
+          memberships: { create: { siteId, role: siteRole } },
         },
         include: {
           user: {
@@ -602,7 +854,7 @@ exports.createTouristicSiteAdmin = async (req, res) => {
               role: true,
             },
           },
-          site: true, // Include site details
+          memberships: { include: { site: true } }, // Include site details
         },
       });
       return newSiteAdmin;
@@ -643,7 +895,7 @@ exports.getAllTouristicSiteAdmins = async (req, res) => {
             role: true,
           },
         },
-        site: true,
+        memberships: { include: { site: true } },
       },
     });
     res.status(200).json(siteAdmins);
@@ -676,7 +928,7 @@ exports.getTouristicSiteAdminById = async (req, res) => {
             role: true,
           },
         },
-        site: true,
+        memberships: { include: { site: true } },
       },
     });
 
@@ -691,110 +943,87 @@ exports.getTouristicSiteAdminById = async (req, res) => {
 };
 
 /**
- * Updates an existing Touristic Site Admin's information and optionally their associated user's details.
- * Uses a transaction if both admin and user data are updated.
+ * Updates the user details of an existing Touristic Site Admin.
+ * The sites they manage are changed through site invitations and the
+ * /tour-site/site/:id/admins endpoints.
  * @route PUT /api/site-admins/:id
  */
 exports.updateTouristicSiteAdmin = async (req, res) => {
   const { id } = req.params;
   const {
-    siteId, // Can update the site the admin is linked to
+    siteId,
     // User fields that can be updated through the site admin endpoint
     name,
     email,
     password,
     phoneNumber,
-    profilePicture,
   } = req.body;
 
-  try {
-    const adminData = {};
-    if (siteId !== undefined) adminData.siteId = siteId;
+  if (siteId !== undefined) {
+    return res.status(400).json({
+      error:
+        "Managed sites cannot be changed here, use site invitations instead.",
+    });
+  }
 
+  // Owners verify these changes through the /users/me endpoints
+  if (
+    (email !== undefined || password !== undefined) &&
+    req.user.role !== "SUPER_ADMIN"
+  ) {
+    return res.status(403).json({
+      error:
+        "Change your email or password with PUT /users/me/email or /users/me/password.",
+    });
+  }
+
+  try {
     const userData = {};
     if (name !== undefined) userData.name = name;
     if (email !== undefined) userData.email = email;
     if (phoneNumber !== undefined) userData.phoneNumber = phoneNumber;
-    if (profilePicture !== undefined) userData.profilePicture = profilePicture;
     if (password !== undefined) {
       userData.password = await bcrypt.hash(password, saltRounds);
     }
 
-    const hasUserDataToUpdate = Object.keys(userData).length > 0;
-    const hasAdminDataToUpdate = Object.keys(adminData).length > 0;
-
-    let updatedSiteAdmin;
+    if (Object.keys(userData).length === 0) {
+      return res.status(400).json({ error: "No data provided for update." });
+    }
 
-    if (hasUserDataToUpdate) {
-      // Find the admin first to get the userId
-      const existingAdmin = await prisma.touristicSiteAdmin.findUnique({
-        where: { id },
-      });
-      if (!existingAdmin) {
-        return res
-          .status(404)
-          .json({ error: "Touristic Site Admin not found." });
-      }
+    // Find the admin first to get the userId
+    const existingAdmin = await prisma.touristicSiteAdmin.findUnique({
+      where: { id },
+    });
+    if (!existingAdmin) {
+      return res.status(404).json({ error: "Touristic Site Admin not found." });
+    }
 
-      updatedSiteAdmin = await prisma.$transaction(async (tx) => {
-        // Update user data
-        const updatedUser = await tx.user.update({
-          where: { id: existingAdmin.userId },
-          data: userData,
-        });
+    await prisma.user.update({
+      where: { id: existingAdmin.userId },
+      data: userData,
+    });
+    if (password !== undefined) await revokeAllUserTokens(existingAdmin.userId);
 
-        // Update admin data
-        const adminUpdateResult = await tx.touristicSiteAdmin.update({
-          where: { id },
-          data: adminData,
-          include: {
-            user: {
-              select: {
-                id: true,
-                email: true,
-                name: true,
-                phoneNumber: true,
-                profilePicture: true,
-                role: true,
-              },
-            },
-            site: true,
-          },
-        });
-        return adminUpdateResult;
-      });
-    } else if (hasAdminDataToUpdate) {
-      // Only admin data needs updating
-      updatedSiteAdmin = await prisma.touristicSiteAdmin.update({
-        where: { id },
-        data: adminData,
-        include: {
-          user: {
-            select: {
-              id: true,
-              email: true,
-              name: true,
-              phoneNumber: true,
-              profilePicture: true,
-              role: true,
-            },
+    const updatedSiteAdmin = await prisma.touristicSiteAdmin.findUnique({
+      where: { id },
+      include: {
+        user: {
+          select: {
+            id: true,
+            email: true,
+            name: true,
+            phoneNumber: true,
+            profilePicture: true,
+            role: true,
           },
-          site: true,
         },
-      });
-    } else {
-      return res.status(400).json({ error: "No data provided for update." });
-    }
+        memberships: { include: { site: true } },
+      },
+    });
 
     res.status(200).json(updatedSiteAdmin);
   } catch (error) {
     if (error.code === "P2025") {
-      const modelName = error.meta?.modelName;
-      if (modelName === "TouristicSite") {
-        return res
-          .status(404)
-          .json({ error: `Touristic Site with ID ${siteId} not found.` });
-      }
       return res
         .status(404)
         .json({ error: "Touristic Site Admin or related entities not found." });
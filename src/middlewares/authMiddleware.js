@@ -0,0 +1,119 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { verifyAccessToken } = require("../services/tokenService");
+
+/**
+ * Extracts the bearer token from the Authorization header.
+ * @param {import("express").Request} req
+ * @returns {string|null}
+ */
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" && token ? token : null;
+};
+
+/**
+ * Loads the user referenced by an access token, with the ids of the guide and
+ * site admin profiles controllers need for ownership checks.
+ * @param {string} token
+ * @returns {Promise<object|null>}
+ */
+const loadUserFromToken = async (token) => {
+  let payload;
+  try {
+    payload = verifyAccessToken(token);
+  } catch (error) {
+    return null;
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: payload.sub },
+    select: {
+      id: true,
+      email: true,
+      name: true,
+      role: true,
+      deletedAt: true,
+      touristGuides: { select: { id: true } },
+      siteAdmins: {
+        select: {
+          id: true,
+          memberships: { select: { siteId: true, role: true } },
+        },
+      },
+    },
+  });
+
+  // Tokens issued before an account was deleted no longer authenticate
+  if (!user || user.deletedAt) return null;
+
+  const { touristGuides, siteAdmins, deletedAt, ...rest } = user;
+  const memberships = siteAdmins[0]?.memberships || [];
+  return {
+    ...rest,
+    guideId: touristGuides[0]?.id || null,
+    siteAdminId: siteAdmins[0]?.id || null,
+    // The site admin's role (OWNER or EDITOR) on each site they manage
+    siteRoles: Object.fromEntries(
+      memberships.map((membership) => [membership.siteId, membership.role])
+    ),
+  };
+};
+
+// Also used to authenticate WebSocket connections
+exports.loadUserFromToken = loadUserFromToken;
+
+/**
+ * Requires a valid access token and attaches the authenticated user to req.user.
+ */
+exports.authenticate = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    return res.status(401).json({
+      status: false,
+      message: "Authentication required",
+    });
+  }
+
+  try {
+    const user = await loadUserFromToken(token);
+    if (!user) {
+      return res.status(401).json({
+        status: false,
+        message: "Invalid or expired token",
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error("Authentication error:", error);
+    res.status(500).json({
+      status: false,
+      message: "Internal server error",
+    });
+  }
+};
+
+/**
+ * Attaches req.user when a valid access token is sent, but lets anonymous
+ * requests (and invalid tokens) through. For public routes that personalize
+ * their response for signed-in users.
+ */
+exports.optionalAuthenticate = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) return next();
+
+  try {
+    const user = await loadUserFromToken(token);
+    if (user) req.user = user;
+    next();
+  } catch (error) {
+    console.error("Authentication error:", error);
+    res.status(500).json({
+      status: false,
+      message: "Internal server error",
+    });
+  }
+};
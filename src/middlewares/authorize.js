@@ -0,0 +1,200 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const permissions = require("../config/permissions");
+
+/**
+ * Whether the user runs the given event, as its guide, or as its site admin or
+ * an admin of its site.
+ * @param {object} user - req.user
+ * @param {{ siteAdminId: string|null, guideId: string|null, touristicSiteId: string }} event
+ * @returns {boolean}
+ */
+const ownsEvent = (user, event) => {
+  if (user.role === "SITE_ADMIN") {
+    return (
+      (Boolean(user.siteAdminId) && event.siteAdminId === user.siteAdminId) ||
+      Boolean(user.siteRoles[event.touristicSiteId])
+    );
+  }
+  if (user.role === "GUIDE") {
+    return Boolean(user.guideId) && event.guideId === user.guideId;
+  }
+  return false;
+};
+
+/**
+ * Ownership rules referenced by name from config/permissions.js.
+ * Each rule receives the request and the authenticated user and resolves to
+ * true (owner), false (not owner) or null when the resource does not exist,
+ * in which case the request is passed on so the controller can answer 404.
+ */
+const ownershipRules = {
+  // The :id param is the authenticated user's own id
+  self: async (req, user) => req.params.id === user.id,
+
+  // The :id param is the authenticated user's TouristGuide id
+  guideSelf: async (req, user) =>
+    Boolean(user.guideId) && req.params.id === user.guideId,
+
+  // The :id param is the authenticated user's TouristicSiteAdmin id
+  siteAdminSelf: async (req, user) =>
+    Boolean(user.siteAdminId) && req.params.id === user.siteAdminId,
+
+  // The :id site is managed by the authenticated site admin, in any role
+  siteMember: async (req, user) => {
+    const site = await prisma.touristicSite.findUnique({
+      where: { id: req.params.id },
+      select: { id: true },
+    });
+    if (!site) return null;
+    return Boolean(user.siteRoles[site.id]);
+  },
+
+  // The authenticated site admin is an OWNER of the :id site
+  siteOwner: async (req, user) => {
+    const site = await prisma.touristicSite.findUnique({
+      where: { id: req.params.id },
+      select: { id: true },
+    });
+    if (!site) return null;
+    return user.siteRoles[site.id] === "OWNER";
+  },
+
+  // A SITE_ADMIN owns events with their siteAdminId or at their sites, a GUIDE
+  // those with their guideId
+  eventOwner: async (req, user) => {
+    const event = await prisma.event.findUnique({
+      where: { id: req.params.id },
+      select: { siteAdminId: true, guideId: true, touristicSiteId: true },
+    });
+    if (!event) return null;
+    return ownsEvent(user, event);
+  },
+
+  // The :id booking was made by the authenticated tourist
+  bookingTourist: async (req, user) => {
+    const booking = await prisma.booking.findUnique({
+      where: { id: req.params.id },
+      select: { touristId: true },
+    });
+    if (!booking) return null;
+    return booking.touristId === user.id;
+  },
+
+  // The :id booking is on an event run by the authenticated guide or site admin
+  bookingManager: async (req, user) => {
+    const booking = await prisma.booking.findUnique({
+      where: { id: req.params.id },
+      select: {
+        guideId: true,
+        event: {
+          select: { siteAdminId: true, guideId: true, touristicSiteId: true },
+        },
+      },
+    });
+    if (!booking) return null;
+    if (user.role === "GUIDE" && booking.guideId === user.guideId) return true;
+    return Boolean(booking.event) && ownsEvent(user, booking.event);
+  },
+
+  // The :id hire request was sent by the authenticated tourist
+  hireRequestTourist: async (req, user) => {
+    const request = await prisma.guideHireRequest.findUnique({
+      where: { id: req.params.id },
+      select: { touristId: true },
+    });
+    if (!request) return null;
+    return request.touristId === user.id;
+  },
+
+  // The :id hire request was sent to the authenticated guide
+  hireRequestGuide: async (req, user) => {
+    const request = await prisma.guideHireRequest.findUnique({
+      where: { id: req.params.id },
+      select: { guideId: true },
+    });
+    if (!request) return null;
+    return Boolean(user.guideId) && request.guideId === user.guideId;
+  },
+
+  // The :id review was written by the authenticated tourist
+  reviewAuthor: async (req, user) => {
+    const review = await prisma.review.findUnique({
+      where: { id: req.params.id },
+      select: { touristId: true },
+    });
+    if (!review) return null;
+    return review.touristId === user.id;
+  },
+
+  // The authenticated user is the tourist or the guide of the :id conversation
+  conversationParticipant: async (req, user) => {
+    const conversation = await prisma.conversation.findUnique({
+      where: { id: req.params.id },
+      select: { touristId: true, guideId: true },
+    });
+    if (!conversation) return null;
+    return (
+      conversation.touristId === user.id || conversation.guideId === user.id
+    );
+  },
+};
+
+// Fail fast on typos in the permission map rather than at request time
+for (const [permission, grants] of Object.entries(permissions)) {
+  for (const grant of Object.values(grants)) {
+    if (grant !== true && !ownershipRules[grant]) {
+      throw new Error(
+        `Permission "${permission}" references unknown ownership rule "${grant}"`
+      );
+    }
+  }
+}
+
+/**
+ * Returns a middleware that only lets the request through if the authenticated
+ * user holds the given permission. Must be used after authenticate().
+ * @param {string} permission - A key of config/permissions.js
+ */
+exports.authorize = (permission) => {
+  const grants = permissions[permission];
+  if (!grants) {
+    throw new Error(`Unknown permission "${permission}"`);
+  }
+
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        status: false,
+        message: "Authentication required",
+      });
+    }
+
+    const grant = grants[req.user.role];
+    if (!grant) {
+      return res.status(403).json({
+        status: false,
+        message: "You do not have permission to perform this action",
+      });
+    }
+
+    if (grant === true) return next();
+
+    try {
+      const isOwner = await ownershipRules[grant](req, req.user);
+      if (isOwner === false) {
+        return res.status(403).json({
+          status: false,
+          message: "You do not have permission to perform this action",
+        });
+      }
+      next();
+    } catch (error) {
+      console.error(`Authorization error for ${permission}:`, error);
+      res.status(500).json({
+        status: false,
+        message: "Internal server error",
+      });
+    }
+  };
+};
@@ -0,0 +1,57 @@
+const express = require("express");
+
+const router = express.Router();
+const bookingController = require("../controllers/bookingController");
+const { authenticate } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/authorize");
+
+router.post(
+  "/create",
+  authenticate,
+  authorize("booking:create"),
+  bookingController.createBooking
+);
+router.get(
+  "/my",
+  authenticate,
+  authorize("booking:listOwn"),
+  bookingController.getMyBookings
+);
+router.get(
+  "/managed",
+  authenticate,
+  authorize("booking:listManaged"),
+  bookingController.getManagedBookings
+);
+router.get(
+  "/:id",
+  authenticate,
+  authorize("booking:read"),
+  bookingController.getBookingById
+);
+router.put(
+  "/:id/confirm",
+  authenticate,
+  authorize("booking:manage"),
+  bookingController.confirmBooking
+);
+router.put(
+  "/:id/complete",
+  authenticate,
+  authorize("booking:manage"),
+  bookingController.completeBooking
+);
+router.get(
+  "/:id/cancellation-quote",
+  authenticate,
+  authorize("booking:cancel"),
+  bookingController.getCancellationQuote
+);
+router.put(
+  "/:id/cancel",
+  authenticate,
+  authorize("booking:cancel"),
+  bookingController.cancelBooking
+);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require("express");
+
+const router = express.Router();
+const chatController = require("../controllers/chatController");
+const { authenticate } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/authorize");
+
+router.get(
+  "/conversations",
+  authenticate,
+  authorize("chat:list"),
+  chatController.getConversations
+);
+router.post(
+  "/conversations",
+  authenticate,
+  authorize("chat:start"),
+  chatController.startConversation
+);
+router.get(
+  "/unread",
+  authenticate,
+  authorize("chat:list"),
+  chatController.getUnreadCount
+);
+router.get(
+  "/conversations/:id/messages",
+  authenticate,
+  authorize("chat:participate"),
+  chatController.getMessages
+);
+router.post(
+  "/conversations/:id/messages",
+  authenticate,
+  authorize("chat:participate"),
+  chatController.sendMessage
+);
+router.put(
+  "/conversations/:id/read",
+  authenticate,
+  authorize("chat:participate"),
+  chatController.markAsRead
+);
+
+module.exports = router;
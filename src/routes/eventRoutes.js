@@ -3,16 +3,77 @@ const express = require("express");
 const router = express.Router();
 const authController = require("../controllers/authController");
 const eventController = require("../controllers/eventController");
-const upload = require("../services/multerEvent");
+const moderationController = require("../controllers/moderationController");
+const imageController = require("../controllers/imageController");
+const { uploadImages } = require("../services/mediaService");
+const {
+  authenticate,
+  optionalAuthenticate,
+} = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/authorize");
 router.post(
   "/create",
-  upload.uploadPropertyImages.array("eventImages", 20),
+  authenticate,
+  authorize("event:create"),
+  uploadImages("events", "eventImages", 20),
   eventController.createEvent
 );
 router.get("/all", eventController.getAllEvents);
-router.get("/siteadmin/events/:adminId", eventController.getSiteAdminEvents);
-router.get("/:id", eventController.getEventById);
-router.put("/update/:id", eventController.updateEvent);
-router.delete("/delete/:id", eventController.deleteEvent);
+router.get("/geojson", eventController.getEventsGeoJson);
+router.get(
+  "/siteadmin/events/:adminId",
+  optionalAuthenticate,
+  eventController.getSiteAdminEvents
+);
+router.get("/:id", optionalAuthenticate, eventController.getEventById);
+router.get(
+  "/:id/availability",
+  optionalAuthenticate,
+  eventController.getEventAvailability
+);
+router.get(
+  "/:id/bookings",
+  authenticate,
+  authorize("event:bookings"),
+  eventController.getEventBookings
+);
+router.get("/:id/cancellation-policy", eventController.getCancellationPolicy);
+router.put(
+  "/:id/cancellation-policy",
+  authenticate,
+  authorize("event:update"),
+  eventController.updateCancellationPolicy
+);
+router.put(
+  "/:id/submit",
+  authenticate,
+  authorize("event:submit"),
+  moderationController.submitEvent
+);
+router.put(
+  "/:id/images/order",
+  authenticate,
+  authorize("event:update"),
+  imageController.reorderEventImages
+);
+router.put(
+  "/:id/images/:imageId",
+  authenticate,
+  authorize("event:update"),
+  imageController.updateEventImage
+);
+router.put(
+  "/update/:id",
+  authenticate,
+  authorize("event:update"),
+  uploadImages("events", "eventImages", 20),
+  eventController.updateEvent
+);
+router.delete(
+  "/delete/:id",
+  authenticate,
+  authorize("event:delete"),
+  eventController.deleteEvent
+);
 
 module.exports = router;
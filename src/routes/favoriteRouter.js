@@ -0,0 +1,28 @@
+const express = require("express");
+
+const router = express.Router();
+const favoriteController = require("../controllers/favoriteController");
+const { authenticate } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/authorize");
+
+router.get(
+  "/",
+  authenticate,
+  authorize("favorite:manage"),
+  favoriteController.getMyFavorites
+);
+router.get("/site/:siteId/count", favoriteController.getSiteFavoriteCount);
+router.post(
+  "/:siteId",
+  authenticate,
+  authorize("favorite:manage"),
+  favoriteController.addFavorite
+);
+router.delete(
+  "/:siteId",
+  authenticate,
+  authorize("favorite:manage"),
+  favoriteController.removeFavorite
+);
+
+module.exports = router;
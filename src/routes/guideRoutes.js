@@ -0,0 +1,33 @@
+const express = require("express");
+
+const router = express.Router();
+const userController = require("../controllers/userController");
+const {
+  authenticate,
+  optionalAuthenticate,
+} = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/authorize");
+
+router.post(
+  "/",
+  authenticate,
+  authorize("guide:create"),
+  userController.createTouristGuide
+);
+router.get("/", userController.getAllTouristGuides);
+router.get("/:id", optionalAuthenticate, userController.getTouristGuideById);
+router.get("/:id/free-slots", userController.getGuideFreeSlots);
+router.put(
+  "/:id",
+  authenticate,
+  authorize("guide:update"),
+  userController.updateTouristGuide
+);
+router.delete(
+  "/:id",
+  authenticate,
+  authorize("guide:delete"),
+  userController.deleteTouristGuide
+);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require("express");
+
+const router = express.Router();
+const hireRequestController = require("../controllers/hireRequestController");
+const { authenticate } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/authorize");
+
+router.post(
+  "/",
+  authenticate,
+  authorize("hire:create"),
+  hireRequestController.createHireRequest
+);
+router.get(
+  "/my",
+  authenticate,
+  authorize("hire:create"),
+  hireRequestController.getMyHireRequests
+);
+router.get(
+  "/received",
+  authenticate,
+  authorize("hire:listReceived"),
+  hireRequestController.getReceivedHireRequests
+);
+router.get(
+  "/:id",
+  authenticate,
+  authorize("hire:read"),
+  hireRequestController.getHireRequestById
+);
+router.put(
+  "/:id/accept",
+  authenticate,
+  authorize("hire:respond"),
+  hireRequestController.acceptHireRequest
+);
+router.put(
+  "/:id/decline",
+  authenticate,
+  authorize("hire:respond"),
+  hireRequestController.declineHireRequest
+);
+router.put(
+  "/:id/cancel",
+  authenticate,
+  authorize("hire:cancel"),
+  hireRequestController.cancelHireRequest
+);
+
+module.exports = router;
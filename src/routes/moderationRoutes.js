@@ -0,0 +1,27 @@
+const express = require("express");
+
+const router = express.Router();
+const moderationController = require("../controllers/moderationController");
+const { authenticate } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/authorize");
+
+router.get(
+  "/queue",
+  authenticate,
+  authorize("moderation:manage"),
+  moderationController.getModerationQueue
+);
+router.put(
+  "/sites/:id/:action",
+  authenticate,
+  authorize("moderation:manage"),
+  moderationController.moderateSite
+);
+router.put(
+  "/events/:id/:action",
+  authenticate,
+  authorize("moderation:manage"),
+  moderationController.moderateEvent
+);
+
+module.exports = router;
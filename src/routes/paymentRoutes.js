@@ -0,0 +1,41 @@
+const express = require("express");
+
+const router = express.Router();
+const paymentController = require("../controllers/paymentController");
+const { authenticate } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/authorize");
+
+router.get("/methods", paymentController.getPaymentMethods);
+router.post("/webhook/:provider", paymentController.handleWebhook);
+router.post(
+  "/booking/:id",
+  authenticate,
+  authorize("payment:start"),
+  paymentController.startBookingPayment
+);
+router.get(
+  "/booking/:id",
+  authenticate,
+  authorize("booking:read"),
+  paymentController.getBookingPayment
+);
+router.get(
+  "/booking/:id/refunds",
+  authenticate,
+  authorize("booking:read"),
+  paymentController.getBookingRefunds
+);
+router.get(
+  "/refunds/my",
+  authenticate,
+  authorize("booking:listOwn"),
+  paymentController.getMyRefunds
+);
+router.put(
+  "/booking/:id/collect",
+  authenticate,
+  authorize("payment:collect"),
+  paymentController.collectCashPayment
+);
+
+module.exports = router;
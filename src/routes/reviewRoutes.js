@@ -0,0 +1,36 @@
+const express = require("express");
+
+const router = express.Router();
+const reviewController = require("../controllers/reviewController");
+const { authenticate } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/authorize");
+
+router.get(
+  "/my",
+  authenticate,
+  authorize("review:listOwn"),
+  reviewController.getMyReviews
+);
+router.get("/guide/:id", reviewController.getGuideReviews);
+router.get("/event/:id", reviewController.getEventReviews);
+router.get("/site/:id", reviewController.getSiteReviews);
+router.post(
+  "/booking/:id",
+  authenticate,
+  authorize("review:create"),
+  reviewController.createReview
+);
+router.put(
+  "/:id",
+  authenticate,
+  authorize("review:update"),
+  reviewController.updateReview
+);
+router.delete(
+  "/:id",
+  authenticate,
+  authorize("review:delete"),
+  reviewController.deleteReview
+);
+
+module.exports = router;
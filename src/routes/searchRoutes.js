@@ -0,0 +1,8 @@
+const express = require("express");
+
+const router = express.Router();
+const searchController = require("../controllers/searchController");
+
+router.get("/", searchController.search);
+
+module.exports = router;
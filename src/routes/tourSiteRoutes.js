@@ -3,18 +3,119 @@ const express = require("express");
 const router = express.Router();
 
 const touristicSite = require("../controllers/touristicSiteController");
-const upload = require("../services/multer");
+const siteAdmin = require("../controllers/siteAdminController");
+const moderation = require("../controllers/moderationController");
+const images = require("../controllers/imageController");
+const { uploadImages } = require("../services/mediaService");
+const {
+  authenticate,
+  optionalAuthenticate,
+} = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/authorize");
 
 router.post(
   "/create",
-  upload.uploadPropertyImages.array("siteImages", 20),
+  uploadImages("sites", "siteImages", 20),
   touristicSite.createSiteAdminWithSite
 );
-router.get("/allsites", touristicSite.getAllTouristicSites);
-router.get("/all", touristicSite.getAllSiteAdmins);
-router.get("/:id", touristicSite.getSiteAdminById);
-router.put("/update/:id", touristicSite.updateSiteAdmin);
-router.delete("/delete/:id", touristicSite.deleteSiteAdmin);
-router.get("/sites/:adminId", touristicSite.getSitesByAdmin);
+router.post(
+  "/site",
+  authenticate,
+  authorize("site:create"),
+  uploadImages("sites", "siteImages", 20),
+  touristicSite.createSite
+);
+router.post(
+  "/invitations/accept",
+  optionalAuthenticate,
+  siteAdmin.acceptSiteInvitation
+);
+router.put(
+  "/site/:id/submit",
+  authenticate,
+  authorize("site:submit"),
+  moderation.submitSite
+);
+router.put(
+  "/site/:id/images/order",
+  authenticate,
+  authorize("site:manageImages"),
+  images.reorderSiteImages
+);
+router.put(
+  "/site/:id/images/:imageId",
+  authenticate,
+  authorize("site:manageImages"),
+  images.updateSiteImage
+);
+router.get(
+  "/site/:id/admins",
+  authenticate,
+  authorize("site:listAdmins"),
+  siteAdmin.getSiteAdmins
+);
+router.put(
+  "/site/:id/admins/:adminId",
+  authenticate,
+  authorize("site:manageAdmins"),
+  siteAdmin.updateSiteAdminRole
+);
+router.delete(
+  "/site/:id/admins/:adminId",
+  authenticate,
+  authorize("site:removeAdmin"),
+  siteAdmin.removeSiteAdmin
+);
+router.get(
+  "/site/:id/invitations",
+  authenticate,
+  authorize("site:manageAdmins"),
+  siteAdmin.getSiteInvitations
+);
+router.post(
+  "/site/:id/invitations",
+  authenticate,
+  authorize("site:manageAdmins"),
+  siteAdmin.inviteSiteAdmin
+);
+router.delete(
+  "/site/:id/invitations/:invitationId",
+  authenticate,
+  authorize("site:manageAdmins"),
+  siteAdmin.revokeSiteInvitation
+);
+router.get(
+  "/allsites",
+  optionalAuthenticate,
+  touristicSite.getAllTouristicSites
+);
+router.get("/nearby", touristicSite.getNearbySites);
+router.get("/within", touristicSite.getSitesInBoundingBox);
+router.get("/geojson", touristicSite.getSitesGeoJson);
+router.get(
+  "/all",
+  authenticate,
+  authorize("siteAdmin:list"),
+  touristicSite.getAllSiteAdmins
+);
+router.get("/:id", optionalAuthenticate, touristicSite.getSiteAdminById);
+router.put(
+  "/update/:id",
+  authenticate,
+  authorize("site:update"),
+  uploadImages("sites", "siteImages", 20),
+  touristicSite.updateSiteAdmin
+);
+router.delete(
+  "/delete/:id",
+  authenticate,
+  authorize("site:delete"),
+  touristicSite.deleteSiteAdmin
+);
+router.get(
+  "/sites/:adminId",
+  optionalAuthenticate,
+  touristicSite.getSitesByAdmin
+);
 
 module.exports = router;
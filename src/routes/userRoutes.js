@@ -3,12 +3,51 @@ const express = require("express");
 const router = express.Router();
 const authController = require("../controllers/authController");
 const userController = require("../controllers/userController");
+const accountController = require("../controllers/accountController");
+const { uploadImages } = require("../services/mediaService");
+const { authenticate } = require("../middlewares/authMiddleware");
+const { authorize } = require("../middlewares/authorize");
 
 router.post("/create", userController.registerUser);
-router.get("/alluser", userController.getAllUsers);
-router.get("/:id", userController.getUserById);
-router.put("/update/:id", userController.updateUser);
-router.delete("/delete/:id", userController.deleteUser);
+router.get(
+  "/alluser",
+  authenticate,
+  authorize("user:list"),
+  userController.getAllUsers
+);
+router.get("/me", authenticate, accountController.getMe);
+router.put("/me", authenticate, accountController.updateMe);
+router.delete("/me", authenticate, accountController.deleteMe);
+router.put(
+  "/me/avatar",
+  authenticate,
+  uploadImages("avatars", "avatar", 1, { crop: true }),
+  accountController.updateAvatar
+);
+router.delete("/me/avatar", authenticate, accountController.deleteAvatar);
+router.put("/me/password", authenticate, accountController.changePassword);
+router.put("/me/email", authenticate, accountController.requestEmailChange);
+router.post("/email/confirm", accountController.confirmEmailChange);
+router.get(
+  "/:id",
+  authenticate,
+  authorize("user:read"),
+  userController.getUserById
+);
+router.put(
+  "/update/:id",
+  authenticate,
+  authorize("user:update"),
+  userController.updateUser
+);
+router.delete(
+  "/delete/:id",
+  authenticate,
+  authorize("user:delete"),
+  userController.deleteUser
+);
 
 router.post("/login", authController.Login);
+router.post("/refresh", authController.Refresh);
+router.post("/logout", authController.Logout);
 module.exports = router;
@@ -0,0 +1,75 @@
+// Processes the site and event images stored before uploads were resized:
+// stores their thumbnail, card and full versions, records them and deletes
+// the original file, which still holds its metadata.
+// Usage: npm run images:variants
+const path = require("path");
+const { PrismaClient, Prisma } = require("@prisma/client");
+const prisma = new PrismaClient();
+const {
+  readStoredImage,
+  createImageVariants,
+} = require("../services/mediaService");
+const { getStorage } = require("../services/storage");
+
+const IMAGE_MODELS = ["touristicSiteImage", "eventImage"];
+const BATCH_SIZE = 50;
+
+const processModel = async (model) => {
+  const counts = { processed: 0, missing: 0, failed: 0 };
+  let cursor = null;
+
+  for (;;) {
+    const images = await prisma[model].findMany({
+      where: { variants: { equals: Prisma.DbNull } },
+      orderBy: { id: "asc" },
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+    if (images.length === 0) break;
+    cursor = images[images.length - 1].id;
+
+    for (const image of images) {
+      const file = await readStoredImage(image.url);
+      if (!file) {
+        console.warn(`${model} ${image.id}: no file for ${image.url}`);
+        counts.missing++;
+        continue;
+      }
+
+      try {
+        const { url, variants } = await createImageVariants(
+          file.kind,
+          file.body,
+          path.posix.parse(file.key).name
+        );
+        await prisma[model].update({
+          where: { id: image.id },
+          data: { url, variants },
+        });
+        await getStorage().remove(file.key);
+        counts.processed++;
+      } catch (error) {
+        console.error(`${model} ${image.id}: ${error.message}`);
+        counts.failed++;
+      }
+    }
+  }
+
+  return counts;
+};
+
+const main = async () => {
+  for (const model of IMAGE_MODELS) {
+    const { processed, missing, failed } = await processModel(model);
+    console.log(
+      `${model}: ${processed} processed, ${missing} missing, ${failed} failed`
+    );
+  }
+};
+
+main()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
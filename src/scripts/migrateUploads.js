@@ -0,0 +1,240 @@
+// Copies the files of the local uploads/ directory to another storage driver
+// and rewrites the image and avatar URLs stored in the database to point at
+// the copies.
+// Files under a legacy directory (uploads/site) are stored under the current
+// one. Local files are only deleted with --delete-local, once every URL has
+// been rewritten; run it again later to remove them if you prefer to check
+// the new storage first.
+// Usage: npm run uploads:migrate -- [--to s3] [--dry-run] [--delete-local]
+// --to defaults to STORAGE_DRIVER.
+const path = require("path");
+const fs = require("fs");
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { MEDIA_KINDS } = require("../services/mediaService");
+const { getDriver } = require("../services/storage");
+const { isValidKey } = require("../services/storage/objectKey");
+
+// Models storing image URLs, with their URL and variants fields
+const IMAGE_MODELS = [
+  { model: "touristicSiteImage", url: "url", variants: "variants" },
+  { model: "eventImage", url: "url", variants: "variants" },
+  { model: "user", url: "profilePicture", variants: "profilePictureVariants" },
+];
+const BATCH_SIZE = 50;
+
+const CONTENT_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+};
+
+// Local URLs, wherever they appear in a value (srcset strings included)
+const LOCAL_URL_PATTERN = /\/uploads\/[^\s",]+/g;
+
+const parseArgs = (argv) => {
+  const options = {
+    to: process.env.STORAGE_DRIVER,
+    dryRun: false,
+    deleteLocal: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--dry-run") options.dryRun = true;
+    else if (argv[i] === "--delete-local") options.deleteLocal = true;
+    else if (argv[i] === "--to") options.to = argv[++i];
+    else throw new Error(`Unknown option ${argv[i]}`);
+  }
+  return options;
+};
+
+/**
+ * Paths of every file under a directory, relative to it and "/"-separated.
+ * @param {string} root
+ * @param {string} [prefix]
+ * @returns {Promise<string[]>}
+ */
+const listFiles = async (root, prefix = "") => {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(path.join(root, prefix), {
+      withFileTypes: true,
+    });
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) files.push(...(await listFiles(root, relative)));
+    else if (entry.isFile()) files.push(relative);
+  }
+  return files;
+};
+
+/**
+ * Key a local file is stored under, moving legacy directories to the current
+ * one of their kind.
+ * @param {string} relative
+ * @returns {string}
+ */
+const targetKey = (relative) => {
+  const [first, ...rest] = relative.split("/");
+  const kind = Object.values(MEDIA_KINDS).find(({ legacyDirectories }) =>
+    legacyDirectories.includes(first)
+  );
+  return kind && rest.length ? [kind.directory, ...rest].join("/") : relative;
+};
+
+/**
+ * Copies the local files, returning the new URL of each local URL.
+ */
+const copyFiles = async (local, target, files, { dryRun }) => {
+  const urls = new Map();
+  let failed = 0;
+
+  for (const relative of files) {
+    const key = targetKey(relative);
+    if (!isValidKey(key)) {
+      console.warn(`Skipping ${relative}: not a valid storage key`);
+      failed++;
+      continue;
+    }
+
+    try {
+      const newUrl = dryRun
+        ? target.getUrl(key)
+        : await target.put(key, await local.get(relative), {
+            contentType:
+              CONTENT_TYPES[path.extname(key).toLowerCase()] ||
+              "application/octet-stream",
+          });
+      // Legacy files were already referenced by the URL of the current directory
+      urls.set(local.getUrl(key), newUrl);
+      urls.set(local.getUrl(relative), newUrl);
+    } catch (error) {
+      console.error(`Copying ${relative}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  return { urls, failed };
+};
+
+/**
+ * Replaces the local URLs of an image, reporting those with no copy.
+ * @param {{ url: string|null, variants: object|null }} image
+ */
+const rewriteImage = (image, urls) => {
+  const missing = new Set();
+  const replace = (value) =>
+    value.replace(LOCAL_URL_PATTERN, (url) => {
+      if (urls.has(url)) return urls.get(url);
+      missing.add(url);
+      return url;
+    });
+
+  const url = image.url && replace(image.url);
+  const variants = image.variants
+    ? JSON.parse(replace(JSON.stringify(image.variants)))
+    : image.variants;
+  const changed =
+    url !== image.url ||
+    JSON.stringify(variants) !== JSON.stringify(image.variants);
+
+  return { url, variants, changed, missing: [...missing] };
+};
+
+const rewriteModel = async (
+  { model, url: urlField, variants: variantsField },
+  urls,
+  { dryRun }
+) => {
+  const counts = { rewritten: 0, incomplete: 0 };
+  let cursor = null;
+
+  for (;;) {
+    const rows = await prisma[model].findMany({
+      select: { id: true, [urlField]: true, [variantsField]: true },
+      orderBy: { id: "asc" },
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+    if (rows.length === 0) break;
+    cursor = rows[rows.length - 1].id;
+
+    for (const row of rows) {
+      const { url, variants, changed, missing } = rewriteImage(
+        { url: row[urlField], variants: row[variantsField] },
+        urls
+      );
+      if (missing.length > 0) {
+        console.warn(`${model} ${row.id}: no file for ${missing.join(", ")}`);
+        counts.incomplete++;
+      }
+      if (!changed) continue;
+
+      if (!dryRun) {
+        await prisma[model].update({
+          where: { id: row.id },
+          data: {
+            [urlField]: url,
+            ...(variants && { [variantsField]: variants }),
+          },
+        });
+      }
+      counts.rewritten++;
+    }
+  }
+
+  return counts;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const local = getDriver("local");
+  const target = getDriver(options.to || "local");
+  if (target === local) {
+    throw new Error(
+      "Choose the storage to move uploads to with --to or STORAGE_DRIVER"
+    );
+  }
+
+  const files = await listFiles(local.publicRoot);
+  console.log(
+    `${options.dryRun ? "Would copy" : "Copying"} ${files.length} files from ${
+      local.publicRoot
+    } to ${target.name}`
+  );
+  const { urls, failed } = await copyFiles(local, target, files, options);
+  console.log(`${files.length - failed} copied, ${failed} not copied`);
+
+  let incomplete = 0;
+  for (const fields of IMAGE_MODELS) {
+    const counts = await rewriteModel(fields, urls, options);
+    incomplete += counts.incomplete;
+    console.log(
+      `${fields.model}: ${counts.rewritten} rewritten, ${counts.incomplete} with missing files`
+    );
+  }
+
+  if (options.deleteLocal && !options.dryRun) {
+    if (failed > 0) {
+      console.warn("Local files kept, some could not be copied");
+      return;
+    }
+    for (const relative of files) await local.remove(relative);
+    console.log(`${files.length} local files deleted`);
+  }
+  if (incomplete > 0) process.exitCode = 1;
+};
+
+main()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,33 @@
+// Sends again the refunds recorded while their payment provider was down or
+// disabled, e.g. when a booking was canceled during an outage, and those the
+// provider refused, up to MAX_REFUND_ATTEMPTS times. Refunds still failing
+// after that are listed and the script exits with an error. Safe to run
+// repeatedly, from a cron job for instance.
+// Usage: npm run refunds:retry
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const {
+  retryPendingRefunds,
+  retryFailedRefunds,
+} = require("../services/refundService");
+
+const main = async () => {
+  const { sent, pending } = await retryPendingRefunds();
+  console.log(`Refunds: ${sent} sent, ${pending} still pending`);
+
+  const { retried, exhausted } = await retryFailedRefunds();
+  console.log(`Failed refunds: ${retried} retried`);
+  for (const refund of exhausted) {
+    console.error(
+      `Refund ${refund.id} of payment ${refund.paymentId} (${refund.amount}) failed ${refund.attempt} times, refund it by hand`
+    );
+  }
+  if (exhausted.length > 0) process.exitCode = 1;
+};
+
+main()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
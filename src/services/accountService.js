@@ -0,0 +1,260 @@
+const crypto = require("crypto");
+const { PrismaClient, Prisma } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { hashToken } = require("./tokenService");
+const { sendMail } = require("./mailService");
+const { countOwners } = require("./siteAdminService");
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Shortest password accepted when a user changes theirs
+const MIN_PASSWORD_LENGTH = 8;
+
+// How long the link confirming a new email address stays valid
+const EMAIL_CHANGE_TTL_HOURS = parseInt(
+  process.env.EMAIL_CHANGE_TTL_HOURS || "24",
+  10
+);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Page of the frontend that confirms a new email address, the token is appended
+const EMAIL_CHANGE_URL =
+  process.env.EMAIL_CHANGE_URL ||
+  `${process.env.APP_URL || "http://localhost:3000"}/account/confirm-email`;
+
+// Guides whose account has not been deleted, the only ones listed and hired
+const activeGuideFilter = { user: { deletedAt: null } };
+
+// Bookings and hire requests still to take place
+const ACTIVE_BOOKING_STATUSES = ["PENDING", "CONFIRMED"];
+
+/**
+ * Validates a new password.
+ * @param {*} password
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateNewPassword = (password) => {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `The new password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+};
+
+/**
+ * Records a change of email address and emails its confirmation link to the
+ * new address, replacing any pending change. Only the token hash is stored,
+ * the link in the email is the only copy of the token.
+ * @param {{ user: { id: string, name: string }, newEmail: string }} params
+ * @returns {Promise<object>} - The email change request
+ */
+const createEmailChange = async ({ user, newEmail }) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  const now = new Date();
+
+  const request = await prisma.$transaction(async (tx) => {
+    await tx.emailChangeRequest.updateMany({
+      where: { userId: user.id, confirmedAt: null, revokedAt: null },
+      data: { revokedAt: now },
+    });
+    return tx.emailChangeRequest.create({
+      data: {
+        user: { connect: { id: user.id } },
+        newEmail,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(now.getTime() + EMAIL_CHANGE_TTL_HOURS * HOUR_MS),
+      },
+    });
+  });
+
+  const link = `${EMAIL_CHANGE_URL}?token=${token}`;
+  try {
+    await sendMail({
+      to: newEmail,
+      subject: "Confirm your new email address",
+      text:
+        `Hello ${user.name},\n\n` +
+        `Confirm that ${newEmail} is your new email address within ${EMAIL_CHANGE_TTL_HOURS} hours: ${link}\n\n` +
+        "If you did not ask for this change, ignore this email.\n",
+    });
+  } catch (error) {
+    // A link nobody received cannot be confirmed, drop it
+    await prisma.emailChangeRequest.delete({ where: { id: request.id } });
+    throw error;
+  }
+
+  return request;
+};
+
+/**
+ * Tells the previous address of a user that their email was changed. Failures
+ * are only logged, the change itself is done.
+ * @param {string} previousEmail
+ * @param {string} newEmail
+ */
+const notifyEmailChanged = async (previousEmail, newEmail) => {
+  try {
+    await sendMail({
+      to: previousEmail,
+      subject: "Your email address was changed",
+      text:
+        `The email address of your account is now ${newEmail}.\n\n` +
+        "If you did not make this change, contact us right away.\n",
+    });
+  } catch (error) {
+    console.error(`Error notifying ${previousEmail} of its change:`, error);
+  }
+};
+
+/**
+ * Finds the email change a raw token belongs to.
+ * @param {string} token
+ * @returns {Promise<object|null>}
+ */
+const findEmailChangeByToken = (token) =>
+  prisma.emailChangeRequest.findUnique({
+    where: { tokenHash: hashToken(String(token)) },
+    include: { user: { select: { id: true, email: true, deletedAt: true } } },
+  });
+
+/**
+ * Why an email change can no longer be confirmed, or null if it can.
+ * @param {{ confirmedAt: Date|null, revokedAt: Date|null, expiresAt: Date }} request
+ * @param {Date} [now=new Date()]
+ * @returns {string|null}
+ */
+const getEmailChangeProblem = (request, now = new Date()) => {
+  if (request.confirmedAt) return "This email change was already confirmed";
+  if (request.revokedAt) return "This email change was replaced or canceled";
+  if (request.expiresAt <= now) return "This confirmation link has expired";
+  return null;
+};
+
+/**
+ * Reasons a user cannot delete their account yet: bookings and hire requests
+ * still to take place, as tourist or guide, and sites they are the only
+ * owner of.
+ * @param {object} user - req.user
+ * @returns {Promise<string[]>}
+ */
+const getAccountDeletionBlockers = async (user) => {
+  const now = new Date();
+  const upcoming = (where) => ({
+    ...where,
+    status: { in: ACTIVE_BOOKING_STATUSES },
+    bookingDate: { gte: now },
+  });
+  const pendingHire = (where) => ({
+    ...where,
+    status: "PENDING",
+    startsAt: { gte: now },
+  });
+
+  const [bookings, hireRequests, guideBookings, guideHireRequests] =
+    await Promise.all([
+      prisma.booking.count({ where: upcoming({ touristId: user.id }) }),
+      prisma.guideHireRequest.count({
+        where: pendingHire({ touristId: user.id }),
+      }),
+      user.guideId
+        ? prisma.booking.count({ where: upcoming({ guideId: user.guideId }) })
+        : 0,
+      user.guideId
+        ? prisma.guideHireRequest.count({
+            where: pendingHire({ guideId: user.guideId }),
+          })
+        : 0,
+    ]);
+
+  const blockers = [];
+  if (bookings > 0)
+    blockers.push(`Cancel your ${bookings} upcoming booking(s) first`);
+  if (hireRequests > 0)
+    blockers.push(`Cancel your ${hireRequests} pending guide request(s) first`);
+  if (guideBookings > 0)
+    blockers.push(`You still guide ${guideBookings} upcoming booking(s)`);
+  if (guideHireRequests > 0)
+    blockers.push(
+      `Answer your ${guideHireRequests} pending hire request(s) first`
+    );
+
+  const soleOwnerSiteIds = [];
+  for (const [siteId, role] of Object.entries(user.siteRoles)) {
+    if (role === "OWNER" && (await countOwners(siteId)) === 1) {
+      soleOwnerSiteIds.push(siteId);
+    }
+  }
+  if (soleOwnerSiteIds.length > 0) {
+    const sites = await prisma.touristicSite.findMany({
+      where: { id: { in: soleOwnerSiteIds } },
+      select: { name: true },
+    });
+    for (const site of sites) {
+      blockers.push(`Make another admin owner of ${site.name} first`);
+    }
+  }
+
+  return blockers;
+};
+
+/**
+ * Deletes a user's account. Bookings, payments and reviews must stay
+ * consistent, so the user row is kept but stripped of personal data and can
+ * no longer sign in; favorites, site memberships and pending email changes
+ * are deleted and the guide's published events withdrawn. The guide profile
+ * stays for past hires but activeGuideFilter keeps it out of listings.
+ * @param {object} user - req.user
+ * @returns {Promise<object>} - The user as it was, for its avatar files
+ */
+const anonymizeAccount = (user) =>
+  prisma.$transaction(async (tx) => {
+    const previous = await tx.user.findUnique({ where: { id: user.id } });
+
+    await tx.favorite.deleteMany({ where: { userId: user.id } });
+    await tx.emailChangeRequest.deleteMany({ where: { userId: user.id } });
+    await tx.refreshToken.updateMany({
+      where: { userId: user.id, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+    if (user.siteAdminId) {
+      await tx.siteAdminMembership.deleteMany({
+        where: { siteAdminId: user.siteAdminId },
+      });
+    }
+    if (user.guideId) {
+      await tx.event.updateMany({
+        where: { guideId: user.guideId, status: "PUBLISHED" },
+        data: { status: "DRAFT" },
+      });
+    }
+
+    await tx.user.update({
+      where: { id: user.id },
+      data: {
+        name: "Deleted user",
+        // Frees the address, which may be used to register again
+        email: `deleted-${user.id}@deleted.invalid`,
+        // No password hashes to this, so nobody can sign in
+        password: `deleted:${crypto.randomBytes(32).toString("hex")}`,
+        phoneNumber: null,
+        profilePicture: null,
+        profilePictureVariants: Prisma.DbNull,
+        deletedAt: new Date(),
+      },
+    });
+
+    return previous;
+  });
+
+module.exports = {
+  EMAIL_PATTERN,
+  MIN_PASSWORD_LENGTH,
+  validateNewPassword,
+  createEmailChange,
+  notifyEmailChanged,
+  findEmailChangeByToken,
+  getEmailChangeProblem,
+  getAccountDeletionBlockers,
+  anonymizeAccount,
+  activeGuideFilter,
+};
@@ -0,0 +1,95 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+
+/**
+ * Allowed booking status transitions.
+ * PENDING -> CONFIRMED -> COMPLETED, and any open booking can be CANCELED.
+ */
+const BOOKING_TRANSITIONS = {
+  PENDING: ["CONFIRMED", "CANCELED"],
+  CONFIRMED: ["COMPLETED", "CANCELED"],
+  COMPLETED: [],
+  CANCELED: [],
+};
+
+/**
+ * Checks whether a booking may move from one status to another.
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+const canTransition = (from, to) =>
+  (BOOKING_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Computes the total price of a booking from the event's per-person price.
+ * @param {import("@prisma/client").Prisma.Decimal} price - Event.price
+ * @param {number} numberOfPeople
+ * @returns {import("@prisma/client").Prisma.Decimal}
+ */
+const calculateTotalPrice = (price, numberOfPeople) =>
+  price.mul(numberOfPeople);
+
+/**
+ * Computes the price of a private guide hire, charged per hour for the group.
+ * @param {import("@prisma/client").Prisma.Decimal} pricePerHour - TouristGuide.pricePerHour
+ * @param {number} hours
+ * @returns {import("@prisma/client").Prisma.Decimal}
+ */
+const calculateHirePrice = (pricePerHour, hours) => pricePerHour.mul(hours);
+
+/**
+ * Moves a booking to a new status if the transition is valid.
+ * The update is conditional on the current status so two concurrent
+ * transitions cannot both succeed.
+ * @param {string} bookingId
+ * @param {string} status - Target BookingStatus
+ * @param {object} [client] - Prisma client or transaction to use
+ * @param {object} [data] - Extra fields to set with the status
+ * @returns {Promise<{ booking?: object, error?: string, statusCode?: number }>}
+ */
+const transitionBooking = async (
+  bookingId,
+  status,
+  client = prisma,
+  data = {}
+) => {
+  const booking = await client.booking.findUnique({
+    where: { id: bookingId },
+  });
+
+  if (!booking) {
+    return { error: "Booking not found", statusCode: 404 };
+  }
+
+  if (!canTransition(booking.status, status)) {
+    return {
+      error: `Cannot change booking from ${booking.status} to ${status}`,
+      statusCode: 400,
+    };
+  }
+
+  const { count } = await client.booking.updateMany({
+    where: { id: bookingId, status: booking.status },
+    data: { ...data, status },
+  });
+
+  if (count === 0) {
+    return {
+      error: "Booking was modified by another request, please retry",
+      statusCode: 409,
+    };
+  }
+
+  return {
+    booking: await client.booking.findUnique({ where: { id: bookingId } }),
+  };
+};
+
+module.exports = {
+  BOOKING_TRANSITIONS,
+  canTransition,
+  calculateTotalPrice,
+  calculateHirePrice,
+  transitionBooking,
+};
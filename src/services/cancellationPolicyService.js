@@ -0,0 +1,90 @@
+const HOUR_MS = 60 * 60 * 1000;
+
+// Applied to events whose guide or site admin has not configured a policy
+const DEFAULT_CANCELLATION_POLICY = [
+  { hoursBefore: 48, refundPercent: 100 },
+  { hoursBefore: 24, refundPercent: 50 },
+];
+
+/**
+ * Validates a cancellation policy sent by the client.
+ * A policy is a list of tiers: cancelling at least `hoursBefore` hours before
+ * the booking date refunds `refundPercent` percent of what was paid.
+ * @param {string|Array} input - Array of tiers, or a JSON string of one
+ * @returns {{ policy: Array<{ hoursBefore: number, refundPercent: number }>, errors: string[] }}
+ */
+const parseCancellationPolicy = (input) => {
+  let tiers = input;
+  if (typeof input === "string") {
+    try {
+      tiers = JSON.parse(input);
+    } catch (error) {
+      return { policy: [], errors: ["Cancellation policy must be valid JSON"] };
+    }
+  }
+
+  if (!Array.isArray(tiers)) {
+    return { policy: [], errors: ["Cancellation policy must be an array"] };
+  }
+
+  const errors = [];
+  const policy = [];
+
+  tiers.forEach((tier, index) => {
+    const hoursBefore = Number(tier && tier.hoursBefore);
+    const refundPercent = Number(tier && tier.refundPercent);
+
+    if (!Number.isFinite(hoursBefore) || hoursBefore < 0) {
+      errors.push(`Tier ${index + 1}: hoursBefore must be a positive number`);
+    }
+    if (
+      !Number.isFinite(refundPercent) ||
+      refundPercent < 0 ||
+      refundPercent > 100
+    ) {
+      errors.push(`Tier ${index + 1}: refundPercent must be between 0 and 100`);
+    }
+    policy.push({ hoursBefore, refundPercent });
+  });
+
+  const hours = policy.map((tier) => tier.hoursBefore);
+  if (new Set(hours).size !== hours.length) {
+    errors.push("Each tier must have a different hoursBefore");
+  }
+
+  policy.sort((a, b) => b.hoursBefore - a.hoursBefore);
+  return { policy, errors };
+};
+
+/**
+ * The tiers a policy applies, the default ones when it is empty.
+ * @param {Array|null} policy - Event.cancellationPolicy
+ * @returns {Array<{ hoursBefore: number, refundPercent: number }>}
+ */
+const resolveCancellationPolicy = (policy) =>
+  Array.isArray(policy) && policy.length > 0
+    ? policy
+    : DEFAULT_CANCELLATION_POLICY;
+
+/**
+ * Percentage of the paid amount refunded when cancelling at a given time.
+ * @param {Array|null} policy - Booking.cancellationPolicy, the default is used when empty
+ * @param {Date} bookingDate
+ * @param {Date} [cancelledAt=new Date()]
+ * @returns {number} - 0 to 100
+ */
+const getRefundPercent = (policy, bookingDate, cancelledAt = new Date()) => {
+  const tiers = resolveCancellationPolicy(policy);
+  const hoursUntil = (bookingDate.getTime() - cancelledAt.getTime()) / HOUR_MS;
+
+  const eligible = tiers.filter((tier) => hoursUntil >= tier.hoursBefore);
+  if (eligible.length === 0) return 0;
+  return Math.max(...eligible.map((tier) => tier.refundPercent));
+};
+
+module.exports = {
+  DEFAULT_CANCELLATION_POLICY,
+  parseCancellationPolicy,
+  resolveCancellationPolicy,
+  getRefundPercent,
+};
@@ -0,0 +1,131 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+
+const { expandOccurrences } = require("./scheduleService");
+
+// Statuses that hold seats on an event
+const SEAT_HOLDING_STATUSES = ["PENDING", "CONFIRMED", "COMPLETED"];
+
+/**
+ * Takes a row lock on the event so concurrent bookings for it are serialized
+ * until the surrounding transaction commits.
+ * @param {object} tx - Prisma interactive transaction client
+ * @param {string} eventId
+ */
+const lockEvent = (tx, eventId) =>
+  tx.$queryRaw`SELECT id FROM \`Event\` WHERE id = ${eventId} FOR UPDATE`;
+
+/**
+ * Sums the seats held by non-canceled bookings on one occurrence of an event.
+ * @param {object} client - Prisma client or transaction
+ * @param {string} eventId
+ * @param {Date} occurrence - Occurrence start time (Booking.bookingDate)
+ * @returns {Promise<number>}
+ */
+const getBookedSeats = async (client, eventId, occurrence) => {
+  const result = await client.booking.aggregate({
+    where: {
+      eventId,
+      status: { in: SEAT_HOLDING_STATUSES },
+      bookingDate: occurrence,
+    },
+    _sum: { numberOfPeople: true },
+  });
+  return result._sum.numberOfPeople || 0;
+};
+
+/**
+ * Reports booked and remaining seats for each occurrence between from and to.
+ * @param {{ id: string, maxGroupSize: number, schedules: Array<object> }} event
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Promise<Array<{ date: string, startsAt: string, booked: number, remaining: number }>>}
+ */
+const getAvailability = async (event, from, to) => {
+  const occurrences = expandOccurrences(event.schedules, from, to);
+  if (occurrences.length === 0) return [];
+
+  const bookings = await prisma.booking.groupBy({
+    by: ["bookingDate"],
+    where: {
+      eventId: event.id,
+      status: { in: SEAT_HOLDING_STATUSES },
+      bookingDate: { in: occurrences },
+    },
+    _sum: { numberOfPeople: true },
+  });
+
+  const bookedByOccurrence = {};
+  for (const row of bookings) {
+    bookedByOccurrence[row.bookingDate.getTime()] =
+      row._sum.numberOfPeople || 0;
+  }
+
+  return occurrences.map((occurrence) => {
+    const booked = bookedByOccurrence[occurrence.getTime()] || 0;
+    return {
+      date: occurrence.toISOString().slice(0, 10),
+      startsAt: occurrence.toISOString(),
+      booked,
+      remaining: Math.max(event.maxGroupSize - booked, 0),
+    };
+  });
+};
+
+/**
+ * Keeps the events with at least one occurrence between from and to that
+ * still has the requested number of seats free.
+ * @param {Array<{ id: string, maxGroupSize: number, schedules: Array<object> }>} events
+ * @param {Date} from
+ * @param {Date} to
+ * @param {number} [seats=1]
+ * @returns {Promise<Set<string>>} - Ids of the events with room
+ */
+const findEventsWithSeats = async (events, from, to, seats = 1) => {
+  const occurrencesById = new Map();
+  for (const event of events) {
+    if (event.maxGroupSize < seats) continue;
+    const occurrences = expandOccurrences(event.schedules, from, to);
+    if (occurrences.length > 0) occurrencesById.set(event.id, occurrences);
+  }
+  if (occurrencesById.size === 0) return new Set();
+
+  const bookings = await prisma.booking.groupBy({
+    by: ["eventId", "bookingDate"],
+    where: {
+      eventId: { in: [...occurrencesById.keys()] },
+      status: { in: SEAT_HOLDING_STATUSES },
+      bookingDate: { gte: from, lte: to },
+    },
+    _sum: { numberOfPeople: true },
+  });
+
+  const booked = new Map();
+  for (const row of bookings) {
+    booked.set(
+      `${row.eventId}:${row.bookingDate.getTime()}`,
+      row._sum.numberOfPeople || 0
+    );
+  }
+
+  const withSeats = new Set();
+  for (const event of events) {
+    const occurrences = occurrencesById.get(event.id) || [];
+    const hasRoom = occurrences.some(
+      (occurrence) =>
+        event.maxGroupSize -
+          (booked.get(`${event.id}:${occurrence.getTime()}`) || 0) >=
+        seats
+    );
+    if (hasRoom) withSeats.add(event.id);
+  }
+  return withSeats;
+};
+
+module.exports = {
+  SEAT_HOLDING_STATUSES,
+  lockEvent,
+  getBookedSeats,
+  getAvailability,
+  findEventsWithSeats,
+};
@@ -0,0 +1,147 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+
+// Longest message accepted, REST or WebSocket
+const MAX_MESSAGE_LENGTH = 2000;
+
+// Participants returned with every conversation
+const conversationInclude = {
+  tourist: { select: { id: true, name: true, profilePicture: true } },
+  guide: { select: { id: true, name: true, profilePicture: true } },
+};
+
+/**
+ * Whether the user is the tourist or the guide of a conversation.
+ * @param {{ touristId: string, guideId: string }} conversation
+ * @param {string} userId
+ * @returns {boolean}
+ */
+const isParticipant = (conversation, userId) =>
+  conversation.touristId === userId || conversation.guideId === userId;
+
+/**
+ * The other participant of a conversation.
+ * @param {{ touristId: string, guideId: string }} conversation
+ * @param {string} userId
+ * @returns {string}
+ */
+const getRecipientId = (conversation, userId) =>
+  conversation.touristId === userId
+    ? conversation.guideId
+    : conversation.touristId;
+
+/**
+ * Validates the text of a message.
+ * @param {any} text
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateMessageText = (text) => {
+  if (typeof text !== "string" || text.trim().length === 0)
+    return "Message text is required";
+  if (text.length > MAX_MESSAGE_LENGTH)
+    return `Message must be at most ${MAX_MESSAGE_LENGTH} characters`;
+  return null;
+};
+
+/**
+ * Loads a conversation if the user takes part in it.
+ * @param {string} conversationId
+ * @param {string} userId
+ * @returns {Promise<object|null>}
+ */
+const findUserConversation = async (conversationId, userId) => {
+  const conversation = await prisma.conversation.findUnique({
+    where: { id: conversationId },
+  });
+  if (!conversation || !isParticipant(conversation, userId)) return null;
+  return conversation;
+};
+
+/**
+ * Returns the conversation between a tourist and a guide, creating it if needed.
+ * @param {string} touristId - User id of the tourist
+ * @param {string} guideUserId - User id of the guide
+ * @returns {Promise<object>}
+ */
+const getOrCreateConversation = (touristId, guideUserId) =>
+  prisma.conversation.upsert({
+    where: { touristId_guideId: { touristId, guideId: guideUserId } },
+    update: {},
+    create: { touristId, guideId: guideUserId },
+    include: conversationInclude,
+  });
+
+/**
+ * Stores a message and bumps the conversation so it sorts first.
+ * @param {{ conversationId: string, senderId: string, text: string }} params
+ * @returns {Promise<object>} - The Message row
+ */
+const createMessage = async ({ conversationId, senderId, text }) => {
+  const [message] = await prisma.$transaction([
+    prisma.message.create({
+      data: { conversationId, senderId, text: text.trim() },
+    }),
+    prisma.conversation.update({
+      where: { id: conversationId },
+      data: { updatedAt: new Date() },
+    }),
+  ]);
+  return message;
+};
+
+/**
+ * Marks every message the user received in a conversation as read.
+ * @param {string} conversationId
+ * @param {string} userId - The reader
+ * @returns {Promise<string[]>} - Ids of the messages that were unread
+ */
+const markConversationRead = async (conversationId, userId) => {
+  const unread = await prisma.message.findMany({
+    where: { conversationId, senderId: { not: userId }, isRead: false },
+    select: { id: true },
+  });
+  if (unread.length === 0) return [];
+
+  const messageIds = unread.map((message) => message.id);
+  await prisma.message.updateMany({
+    where: { id: { in: messageIds } },
+    data: { isRead: true },
+  });
+  return messageIds;
+};
+
+/**
+ * Counts the unread messages received by a user, per conversation.
+ * @param {string} userId
+ * @param {string[]} [conversationIds] - Limit to these conversations
+ * @returns {Promise<Object<string, number>>} - conversationId -> unread count
+ */
+const getUnreadCounts = async (userId, conversationIds) => {
+  const rows = await prisma.message.groupBy({
+    by: ["conversationId"],
+    where: {
+      senderId: { not: userId },
+      isRead: false,
+      conversation: { OR: [{ touristId: userId }, { guideId: userId }] },
+      ...(conversationIds && { conversationId: { in: conversationIds } }),
+    },
+    _count: { _all: true },
+  });
+
+  const counts = {};
+  for (const row of rows) counts[row.conversationId] = row._count._all;
+  return counts;
+};
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  conversationInclude,
+  isParticipant,
+  getRecipientId,
+  validateMessageText,
+  findUserConversation,
+  getOrCreateConversation,
+  createMessage,
+  markConversationRead,
+  getUnreadCounts,
+};
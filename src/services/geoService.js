@@ -0,0 +1,323 @@
+const { PrismaClient, Prisma } = require("@prisma/client");
+const prisma = new PrismaClient();
+
+const EARTH_RADIUS_KM = 6371;
+
+// Largest radius accepted by nearby queries
+const MAX_RADIUS_KM = 500;
+
+// Most sites returned by a bounding-box query
+const MAX_BOX_RESULTS = 500;
+
+// Most sites returned by a nearby query, the nearest ones
+const MAX_NEARBY_RESULTS = 500;
+
+// Most features in a GeoJSON map export, before clustering
+const MAX_MAP_FEATURES = 5000;
+
+// Zoom levels of map exports: 0 shows the whole world, clustering stops at 17
+const MAX_ZOOM = 22;
+const MAX_CLUSTER_ZOOM = 17;
+
+// Web Mercator tiles and the grid cells features are clustered in, in pixels
+const TILE_SIZE = 256;
+const CLUSTER_CELL_PX = 60;
+const MAX_MERCATOR_LAT = 85.05112878;
+
+/**
+ * Whether a latitude/longitude pair is a valid position.
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {boolean}
+ */
+const isValidCoordinates = (latitude, longitude) =>
+  Number.isFinite(latitude) &&
+  Number.isFinite(longitude) &&
+  latitude >= -90 &&
+  latitude <= 90 &&
+  longitude >= -180 &&
+  longitude <= 180;
+
+/**
+ * Parses lat, lng and radius (km) query parameters.
+ * @param {{ lat?: string, lng?: string, radius?: string }} query
+ * @param {number} [defaultRadius=10]
+ * @returns {{ point: { latitude: number, longitude: number, radiusKm: number }|null, error: string|null }}
+ */
+const parsePointQuery = (query, defaultRadius = 10) => {
+  const latitude = Number(query.lat);
+  const longitude = Number(query.lng);
+  const radiusKm =
+    query.radius !== undefined ? Number(query.radius) : defaultRadius;
+
+  if (
+    query.lat === undefined ||
+    query.lng === undefined ||
+    !isValidCoordinates(latitude, longitude)
+  ) {
+    return {
+      point: null,
+      error: "lat and lng must be a valid latitude and longitude",
+    };
+  }
+  if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+    return {
+      point: null,
+      error: `radius must be between 0 and ${MAX_RADIUS_KM} km`,
+    };
+  }
+  return { point: { latitude, longitude, radiusKm }, error: null };
+};
+
+/**
+ * Parses minLat, minLng, maxLat and maxLng query parameters.
+ * minLng may be greater than maxLng for boxes crossing the antimeridian.
+ * @param {object} query
+ * @returns {{ box: { minLat: number, minLng: number, maxLat: number, maxLng: number }|null, error: string|null }}
+ */
+const parseBoundingBox = (query) => {
+  const box = {
+    minLat: Number(query.minLat),
+    minLng: Number(query.minLng),
+    maxLat: Number(query.maxLat),
+    maxLng: Number(query.maxLng),
+  };
+
+  const missing = ["minLat", "minLng", "maxLat", "maxLng"].some(
+    (key) => query[key] === undefined
+  );
+  if (
+    missing ||
+    !isValidCoordinates(box.minLat, box.minLng) ||
+    !isValidCoordinates(box.maxLat, box.maxLng)
+  ) {
+    return {
+      box: null,
+      error: "minLat, minLng, maxLat and maxLng must be valid coordinates",
+    };
+  }
+  if (box.minLat > box.maxLat) {
+    return { box: null, error: "minLat must not be greater than maxLat" };
+  }
+  return { box, error: null };
+};
+
+/**
+ * Prisma filter for sites inside a bounding box.
+ * @param {{ minLat: number, minLng: number, maxLat: number, maxLng: number }} box
+ * @returns {object} - TouristicSite where clause
+ */
+const boundingBoxFilter = (box) => {
+  const latitude = { gte: box.minLat, lte: box.maxLat };
+  if (box.minLng <= box.maxLng) {
+    return { latitude, longitude: { gte: box.minLng, lte: box.maxLng } };
+  }
+  return {
+    latitude,
+    OR: [
+      { longitude: { gte: box.minLng } },
+      { longitude: { lte: box.maxLng } },
+    ],
+  };
+};
+
+/**
+ * Box around a point containing every position within radiusKm, used to let
+ * the (latitude, longitude) index discard most rows before distances are computed.
+ * @param {{ latitude: number, longitude: number, radiusKm: number }} point
+ * @returns {{ minLat: number, minLng: number, maxLat: number, maxLng: number }}
+ */
+const boxAround = ({ latitude, longitude, radiusKm }) => {
+  const latDelta = (radiusKm / EARTH_RADIUS_KM) * (180 / Math.PI);
+  const cosLat = Math.cos((latitude * Math.PI) / 180);
+  const lngDelta = cosLat < 1e-6 ? 180 : Math.min(latDelta / cosLat, 180);
+
+  return {
+    minLat: Math.max(latitude - latDelta, -90),
+    maxLat: Math.min(latitude + latDelta, 90),
+    minLng: lngDelta >= 180 ? -180 : longitude - lngDelta,
+    maxLng: lngDelta >= 180 ? 180 : longitude + lngDelta,
+  };
+};
+
+/**
+ * Finds published sites within radiusKm of a point, nearest first, at most
+ * MAX_NEARBY_RESULTS of them.
+ * @param {{ latitude: number, longitude: number, radiusKm: number }} point
+ * @returns {Promise<Array<{ id: string, distanceKm: number }>>}
+ */
+const findSitesNear = async (point) => {
+  const box = boxAround(point);
+  const { latitude, longitude } = point;
+
+  // Longitudes outside [-180, 180] wrap around the antimeridian
+  const lngFilter =
+    box.minLng < -180 || box.maxLng > 180
+      ? Prisma.sql`(s.longitude >= ${
+          box.minLng < -180 ? box.minLng + 360 : box.minLng
+        } OR s.longitude <= ${
+          box.maxLng > 180 ? box.maxLng - 360 : box.maxLng
+        })`
+      : Prisma.sql`s.longitude BETWEEN ${box.minLng} AND ${box.maxLng}`;
+
+  const distance = Prisma.sql`${EARTH_RADIUS_KM} * 2 * ASIN(SQRT(
+    POWER(SIN(RADIANS(s.latitude - ${latitude}) / 2), 2) +
+    COS(RADIANS(${latitude})) * COS(RADIANS(s.latitude)) *
+    POWER(SIN(RADIANS(s.longitude - ${longitude}) / 2), 2)))`;
+
+  const rows = await prisma.$queryRaw`
+    SELECT s.id, ${distance} AS distanceKm
+    FROM \`TouristicSite\` s
+    WHERE s.status = 'PUBLISHED'
+      AND s.latitude BETWEEN ${box.minLat} AND ${box.maxLat}
+      AND ${lngFilter}
+    HAVING distanceKm <= ${point.radiusKm}
+    ORDER BY distanceKm ASC, s.id ASC
+    LIMIT ${MAX_NEARBY_RESULTS}`;
+
+  return rows.map((row) => ({
+    id: row.id,
+    distanceKm: Math.round(Number(row.distanceKm) * 100) / 100,
+  }));
+};
+
+/**
+ * Parses the query of a map export: an optional bounding box (minLat, minLng,
+ * maxLat, maxLng) and an optional zoom level enabling clustering.
+ * @param {object} query
+ * @returns {{ box: object|null, zoom: number|null, error: string|null }}
+ */
+const parseMapQuery = (query) => {
+  let box = null;
+  const hasBox = ["minLat", "minLng", "maxLat", "maxLng"].some(
+    (key) => query[key] !== undefined
+  );
+  if (hasBox) {
+    const parsed = parseBoundingBox(query);
+    if (parsed.error) return { box: null, zoom: null, error: parsed.error };
+    box = parsed.box;
+  }
+
+  let zoom = null;
+  if (query.zoom !== undefined) {
+    zoom = Number(query.zoom);
+    if (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_ZOOM) {
+      return {
+        box: null,
+        zoom: null,
+        error: `zoom must be an integer between 0 and ${MAX_ZOOM}`,
+      };
+    }
+  }
+
+  return { box, zoom, error: null };
+};
+
+/**
+ * GeoJSON Point feature.
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {object} properties
+ * @returns {object}
+ */
+const toPointFeature = (latitude, longitude, properties) => ({
+  type: "Feature",
+  geometry: { type: "Point", coordinates: [longitude, latitude] },
+  properties,
+});
+
+/**
+ * Web Mercator position of a point, in pixels at a zoom level.
+ * @param {[number, number]} coordinates - [longitude, latitude]
+ * @param {number} zoom
+ * @returns {{ x: number, y: number }}
+ */
+const toPixels = ([longitude, latitude], zoom) => {
+  const size = TILE_SIZE * 2 ** zoom;
+  const lat = Math.max(Math.min(latitude, MAX_MERCATOR_LAT), -MAX_MERCATOR_LAT);
+  const sin = Math.sin((lat * Math.PI) / 180);
+  return {
+    x: ((longitude + 180) / 360) * size,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size,
+  };
+};
+
+const gridCell = (feature, zoom) => {
+  const { x, y } = toPixels(feature.geometry.coordinates, zoom);
+  return `${Math.floor(x / CLUSTER_CELL_PX)}/${Math.floor(
+    y / CLUSTER_CELL_PX
+  )}`;
+};
+
+/**
+ * Groups point features falling in the same grid cell at a zoom level into
+ * cluster features placed at their mean position. Cells holding a single
+ * feature keep it as is; from MAX_CLUSTER_ZOOM on nothing is clustered.
+ * Clusters carry pointCount, the zoom at which they split (expansionZoom)
+ * and the bbox of their features.
+ * @param {Array<object>} features - Point features
+ * @param {number} zoom
+ * @returns {Array<object>}
+ */
+const clusterFeatures = (features, zoom) => {
+  if (zoom >= MAX_CLUSTER_ZOOM) return features;
+
+  const cells = new Map();
+  for (const feature of features) {
+    const key = gridCell(feature, zoom);
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(feature);
+  }
+
+  return [...cells.entries()].map(([key, members]) => {
+    if (members.length === 1) return members[0];
+
+    const longitudes = members.map((m) => m.geometry.coordinates[0]);
+    const latitudes = members.map((m) => m.geometry.coordinates[1]);
+    const mean = (values) =>
+      values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    let expansionZoom = zoom + 1;
+    while (
+      expansionZoom < MAX_CLUSTER_ZOOM &&
+      new Set(members.map((m) => gridCell(m, expansionZoom))).size === 1
+    ) {
+      expansionZoom++;
+    }
+
+    return {
+      type: "Feature",
+      bbox: [
+        Math.min(...longitudes),
+        Math.min(...latitudes),
+        Math.max(...longitudes),
+        Math.max(...latitudes),
+      ],
+      geometry: {
+        type: "Point",
+        coordinates: [mean(longitudes), mean(latitudes)],
+      },
+      properties: {
+        cluster: true,
+        clusterId: `${zoom}/${key}`,
+        pointCount: members.length,
+        expansionZoom,
+      },
+    };
+  });
+};
+
+module.exports = {
+  MAX_RADIUS_KM,
+  MAX_BOX_RESULTS,
+  MAX_NEARBY_RESULTS,
+  MAX_MAP_FEATURES,
+  isValidCoordinates,
+  parsePointQuery,
+  parseBoundingBox,
+  boundingBoxFilter,
+  findSitesNear,
+  parseMapQuery,
+  toPointFeature,
+  clusterFeatures,
+};
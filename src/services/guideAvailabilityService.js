@@ -0,0 +1,307 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+
+const {
+  isValidTimeZone,
+  isValidDateString,
+  isValidTimeString,
+  getZonedParts,
+  zonedTimeToUtc,
+  addDays,
+} = require("./timeZoneService");
+const { expandOccurrences, scheduleRangeFilter } = require("./scheduleService");
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Validates a guide availability calendar sent by the client.
+ *
+ * Accepted shape (as an object, or a JSON string of one for multipart forms):
+ *   {
+ *     timeZone: "Africa/Kigali",
+ *     weeklyHours: { "1": [{ start: "09:00", end: "12:00" }, { start: "14:00", end: "18:00" }], ... },
+ *     blockedDates?: ["2026-12-25"],
+ *     timeOff?: [{ startDate: "2026-12-20", endDate: "2026-12-31", reason?: "Holidays" }]
+ *   }
+ * weeklyHours keys are weekdays from 0 (Sunday) to 6 (Saturday); times are
+ * wall-clock times in timeZone, and dates are inclusive.
+ *
+ * @param {string|object} input
+ * @returns {{ availability: object|null, errors: string[] }}
+ */
+const parseAvailability = (input) => {
+  let value = input;
+  if (typeof input === "string") {
+    try {
+      value = JSON.parse(input);
+    } catch (error) {
+      return {
+        availability: null,
+        errors: ["Availability must be valid JSON"],
+      };
+    }
+  }
+
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return { availability: null, errors: ["Availability must be an object"] };
+  }
+
+  const errors = [];
+
+  if (!isValidTimeZone(value.timeZone))
+    errors.push("Availability: timeZone must be a valid IANA time zone");
+
+  const weeklyHours = {};
+  if (
+    !value.weeklyHours ||
+    typeof value.weeklyHours !== "object" ||
+    Array.isArray(value.weeklyHours)
+  ) {
+    errors.push("Availability: weeklyHours must be an object keyed by weekday");
+  } else {
+    for (const [day, intervals] of Object.entries(value.weeklyHours)) {
+      const label = `Availability: weeklyHours[${day}]`;
+      if (!/^[0-6]$/.test(day)) {
+        errors.push(
+          `${label} is not a weekday from 0 (Sunday) to 6 (Saturday)`
+        );
+        continue;
+      }
+      if (!Array.isArray(intervals)) {
+        errors.push(`${label} must be an array of { start, end }`);
+        continue;
+      }
+
+      const valid = [];
+      intervals.forEach((interval, index) => {
+        const { start, end } = interval || {};
+        if (!isValidTimeString(start) || !isValidTimeString(end)) {
+          errors.push(
+            `${label}[${index}]: start and end must be in HH:mm format`
+          );
+        } else if (toMinutes(end) <= toMinutes(start)) {
+          errors.push(`${label}[${index}]: end must be after start`);
+        } else {
+          valid.push({ start, end });
+        }
+      });
+
+      valid.sort((a, b) => toMinutes(a.start) - toMinutes(b.start));
+      for (let i = 1; i < valid.length; i++) {
+        if (toMinutes(valid[i].start) < toMinutes(valid[i - 1].end))
+          errors.push(`${label}: working hours must not overlap`);
+      }
+      if (valid.length > 0) weeklyHours[day] = valid;
+    }
+  }
+
+  const blockedDates = value.blockedDates || [];
+  if (
+    !Array.isArray(blockedDates) ||
+    blockedDates.some((date) => !isValidDateString(date))
+  )
+    errors.push(
+      "Availability: blockedDates must be dates in YYYY-MM-DD format"
+    );
+
+  const timeOff = value.timeOff || [];
+  if (!Array.isArray(timeOff)) {
+    errors.push("Availability: timeOff must be an array");
+  } else {
+    timeOff.forEach((period, index) => {
+      const { startDate, endDate } = period || {};
+      if (!isValidDateString(startDate) || !isValidDateString(endDate))
+        errors.push(
+          `Availability: timeOff[${index}] startDate and endDate must be in YYYY-MM-DD format`
+        );
+      else if (endDate < startDate)
+        errors.push(
+          `Availability: timeOff[${index}] endDate must not be before startDate`
+        );
+    });
+  }
+
+  if (errors.length > 0) return { availability: null, errors };
+
+  return {
+    availability: {
+      timeZone: value.timeZone,
+      weeklyHours,
+      blockedDates: [...new Set(blockedDates)].sort(),
+      timeOff: timeOff.map(({ startDate, endDate, reason }) => ({
+        startDate,
+        endDate,
+        ...(reason && { reason: String(reason) }),
+      })),
+    },
+    errors,
+  };
+};
+
+/**
+ * Whether the guide is off for the whole of a day.
+ * @param {object} availability - Parsed availability
+ * @param {string} day - "YYYY-MM-DD"
+ * @returns {boolean}
+ */
+const isDayOff = (availability, day) =>
+  availability.blockedDates.includes(day) ||
+  availability.timeOff.some(
+    (period) => day >= period.startDate && day <= period.endDate
+  );
+
+/**
+ * Computes a guide's free time between two dates: their weekly working hours,
+ * minus blocked dates, time off and busy periods (e.g. confirmed bookings).
+ * @param {object} availability - Parsed availability
+ * @param {string} fromDay - First day, "YYYY-MM-DD" in the guide's time zone
+ * @param {string} toDay - Last day (inclusive)
+ * @param {Array<{ start: Date, end: Date }>} busy - Periods the guide is taken
+ * @param {{ minMinutes?: number, now?: Date }} [options]
+ * @returns {Array<{ date: string, start: string, end: string, minutes: number }>}
+ */
+const getFreeSlots = (availability, fromDay, toDay, busy, options = {}) => {
+  const minMinutes = options.minMinutes || 1;
+  const now = options.now || new Date();
+  const sortedBusy = [...busy].sort((a, b) => a.start - b.start);
+  const slots = [];
+
+  for (let day = fromDay; day <= toDay; day = addDays(day, 1)) {
+    if (isDayOff(availability, day)) continue;
+
+    const dayOfWeek = new Date(`${day}T00:00:00Z`).getUTCDay();
+    for (const hours of availability.weeklyHours[dayOfWeek] || []) {
+      let start = zonedTimeToUtc(day, hours.start, availability.timeZone);
+      const end = zonedTimeToUtc(day, hours.end, availability.timeZone);
+      if (start < now) start = now;
+
+      // Walk the busy periods overlapping this window, emitting the gaps
+      for (const period of sortedBusy) {
+        if (period.end <= start || period.start >= end) continue;
+        if (period.start > start)
+          slots.push({ date: day, start, end: period.start });
+        if (period.end > start) start = period.end;
+      }
+      if (start < end) slots.push({ date: day, start, end });
+    }
+  }
+
+  return slots
+    .map((slot) => ({
+      date: slot.date,
+      start: slot.start.toISOString(),
+      end: slot.end.toISOString(),
+      minutes: Math.floor((slot.end - slot.start) / MINUTE_MS),
+    }))
+    .filter((slot) => slot.minutes >= minMinutes);
+};
+
+/**
+ * Takes a row lock on the guide so concurrent hires of them are serialized
+ * until the surrounding transaction commits.
+ * @param {object} tx - Prisma interactive transaction client
+ * @param {string} guideId
+ */
+const lockGuide = (tx, guideId) =>
+  tx.$queryRaw`SELECT id FROM \`TouristGuide\` WHERE id = ${guideId} FOR UPDATE`;
+
+/**
+ * Periods a guide is taken by confirmed bookings or by the occurrences of
+ * their own published events, booked or not, overlapping a time range.
+ * Event bookings and occurrences last Event.duration minutes, private hires
+ * the hours requested.
+ * @param {string} guideId
+ * @param {Date} from
+ * @param {Date} to
+ * @param {object} [client] - Prisma client or transaction
+ * @returns {Promise<Array<{ start: Date, end: Date }>>}
+ */
+const getBusyPeriods = async (guideId, from, to, client = prisma) => {
+  // Look back by the longest of the guide's events, and at least a day for
+  // private hires, so what started earlier and still runs is counted
+  const longest = await client.event.aggregate({
+    where: { OR: [{ guideId }, { bookings: { some: { guideId } } }] },
+    _max: { duration: true },
+  });
+  const lookBack = Math.max(DAY_MS, (longest._max.duration || 0) * MINUTE_MS);
+  const rangeStart = new Date(from.getTime() - lookBack);
+
+  const [bookings, events] = await Promise.all([
+    client.booking.findMany({
+      where: {
+        guideId,
+        status: "CONFIRMED",
+        bookingDate: { gte: rangeStart, lte: to },
+      },
+      select: {
+        bookingDate: true,
+        event: { select: { duration: true } },
+        hireRequest: { select: { hours: true } },
+      },
+    }),
+    client.event.findMany({
+      where: {
+        guideId,
+        status: "PUBLISHED",
+        ...scheduleRangeFilter(rangeStart, to),
+      },
+      select: { duration: true, schedules: true },
+    }),
+  ]);
+
+  const period = (start, minutes) => ({
+    start,
+    end: new Date(start.getTime() + minutes * MINUTE_MS),
+  });
+
+  return [
+    ...bookings.map((booking) =>
+      period(
+        booking.bookingDate,
+        booking.event
+          ? booking.event.duration
+          : (booking.hireRequest ? booking.hireRequest.hours : 0) * 60
+      )
+    ),
+    ...events.flatMap((event) =>
+      expandOccurrences(event.schedules, rangeStart, to).map((start) =>
+        period(start, event.duration)
+      )
+    ),
+  ].filter((busy) => busy.end > from);
+};
+
+/**
+ * Whether a guide is free for the whole of a period: within their working
+ * hours on that day and clear of their confirmed bookings and events.
+ * @param {object} availability - Parsed availability
+ * @param {string} guideId
+ * @param {Date} start
+ * @param {Date} end
+ * @param {object} [client] - Prisma client or transaction
+ * @returns {Promise<boolean>}
+ */
+const isGuideFree = async (availability, guideId, start, end, client) => {
+  const day = getZonedParts(start, availability.timeZone).date;
+  const busy = await getBusyPeriods(guideId, start, end, client);
+  const slots = getFreeSlots(availability, day, day, busy, { now: start });
+
+  return slots.some(
+    (slot) => new Date(slot.start) <= start && new Date(slot.end) >= end
+  );
+};
+
+module.exports = {
+  parseAvailability,
+  isDayOff,
+  getFreeSlots,
+  lockGuide,
+  getBusyPeriods,
+  isGuideFree,
+};
@@ -0,0 +1,274 @@
+// Display order of site and event images: the position their owners dragged
+// them to, then upload order. COVER_FIRST_ORDER puts the cover first, for
+// queries taking a single image as thumbnail.
+const IMAGE_ORDER = [{ position: "asc" }, { createdAt: "asc" }];
+const COVER_FIRST_ORDER = [{ isCover: "desc" }, ...IMAGE_ORDER];
+
+const MAX_CAPTION_LENGTH = 1000;
+const MAX_ALT_TEXT_LENGTH = 191;
+
+// The image table of sites and events and the column pointing at their owner
+const GALLERIES = {
+  sites: {
+    model: "touristicSiteImage",
+    ownerField: "touristicSiteId",
+    ownerModel: "touristicSite",
+    ownerLabel: "Touristic site",
+  },
+  events: {
+    model: "eventImage",
+    ownerField: "eventId",
+    ownerModel: "event",
+    ownerLabel: "Event",
+  },
+};
+
+/**
+ * Parses a list sent as an array, or as a JSON string in multipart requests.
+ * @param {*} value
+ * @param {string} name - Field name used in the error
+ * @returns {{ items: Array, error: string|null }}
+ */
+const parseListField = (value, name) => {
+  if (value === undefined || value === null || value === "") {
+    return { items: [], error: null };
+  }
+  if (Array.isArray(value)) return { items: value, error: null };
+
+  try {
+    const items = JSON.parse(value);
+    if (Array.isArray(items)) return { items, error: null };
+  } catch (error) {
+    // Reported below
+  }
+  return { items: [], error: `${name} must be a JSON array` };
+};
+
+const parseText = (value, name, maxLength, errors) => {
+  if (value === undefined) return undefined;
+  if (value !== null && typeof value !== "string") {
+    errors.push(`${name} must be a string`);
+    return undefined;
+  }
+  const trimmed = (value || "").trim();
+  if (trimmed.length > maxLength) {
+    errors.push(`${name} must be at most ${maxLength} characters`);
+  }
+  return trimmed || null;
+};
+
+/**
+ * Validates the caption, altText and isCover of an image. Only fields that
+ * are present are returned; an empty caption or altText clears it. isCover
+ * can only be set: an image stops being the cover when another one becomes it.
+ * @param {object} details
+ * @param {string} [prefix] - Prepended to the errors, e.g. "imageDetails[0]."
+ * @returns {{ data: object, errors: string[] }}
+ */
+const parseImageDetails = (details, prefix = "") => {
+  const errors = [];
+  if (!details || typeof details !== "object" || Array.isArray(details)) {
+    return {
+      data: {},
+      errors: [`${prefix || "Image details "}must be an object`],
+    };
+  }
+
+  const data = {};
+  const caption = parseText(
+    details.caption,
+    `${prefix}caption`,
+    MAX_CAPTION_LENGTH,
+    errors
+  );
+  if (caption !== undefined) data.caption = caption;
+  const altText = parseText(
+    details.altText,
+    `${prefix}altText`,
+    MAX_ALT_TEXT_LENGTH,
+    errors
+  );
+  if (altText !== undefined) data.altText = altText;
+
+  if (details.isCover !== undefined) {
+    if (details.isCover === true || details.isCover === "true") {
+      data.isCover = true;
+    } else {
+      errors.push(
+        `${prefix}isCover can only be true, choose another image as cover instead`
+      );
+    }
+  }
+
+  return { data, errors };
+};
+
+/**
+ * Validates req.body.imageDetails: one { caption, altText, isCover } object
+ * per uploaded file, in upload order, at most one of them the cover.
+ * @param {*} imageDetails - Array or JSON string, optional
+ * @param {number} fileCount
+ * @returns {{ details: object[], errors: string[] }}
+ */
+const parseNewImageDetails = (imageDetails, fileCount) => {
+  const { items, error } = parseListField(imageDetails, "imageDetails");
+  if (error) return { details: [], errors: [error] };
+  if (items.length > fileCount) {
+    return {
+      details: [],
+      errors: [
+        `imageDetails has ${items.length} entries for ${fileCount} images`,
+      ],
+    };
+  }
+
+  const errors = [];
+  const details = items.map((item, index) => {
+    const parsed = parseImageDetails(item, `imageDetails[${index}].`);
+    errors.push(...parsed.errors);
+    return parsed.data;
+  });
+  if (details.filter((detail) => detail.isCover).length > 1) {
+    errors.push("Only one image can be the cover");
+  }
+
+  return { details, errors };
+};
+
+/**
+ * Rows of newly uploaded images, placed after the existing ones.
+ * @param {Array<object>} files - req.files, processed by uploadImages()
+ * @param {object[]} details - From parseNewImageDetails
+ * @param {object} [options]
+ * @param {number} [options.firstPosition=0] - Position of the first file
+ * @param {boolean} [options.withCover=false] - Make the first file the cover
+ * when none is chosen, for a site or event created with its images
+ * @returns {object[]}
+ */
+const newImagesData = (
+  files,
+  details,
+  { firstPosition = 0, withCover = false } = {}
+) => {
+  const hasChosenCover = details.some((detail) => detail.isCover);
+  return files.map((file, index) => ({
+    url: file.url,
+    variants: file.variants,
+    position: firstPosition + index,
+    caption: (details[index] && details[index].caption) || null,
+    altText: (details[index] && details[index].altText) || null,
+    isCover: hasChosenCover
+      ? Boolean(details[index] && details[index].isCover)
+      : withCover && index === 0,
+  }));
+};
+
+/**
+ * Makes an image the cover of its site or event, unsetting the previous one.
+ * @param {object} tx - Prisma transaction client
+ * @param {"sites"|"events"} type
+ * @param {string} ownerId
+ * @param {string} imageId
+ * @returns {Promise<void>}
+ */
+const setCover = async (tx, type, ownerId, imageId) => {
+  const { model, ownerField } = GALLERIES[type];
+  await tx[model].updateMany({
+    where: { [ownerField]: ownerId, isCover: true, id: { not: imageId } },
+    data: { isCover: false },
+  });
+  await tx[model].update({ where: { id: imageId }, data: { isCover: true } });
+};
+
+/**
+ * Makes the first image the cover of a site or event left without one.
+ * @param {object} tx - Prisma transaction client
+ * @param {"sites"|"events"} type
+ * @param {string} ownerId
+ * @returns {Promise<void>}
+ */
+const ensureCover = async (tx, type, ownerId) => {
+  const { model, ownerField } = GALLERIES[type];
+  const cover = await tx[model].findFirst({
+    where: { [ownerField]: ownerId, isCover: true },
+    select: { id: true },
+  });
+  if (cover) return;
+
+  const first = await tx[model].findFirst({
+    where: { [ownerField]: ownerId },
+    orderBy: IMAGE_ORDER,
+    select: { id: true },
+  });
+  if (first) {
+    await tx[model].update({
+      where: { id: first.id },
+      data: { isCover: true },
+    });
+  }
+};
+
+/**
+ * Removes images from a site or event and adds uploaded ones after the rest,
+ * keeping exactly one cover. Removed images still have files to delete with
+ * deleteImageFiles() once the transaction commits.
+ * @param {object} tx - Prisma transaction client
+ * @param {"sites"|"events"} type
+ * @param {string} ownerId
+ * @param {object} changes
+ * @param {string[]} [changes.removeIds] - Images of other owners are ignored
+ * @param {Array<object>} [changes.files] - req.files
+ * @param {object[]} [changes.details] - From parseNewImageDetails
+ * @returns {Promise<Array<object>>} - The removed images
+ */
+const applyImageChanges = async (
+  tx,
+  type,
+  ownerId,
+  { removeIds = [], files = [], details = [] }
+) => {
+  const { model, ownerField } = GALLERIES[type];
+
+  let removed = [];
+  if (removeIds.length > 0) {
+    const where = { id: { in: removeIds }, [ownerField]: ownerId };
+    removed = await tx[model].findMany({ where });
+    await tx[model].deleteMany({ where });
+  }
+
+  if (files.length > 0) {
+    const { _max } = await tx[model].aggregate({
+      where: { [ownerField]: ownerId },
+      _max: { position: true },
+    });
+    const images = newImagesData(files, details, {
+      firstPosition: _max.position === null ? 0 : _max.position + 1,
+    });
+
+    if (images.some((image) => image.isCover)) {
+      await tx[model].updateMany({
+        where: { [ownerField]: ownerId, isCover: true },
+        data: { isCover: false },
+      });
+    }
+    await tx[model].createMany({
+      data: images.map((image) => ({ ...image, [ownerField]: ownerId })),
+    });
+  }
+
+  await ensureCover(tx, type, ownerId);
+  return removed;
+};
+
+module.exports = {
+  IMAGE_ORDER,
+  COVER_FIRST_ORDER,
+  GALLERIES,
+  parseListField,
+  parseImageDetails,
+  parseNewImageDetails,
+  newImagesData,
+  setCover,
+  ensureCover,
+  applyImageChanges,
+};
@@ -0,0 +1,50 @@
+const nodemailer = require("nodemailer");
+
+const MAIL_FROM = process.env.MAIL_FROM || "Tourism <no-reply@localhost>";
+
+let transporter = null;
+
+/**
+ * SMTP transport configured from SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER
+ * and SMTP_PASS. Without SMTP_HOST outside production, messages are only
+ * logged so invitations can be tried locally.
+ * @returns {import("nodemailer").Transporter}
+ */
+const getTransporter = () => {
+  if (transporter) return transporter;
+
+  if (process.env.SMTP_HOST) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || "587", 10),
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  } else if (process.env.NODE_ENV !== "production") {
+    transporter = nodemailer.createTransport({ jsonTransport: true });
+  } else {
+    throw new Error("SMTP_HOST must be set to send emails in production");
+  }
+  return transporter;
+};
+
+/**
+ * Sends an email.
+ * @param {{ to: string, subject: string, text: string, html?: string }} message
+ */
+const sendMail = async (message) => {
+  const info = await getTransporter().sendMail({ from: MAIL_FROM, ...message });
+  if (!process.env.SMTP_HOST) {
+    console.log(
+      `Email to ${message.to} (not sent, no SMTP_HOST):`,
+      info.message
+    );
+  }
+  return info;
+};
+
+module.exports = {
+  sendMail,
+};
@@ -0,0 +1,502 @@
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+const crypto = require("crypto");
+const multer = require("multer");
+const sharp = require("sharp");
+const { getStorage } = require("./storage");
+
+// Uploads wait here until they are checked and their versions stored
+const TEMP_UPLOAD_DIR = path.join(os.tmpdir(), "tourism-uploads");
+
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Largest image decoded, in pixels, so a small file cannot expand to gigabytes
+const MAX_IMAGE_PIXELS = 40 * 1000 * 1000;
+
+// Versions every upload is turned into, by the longest side they fit in
+const IMAGE_SIZES = { thumbnail: 320, card: 800, full: 1920 };
+
+// Versions of profile pictures, cropped to squares of these sides
+const AVATAR_SIZES = { thumbnail: 64, card: 256, full: 512 };
+
+// Directory (storage key prefix) and versions of each kind of image. Site
+// images used to be written to "site" while their URLs said "sites";
+// legacyDirectories are still served and cleaned up for those files.
+const MEDIA_KINDS = {
+  sites: {
+    directory: "sites",
+    legacyDirectories: ["site"],
+    sizes: IMAGE_SIZES,
+  },
+  events: { directory: "events", legacyDirectories: [], sizes: IMAGE_SIZES },
+  avatars: {
+    directory: "avatars",
+    legacyDirectories: [],
+    sizes: AVATAR_SIZES,
+    square: true,
+  },
+};
+
+// Accepted image types, recognised by their first bytes rather than the
+// Content-Type the client claims
+const IMAGE_TYPES = {
+  "image/jpeg": {
+    matches: (header) =>
+      header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff,
+  },
+  "image/png": {
+    matches: (header) =>
+      header
+        .subarray(0, 8)
+        .equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  "image/gif": {
+    matches: (header) => /^GIF8[79]a$/.test(header.toString("latin1", 0, 6)),
+  },
+  "image/webp": {
+    matches: (header) =>
+      header.toString("latin1", 0, 4) === "RIFF" &&
+      header.toString("latin1", 8, 12) === "WEBP",
+  },
+};
+
+// Content types some clients send for the types above
+const MIME_ALIASES = { "image/jpg": "image/jpeg", "image/pjpeg": "image/jpeg" };
+const normalizeMimeType = (mimetype) =>
+  MIME_ALIASES[String(mimetype).toLowerCase()] ||
+  String(mimetype).toLowerCase();
+
+/**
+ * Detects the image type of a file from its first bytes.
+ * @param {string} filePath
+ * @returns {Promise<string|null>} - A key of IMAGE_TYPES, or null
+ */
+const detectImageType = async (filePath) => {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const header = Buffer.alloc(12);
+    const { bytesRead } = await handle.read(header, 0, header.length, 0);
+    const bytes = header.subarray(0, bytesRead);
+    if (bytes.length < header.length) return null;
+    return (
+      Object.keys(IMAGE_TYPES).find((type) =>
+        IMAGE_TYPES[type].matches(bytes)
+      ) || null
+    );
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Parses the area of an upload to keep, in pixels of the upright image.
+ * @param {*} value - { left, top, width, height }, or that object as JSON
+ * @returns {{ crop: object|null, error: string|null }}
+ */
+const parseCrop = (value) => {
+  let crop = value;
+  if (typeof value === "string") {
+    try {
+      crop = JSON.parse(value);
+    } catch (error) {
+      crop = null;
+    }
+  }
+
+  const isValid =
+    crop &&
+    typeof crop === "object" &&
+    ["left", "top"].every(
+      (key) => Number.isInteger(crop[key]) && crop[key] >= 0
+    ) &&
+    ["width", "height"].every(
+      (key) => Number.isInteger(crop[key]) && crop[key] > 0
+    );
+  if (!isValid) {
+    return {
+      crop: null,
+      error:
+        "crop must be { left, top, width, height } in whole pixels, with a positive width and height",
+    };
+  }
+
+  const { left, top, width, height } = crop;
+  return { crop: { left, top, width, height }, error: null };
+};
+
+/**
+ * Width and height of an image once turned upright.
+ * @param {string|Buffer} source
+ * @returns {Promise<{ width: number, height: number }>}
+ */
+const uprightSize = async (source) => {
+  const { width, height, orientation } = await sharp(source, {
+    limitInputPixels: MAX_IMAGE_PIXELS,
+  }).metadata();
+  // EXIF orientations 5 to 8 are rotated a quarter turn
+  return orientation >= 5
+    ? { width: height, height: width }
+    : { width, height };
+};
+
+/**
+ * Storage keys a stored image URL may live at, or none for URLs the storage
+ * did not issue.
+ * @param {string} url
+ * @returns {{ kind: string|null, keys: string[] }}
+ */
+const toStorageKeys = (url) => {
+  const key = getStorage().keyFromUrl(url);
+  if (!key) return { kind: null, keys: [] };
+
+  const kind = Object.keys(MEDIA_KINDS).find((name) =>
+    key.startsWith(`${MEDIA_KINDS[name].directory}/`)
+  );
+  if (!kind) return { kind: null, keys: [key] };
+
+  const { directory, legacyDirectories } = MEDIA_KINDS[kind];
+  return {
+    kind,
+    keys: [
+      key,
+      ...legacyDirectories.map(
+        (legacy) => legacy + key.slice(directory.length)
+      ),
+    ],
+  };
+};
+
+/**
+ * Reads a stored image from its URL.
+ * @param {string} url
+ * @returns {Promise<{ kind: string, key: string, body: Buffer }|null>}
+ */
+const readStoredImage = async (url) => {
+  const { kind, keys } = toStorageKeys(url);
+  if (!kind) return null;
+
+  for (const key of keys) {
+    const body = await getStorage().get(key);
+    if (body) return { kind, key, body };
+  }
+  return null;
+};
+
+const removeFile = async (filePath) => {
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== "ENOENT")
+      console.error(`Error deleting file ${filePath}:`, error);
+  }
+};
+
+const removeStoredFile = async (key) => {
+  try {
+    await getStorage().remove(key);
+  } catch (error) {
+    console.error(`Error deleting stored file ${key}:`, error);
+  }
+};
+
+/**
+ * Every URL of a stored image: its own and those of its variants.
+ * @param {{ url: string, variants?: object|null }} image
+ * @returns {string[]}
+ */
+const imageUrls = (image) => [
+  image.url,
+  // Every kind names its sizes like IMAGE_SIZES
+  ...Object.keys(IMAGE_SIZES).flatMap((size) =>
+    image.variants && image.variants[size]
+      ? [image.variants[size].url, image.variants[size].webpUrl]
+      : []
+  ),
+];
+
+/**
+ * URL of the smallest version of a stored image, or of the image itself when
+ * it was stored before versions existed.
+ * @param {{ url: string, variants?: object|null }} image
+ * @returns {string}
+ */
+const thumbnailUrl = (image) =>
+  image.variants && image.variants.thumbnail
+    ? image.variants.thumbnail.url
+    : image.url;
+
+/**
+ * Deletes the files of images removed from the database. Call it once the
+ * rows are gone, so a failed delete never leaves rows pointing at nothing.
+ * @param {Array<{ url: string, variants?: object|null }>} images
+ * @returns {Promise<void>}
+ */
+const deleteImageFiles = async (images) => {
+  const urls = [...new Set(images.flatMap(imageUrls))];
+  const keys = urls.flatMap((url) => toStorageKeys(url).keys);
+  await Promise.all(keys.map(removeStoredFile));
+};
+
+/**
+ * Deletes files uploaded with the current request, processed or not.
+ * @param {Array<object>} files - req.files
+ * @returns {Promise<void>}
+ */
+const removeUploadedFiles = async (files) => {
+  await Promise.all(
+    (files || []).map((file) =>
+      file.variants ? deleteImageFiles([file]) : removeFile(file.path)
+    )
+  );
+};
+
+/**
+ * Stores the thumbnail, card and full versions of an image, each as WebP and
+ * as JPEG (PNG when the image has transparency). The image is turned upright
+ * and its metadata (EXIF, GPS position...) is left out of every version.
+ * @param {string} kind - A key of MEDIA_KINDS, where the versions are stored
+ * @param {string|Buffer} source - Path or content of the image to process
+ * @param {string} name - Base name of the versions, without extension
+ * @param {object} [options]
+ * @param {object|null} [options.crop] - Area to keep, from parseCrop
+ * @returns {Promise<{ url: string, variants: object }>} - url is the full
+ * fallback version; variants has { width, height, url, webpUrl } per size plus
+ * srcset and webpSrcset strings
+ */
+const createImageVariants = async (
+  kind,
+  source,
+  name,
+  { crop = null } = {}
+) => {
+  const storage = getStorage();
+  const { directory, sizes, square } = MEDIA_KINDS[kind];
+
+  // Cropping after rotate() measures the area on the upright image
+  const input = () => {
+    const image = sharp(source, {
+      limitInputPixels: MAX_IMAGE_PIXELS,
+    }).rotate();
+    return crop ? image.extract(crop) : image;
+  };
+  const { hasAlpha } = await input().metadata();
+  // Square versions are cut to the shorter side, which is never enlarged
+  const { width, height } = crop || (await uprightSize(source));
+  const squareSide = Math.min(width, height);
+  const fallback = hasAlpha
+    ? { extension: "png", contentType: "image/png" }
+    : { extension: "jpg", contentType: "image/jpeg" };
+
+  const variants = {};
+  const stored = [];
+  const store = async (key, image, contentType) => {
+    stored.push(key);
+    return storage.put(key, image, { contentType });
+  };
+
+  try {
+    for (const [size, maxSide] of Object.entries(sizes)) {
+      const resized = () => {
+        if (!square) {
+          return input().resize(maxSide, maxSide, {
+            fit: "inside",
+            withoutEnlargement: true,
+          });
+        }
+        const side = Math.min(maxSide, squareSide);
+        return input().resize(side, side, { fit: "cover" });
+      };
+
+      const { data, info } = await (hasAlpha
+        ? resized().png()
+        : resized().jpeg({ quality: 82, mozjpeg: true })
+      ).toBuffer({ resolveWithObject: true });
+      const webp = await resized().webp({ quality: 80 }).toBuffer();
+
+      variants[size] = {
+        width: info.width,
+        height: info.height,
+        url: await store(
+          `${directory}/${name}_${size}.${fallback.extension}`,
+          data,
+          fallback.contentType
+        ),
+        webpUrl: await store(
+          `${directory}/${name}_${size}.webp`,
+          webp,
+          "image/webp"
+        ),
+      };
+    }
+  } catch (error) {
+    await Promise.all(stored.map(removeStoredFile));
+    throw error;
+  }
+
+  // Small images are not enlarged, so several sizes can share a width
+  const widths = new Set();
+  const distinctSizes = Object.keys(sizes).filter((size) => {
+    if (widths.has(variants[size].width)) return false;
+    widths.add(variants[size].width);
+    return true;
+  });
+  const srcset = (key) =>
+    distinctSizes
+      .map((size) => `${variants[size][key]} ${variants[size].width}w`)
+      .join(", ");
+
+  return {
+    url: variants.full.url,
+    variants: {
+      ...variants,
+      srcset: srcset("url"),
+      webpSrcset: srcset("webpUrl"),
+    },
+  };
+};
+
+/**
+ * Checks an upload against its content and replaces it with its processed
+ * versions, recording their url and variants on the file, or returns why it
+ * was refused.
+ * @param {string} kind
+ * @param {object} file - A multer file
+ * @param {object|null} [crop] - Area to keep, from parseCrop
+ * @returns {Promise<string|null>} - An error message, or null
+ */
+const processUpload = async (kind, file, crop = null) => {
+  const type = await detectImageType(file.path);
+  if (!type) {
+    return `${file.originalname} is not a JPEG, PNG, GIF or WebP image`;
+  }
+  if (type !== normalizeMimeType(file.mimetype)) {
+    return `${file.originalname} holds ${type} data but was sent as ${file.mimetype}`;
+  }
+
+  let processed;
+  try {
+    if (crop) {
+      const { width, height } = await uprightSize(file.path);
+      if (crop.left + crop.width > width || crop.top + crop.height > height) {
+        return `The crop area must lie within the ${width}x${height} image`;
+      }
+    }
+    processed = await createImageVariants(
+      kind,
+      file.path,
+      path.basename(file.path),
+      { crop }
+    );
+  } catch (error) {
+    console.error(`Error processing image ${file.path}:`, error);
+    return `${file.originalname} could not be read as an image`;
+  }
+
+  // The original still holds its metadata, only the versions are kept
+  await removeFile(file.path);
+  Object.assign(file, { mimetype: type, ...processed });
+  return null;
+};
+
+/**
+ * Middleware accepting up to maxCount images in a multipart field.
+ * Each file in req.files is checked against its content and processed into
+ * resized versions, given the `url` and `variants` to store. Uploads of a
+ * request answered with an error status are deleted.
+ * @param {string} kind - A key of MEDIA_KINDS
+ * @param {string} field - Form field holding the images
+ * @param {number} maxCount
+ * @param {object} [options]
+ * @param {boolean} [options.crop=false] - Crop the images to the area in the
+ * optional `crop` form field, see parseCrop
+ * @returns {Function[]}
+ */
+const uploadImages = (kind, field, maxCount, { crop = false } = {}) => {
+  const upload = multer({
+    storage: multer.diskStorage({
+      destination: (req, file, cb) => {
+        fs.promises
+          .mkdir(TEMP_UPLOAD_DIR, { recursive: true })
+          .then(() => cb(null, TEMP_UPLOAD_DIR), cb);
+      },
+      // Only a temporary name, the processed versions get their extensions
+      filename: (req, file, cb) => {
+        cb(null, `${file.fieldname}_${Date.now()}_${crypto.randomUUID()}`);
+      },
+    }),
+    fileFilter: (req, file, cb) => {
+      if (IMAGE_TYPES[normalizeMimeType(file.mimetype)]) {
+        cb(null, true);
+      } else {
+        cb(new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname));
+      }
+    },
+    limits: { fileSize: MAX_IMAGE_BYTES, files: maxCount },
+  }).array(field, maxCount);
+
+  const receive = (req, res, next) => {
+    // Whatever the handler answers, a failed request keeps no file
+    res.on("finish", () => {
+      if (res.statusCode >= 400) removeUploadedFiles(req.files);
+    });
+
+    upload(req, res, (error) => {
+      if (!error) return next();
+
+      const messages = {
+        LIMIT_FILE_SIZE: `Each image must be at most ${
+          MAX_IMAGE_BYTES / (1024 * 1024)
+        } MB`,
+        LIMIT_FILE_COUNT: `At most ${maxCount} images can be uploaded`,
+        LIMIT_UNEXPECTED_FILE: `Only JPEG, PNG, GIF or WebP images are accepted in ${field}, at most ${maxCount}`,
+      };
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({
+          status: false,
+          message: messages[error.code] || error.message,
+        });
+      }
+      next(error);
+    });
+  };
+
+  const verify = async (req, res, next) => {
+    let area = null;
+    if (crop && req.body.crop !== undefined && req.body.crop !== "") {
+      const parsed = parseCrop(req.body.crop);
+      if (parsed.error) {
+        return res.status(400).json({ status: false, message: parsed.error });
+      }
+      area = parsed.crop;
+    }
+
+    try {
+      for (const file of req.files || []) {
+        const problem = await processUpload(kind, file, area);
+        if (problem) {
+          return res.status(400).json({ status: false, message: problem });
+        }
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  return [receive, verify];
+};
+
+module.exports = {
+  MEDIA_KINDS,
+  uploadImages,
+  IMAGE_SIZES,
+  AVATAR_SIZES,
+  imageUrls,
+  toStorageKeys,
+  readStoredImage,
+  createImageVariants,
+  thumbnailUrl,
+  removeUploadedFiles,
+  deleteImageFiles,
+};
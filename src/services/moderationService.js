@@ -0,0 +1,110 @@
+// Filters for content the public may see: published sites, and published
+// events at published sites
+const publishedSiteFilter = { status: "PUBLISHED" };
+const publishedEventFilter = {
+  status: "PUBLISHED",
+  touristicSite: { status: "PUBLISHED" },
+};
+
+// Longest moderation reason kept
+const MAX_REASON_LENGTH = 2000;
+
+/**
+ * Moderation decisions of SUPER_ADMIN users: the statuses a listing must be
+ * in, the status it moves to, and whether the owner must be given a reason.
+ */
+const MODERATION_ACTIONS = {
+  approve: { from: ["PENDING_REVIEW"], to: "PUBLISHED", needsReason: false },
+  reject: { from: ["PENDING_REVIEW"], to: "DRAFT", needsReason: true },
+  suspend: { from: ["PUBLISHED"], to: "SUSPENDED", needsReason: true },
+  reinstate: { from: ["SUSPENDED"], to: "PUBLISHED", needsReason: false },
+};
+
+// Statuses from which an owner may (re)submit a listing for review
+const SUBMITTABLE_STATUSES = ["DRAFT", "SUSPENDED"];
+
+/**
+ * The update sending a listing back to review when its content changes, so
+ * an edit by its owner does not go live without being approved again.
+ * @param {object} user - req.user
+ * @param {string} currentStatus
+ * @returns {object} - Status fields to merge into the update, empty when the
+ *   listing is not published or a super admin edits it
+ */
+const resubmitAfterEdit = (user, currentStatus) =>
+  currentStatus === "PUBLISHED" && user.role !== "SUPER_ADMIN"
+    ? { status: "PENDING_REVIEW", submittedAt: new Date() }
+    : {};
+
+/**
+ * Validates a moderation decision and builds the update it makes.
+ * @param {string} action - A key of MODERATION_ACTIONS
+ * @param {string} currentStatus
+ * @param {string|undefined} reason
+ * @returns {{ data: object|null, error: string|null, statusCode?: number }}
+ */
+const buildModerationUpdate = (action, currentStatus, reason) => {
+  const rule = MODERATION_ACTIONS[action];
+  const trimmed = typeof reason === "string" ? reason.trim() : "";
+
+  if (rule.needsReason && !trimmed) {
+    return { data: null, error: `A reason is required to ${action}` };
+  }
+  if (trimmed.length > MAX_REASON_LENGTH) {
+    return {
+      data: null,
+      error: `The reason must be at most ${MAX_REASON_LENGTH} characters`,
+    };
+  }
+  if (!rule.from.includes(currentStatus)) {
+    return {
+      data: null,
+      error: `Cannot ${action} a listing that is ${currentStatus}`,
+      statusCode: 409,
+    };
+  }
+
+  return {
+    data: {
+      status: rule.to,
+      moderationReason: trimmed || null,
+      moderatedAt: new Date(),
+    },
+    error: null,
+  };
+};
+
+/**
+ * Whether a user may see an unpublished site: a super admin or one of its admins.
+ * @param {object|null} user - req.user
+ * @param {string} siteId
+ * @returns {boolean}
+ */
+const canSeeUnpublishedSite = (user, siteId) =>
+  Boolean(user) &&
+  (user.role === "SUPER_ADMIN" || Boolean(user.siteRoles[siteId]));
+
+/**
+ * Whether a user may see an unpublished event: a super admin, its guide or
+ * site admin, or an admin of its site.
+ * @param {object|null} user - req.user
+ * @param {{ siteAdminId: string|null, guideId: string|null, touristicSiteId: string }} event
+ * @returns {boolean}
+ */
+const canSeeUnpublishedEvent = (user, event) =>
+  Boolean(user) &&
+  (user.role === "SUPER_ADMIN" ||
+    (Boolean(user.guideId) && event.guideId === user.guideId) ||
+    (Boolean(user.siteAdminId) && event.siteAdminId === user.siteAdminId) ||
+    Boolean(user.siteRoles[event.touristicSiteId]));
+
+module.exports = {
+  publishedSiteFilter,
+  publishedEventFilter,
+  MODERATION_ACTIONS,
+  SUBMITTABLE_STATUSES,
+  buildModerationUpdate,
+  resubmitAfterEdit,
+  canSeeUnpublishedSite,
+  canSeeUnpublishedEvent,
+};
@@ -0,0 +1,166 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { transitionBooking } = require("./bookingService");
+const { getProvider } = require("./payments");
+const {
+  getRefundedAmount,
+  createRefund,
+  processRefund,
+} = require("./refundService");
+
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || "USD";
+
+// Once money has been received a payment never goes back to these statuses
+const SETTLED_STATUSES = ["COMPLETED", "REFUNDED", "PARTIALLY_REFUNDED"];
+
+/**
+ * Records a new status on a payment and confirms its booking once paid.
+ * Updates are idempotent, and a settled payment is never moved back to
+ * PENDING or FAILED by a late or replayed callback. Money received for a
+ * booking canceled in the meantime is refunded in full.
+ * @param {string} paymentId
+ * @param {string} status - PaymentStatus
+ * @returns {Promise<object>} - The up to date payment
+ */
+const applyPaymentStatus = async (paymentId, status) => {
+  const { payment, refund } = await prisma.$transaction(async (tx) => {
+    const current = await tx.payment.findUnique({ where: { id: paymentId } });
+
+    if (
+      current.status === status ||
+      (SETTLED_STATUSES.includes(current.status) &&
+        !SETTLED_STATUSES.includes(status))
+    ) {
+      return { payment: current };
+    }
+
+    const updated = await tx.payment.update({
+      where: { id: paymentId },
+      data: {
+        status,
+        ...(status === "COMPLETED" && { paymentDate: new Date() }),
+      },
+    });
+    if (status !== "COMPLETED") return { payment: updated };
+
+    const booking = await tx.booking.findUnique({
+      where: { id: current.bookingId },
+      select: { status: true },
+    });
+    if (booking.status === "PENDING") {
+      await transitionBooking(current.bookingId, "CONFIRMED", tx);
+    }
+    if (booking.status !== "CANCELED") return { payment: updated };
+
+    const amount = updated.amount.sub(await getRefundedAmount(paymentId, tx));
+    if (amount.lte(0)) return { payment: updated };
+    return {
+      payment: updated,
+      refund: await createRefund(
+        {
+          payment: updated,
+          amount,
+          reason: "Paid after the booking was canceled",
+        },
+        tx
+      ),
+    };
+  });
+
+  if (!refund) return payment;
+  await processRefund(refund, payment);
+  return prisma.payment.findUnique({ where: { id: paymentId } });
+};
+
+/**
+ * Whether a payment has a charge whose outcome the provider will still call
+ * back with. Its transaction ID must stay on the payment until then, or the
+ * callback could not be matched and a successful charge would be lost.
+ * @param {object} payment
+ * @returns {boolean}
+ */
+const isAwaitingCallback = (payment) => {
+  if (payment.status !== "PENDING" || !payment.transactionId) return false;
+  const provider = getProvider(payment.method);
+  return !provider || provider.receivesWebhooks !== false;
+};
+
+/**
+ * Starts (or restarts) the payment of a booking with a provider.
+ * A booking has a single Payment row; retrying after a failure reuses it.
+ * A charge still waiting for its provider's callback cannot be replaced.
+ * @param {{ booking: object, provider: object, customer: object }} params
+ * @returns {Promise<{ payment?: object, charge?: object, error?: string, statusCode?: number }>}
+ */
+const startPayment = async ({ booking, provider, customer }) => {
+  const existing = await prisma.payment.findUnique({
+    where: { bookingId: booking.id },
+  });
+
+  if (existing && SETTLED_STATUSES.includes(existing.status)) {
+    return { error: "This booking has already been paid", statusCode: 409 };
+  }
+  if (existing && isAwaitingCallback(existing)) {
+    return {
+      error:
+        "A payment of this booking is in progress, wait for its outcome before paying again",
+      statusCode: 409,
+    };
+  }
+
+  const payment = existing
+    ? await prisma.payment.update({
+        where: { id: existing.id },
+        data: {
+          amount: booking.totalPrice,
+          currency: PAYMENT_CURRENCY,
+          method: provider.name,
+          status: "PENDING",
+          transactionId: null,
+        },
+      })
+    : await prisma.payment.create({
+        data: {
+          booking: { connect: { id: booking.id } },
+          amount: booking.totalPrice,
+          currency: PAYMENT_CURRENCY,
+          method: provider.name,
+        },
+      });
+
+  let charge;
+  try {
+    charge = await provider.createCharge({
+      paymentId: payment.id,
+      amount: payment.amount,
+      currency: payment.currency,
+      description: `Booking ${booking.id}`,
+      customer,
+    });
+  } catch (error) {
+    console.error(`Error charging payment ${payment.id}:`, error);
+    await prisma.payment.update({
+      where: { id: payment.id },
+      data: { status: "FAILED" },
+    });
+    return {
+      error: "The payment provider rejected the charge",
+      statusCode: 502,
+    };
+  }
+
+  await prisma.payment.update({
+    where: { id: payment.id },
+    data: { transactionId: charge.transactionId },
+  });
+  const updated = await applyPaymentStatus(payment.id, charge.status);
+
+  return { payment: updated, charge };
+};
+
+module.exports = {
+  PAYMENT_CURRENCY,
+  SETTLED_STATUSES,
+  applyPaymentStatus,
+  startPayment,
+};
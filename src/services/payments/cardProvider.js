@@ -0,0 +1,4 @@
+const { createHttpGatewayProvider } = require("./httpGatewayProvider");
+
+// Card payments through a hosted checkout (CARD_GATEWAY_URL, CARD_API_KEY, CARD_WEBHOOK_SECRET)
+module.exports = createHttpGatewayProvider({ name: "card", envPrefix: "CARD" });
@@ -0,0 +1,25 @@
+const crypto = require("crypto");
+
+// Cash paid on site. Nothing is charged online: the payment stays PENDING
+// until the guide or site admin records it as collected.
+module.exports = {
+  name: "cash",
+
+  isEnabled: () => true,
+
+  createCharge: async () => ({
+    transactionId: `cash_${crypto.randomUUID()}`,
+    status: "PENDING",
+    instructions: "Pay the full amount in cash on the day of the visit.",
+  }),
+
+  // The cash is handed back in person by whoever cancels the booking
+  refund: async () => ({ providerRefundId: null, status: "COMPLETED" }),
+
+  // Cash payments never receive webhooks
+  receivesWebhooks: false,
+
+  verifyWebhook: () => false,
+
+  parseWebhook: () => null,
+};
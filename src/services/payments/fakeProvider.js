@@ -0,0 +1,45 @@
+const crypto = require("crypto");
+const { verifySignature } = require("./webhookSignature");
+
+// Local provider for development and tests, only enabled when
+// PAYMENT_FAKE_PROVIDER is "true". Charges are created without any network
+// call; FAKE_PAYMENT_OUTCOME ("pending", "completed" or "failed") decides
+// their initial status. Webhooks are signed with FAKE_WEBHOOK_SECRET, see
+// webhookSignature.signPayload to build them; without it they are rejected.
+
+const OUTCOMES = {
+  pending: "PENDING",
+  completed: "COMPLETED",
+  failed: "FAILED",
+};
+
+module.exports = {
+  name: "fake",
+
+  isEnabled: () => process.env.PAYMENT_FAKE_PROVIDER === "true",
+
+  webhookSecret: () => process.env.FAKE_WEBHOOK_SECRET,
+
+  createCharge: async () => ({
+    transactionId: `fake_${crypto.randomUUID()}`,
+    status: OUTCOMES[process.env.FAKE_PAYMENT_OUTCOME] || "PENDING",
+  }),
+
+  refund: async () => ({
+    providerRefundId: `fake_refund_${crypto.randomUUID()}`,
+    status: "COMPLETED",
+  }),
+
+  verifyWebhook(rawBody, headers) {
+    return verifySignature(
+      rawBody,
+      headers["x-signature"],
+      this.webhookSecret()
+    );
+  },
+
+  parseWebhook: (body) => ({
+    transactionId: body.transactionId,
+    status: OUTCOMES[String(body.status || "").toLowerCase()] || "PENDING",
+  }),
+};
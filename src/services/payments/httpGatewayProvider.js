@@ -0,0 +1,116 @@
+const { verifySignature } = require("./webhookSignature");
+
+// Maps gateway statuses to PaymentStatus values
+const STATUS_MAP = {
+  pending: "PENDING",
+  processing: "PENDING",
+  succeeded: "COMPLETED",
+  completed: "COMPLETED",
+  failed: "FAILED",
+  canceled: "FAILED",
+};
+
+const toPaymentStatus = (status) =>
+  STATUS_MAP[String(status || "").toLowerCase()] || "PENDING";
+
+/**
+ * Builds a provider talking to a hosted payment gateway over HTTP.
+ *
+ * The gateway is expected to expose `POST {baseUrl}/charges` answering
+ * `{ id, status, redirectUrl? }` and `POST {baseUrl}/refunds` answering
+ * `{ id, status }`, and to call our webhook with a signed
+ * `{ transactionId, status }` body when the charge settles.
+ *
+ * @param {{ name: string, envPrefix: string }} options - envPrefix selects the
+ *   `<PREFIX>_GATEWAY_URL`, `<PREFIX>_API_KEY` and `<PREFIX>_WEBHOOK_SECRET` variables
+ * @returns {object} - Payment provider
+ */
+const createHttpGatewayProvider = ({ name, envPrefix }) => {
+  const config = () => ({
+    baseUrl: process.env[`${envPrefix}_GATEWAY_URL`],
+    apiKey: process.env[`${envPrefix}_API_KEY`],
+    webhookSecret: process.env[`${envPrefix}_WEBHOOK_SECRET`],
+  });
+
+  return {
+    name,
+
+    isEnabled: () => Boolean(config().baseUrl && config().apiKey),
+
+    createCharge: async ({
+      paymentId,
+      amount,
+      currency,
+      description,
+      customer,
+    }) => {
+      const { baseUrl, apiKey } = config();
+      const response = await fetch(`${baseUrl}/charges`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          "Content-Type": "application/json",
+          "Idempotency-Key": paymentId,
+        },
+        body: JSON.stringify({
+          reference: paymentId,
+          amount: amount.toString(),
+          currency,
+          description,
+          customer,
+        }),
+      });
+
+      if (!response.ok) {
+        throw new Error(`${name} gateway responded with ${response.status}`);
+      }
+
+      const body = await response.json();
+      return {
+        transactionId: body.id,
+        status: toPaymentStatus(body.status),
+        redirectUrl: body.redirectUrl || null,
+      };
+    },
+
+    refund: async ({ payment, refundId, amount }) => {
+      const { baseUrl, apiKey } = config();
+      const response = await fetch(`${baseUrl}/refunds`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          "Content-Type": "application/json",
+          "Idempotency-Key": refundId,
+        },
+        body: JSON.stringify({
+          reference: refundId,
+          transactionId: payment.transactionId,
+          amount: amount.toString(),
+          currency: payment.currency,
+        }),
+      });
+
+      if (!response.ok) {
+        throw new Error(
+          `${name} gateway refused the refund (${response.status})`
+        );
+      }
+
+      const body = await response.json();
+      return {
+        providerRefundId: body.id,
+        status: toPaymentStatus(body.status),
+      };
+    },
+
+    verifyWebhook: (rawBody, headers) =>
+      verifySignature(rawBody, headers["x-signature"], config().webhookSecret),
+
+    parseWebhook: (body) => ({
+      transactionId: body.transactionId,
+      status: toPaymentStatus(body.status),
+    }),
+  };
+};
+
+module.exports = { createHttpGatewayProvider, toPaymentStatus };
@@ -0,0 +1,36 @@
+// Registry of payment providers. Every provider implements:
+//   name                         - value stored in Payment.method
+//   isEnabled()                  - whether it is configured in this environment
+//   createCharge(details)        - starts a charge, resolves to
+//                                  { transactionId, status, redirectUrl?, instructions? }
+//   verifyWebhook(rawBody, headers) - checks the callback signature
+//   parseWebhook(body)           - resolves a callback to { transactionId, status }
+//   refund({ payment, refundId, amount }) - returns money, resolves to
+//                                  { providerRefundId, status }
+//   receivesWebhooks             - optional, false when charges are settled
+//                                  in person and never get a callback
+const providers = [
+  require("./cardProvider"),
+  require("./mobileMoneyProvider"),
+  require("./cashProvider"),
+  require("./fakeProvider"),
+];
+
+/**
+ * Returns an enabled provider by name.
+ * @param {string} name
+ * @returns {object|null}
+ */
+const getProvider = (name) =>
+  providers.find(
+    (provider) => provider.name === name && provider.isEnabled()
+  ) || null;
+
+/**
+ * Names of the providers usable in this environment.
+ * @returns {string[]}
+ */
+const getAvailableMethods = () =>
+  providers.filter((provider) => provider.isEnabled()).map((p) => p.name);
+
+module.exports = { getProvider, getAvailableMethods };
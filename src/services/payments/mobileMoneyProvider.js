@@ -0,0 +1,9 @@
+const { createHttpGatewayProvider } = require("./httpGatewayProvider");
+
+// Mobile money collections (MOBILE_MONEY_GATEWAY_URL, MOBILE_MONEY_API_KEY,
+// MOBILE_MONEY_WEBHOOK_SECRET). The customer's phoneNumber is sent with the charge
+// so the operator can prompt them to approve it.
+module.exports = createHttpGatewayProvider({
+  name: "mobile_money",
+  envPrefix: "MOBILE_MONEY",
+});
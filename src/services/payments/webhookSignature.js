@@ -0,0 +1,54 @@
+const crypto = require("crypto");
+
+// Webhooks are signed like "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${rawBody}`>"
+// and sent in the X-Signature header. Signatures older than the tolerance are
+// rejected so captured callbacks cannot be replayed later.
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Signs a webhook payload.
+ * @param {string|Buffer} rawBody
+ * @param {string} secret
+ * @param {number} [timestamp] - Unix seconds, defaults to now
+ * @returns {string} - Value for the X-Signature header
+ */
+const signPayload = (
+  rawBody,
+  secret,
+  timestamp = Math.floor(Date.now() / 1000)
+) => {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${digest}`;
+};
+
+/**
+ * Verifies an X-Signature header against the raw request body.
+ * @param {string|Buffer} rawBody
+ * @param {string} header
+ * @param {string} secret
+ * @returns {boolean}
+ */
+const verifySignature = (rawBody, header, secret) => {
+  if (!rawBody || !header || !secret) return false;
+
+  const parts = Object.fromEntries(
+    header.split(",").map((part) => part.trim().split("="))
+  );
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1) return false;
+
+  const age = Math.abs(Math.floor(Date.now() / 1000) - timestamp);
+  if (age > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+  const expected = signPayload(rawBody, secret, timestamp).split("v1=")[1];
+  const received = parts.v1;
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received))
+  );
+};
+
+module.exports = { signPayload, verifySignature };
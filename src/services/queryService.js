@@ -0,0 +1,187 @@
+// Query parameters every list endpoint accepts, and those with sortFields
+const PAGINATION_PARAMS = ["page", "limit"];
+const SORT_PARAMS = ["sortBy", "sortOrder"];
+
+// Cache busters and analytics tags that browsers and links add to any URL,
+// ignored rather than rejected as unknown
+const IGNORED_PARAM_PATTERN = /^(_|utm_.+)$/;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Row ids are UUIDs, anything else cannot be a cursor
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Converts one query parameter according to its filter definition.
+ * @param {string} name
+ * @param {string} value
+ * @param {{ type: string, min?: number, max?: number, values?: string[], endOfDay?: boolean }} definition
+ * @returns {{ value?: any, error?: string }}
+ */
+const parseFilterValue = (name, value, definition) => {
+  if (typeof value !== "string" || value.trim() === "") {
+    return { error: `${name} must be a single non-empty value` };
+  }
+
+  switch (definition.type) {
+    case "string":
+      return { value: value.trim() };
+
+    case "enum":
+      return definition.values.includes(value)
+        ? { value }
+        : { error: `${name} must be one of ${definition.values.join(", ")}` };
+
+    case "number":
+    case "integer": {
+      const number = Number(value);
+      const isInteger = definition.type === "integer";
+      if (!Number.isFinite(number) || (isInteger && !Number.isInteger(number)))
+        return {
+          error: `${name} must be ${isInteger ? "an integer" : "a number"}`,
+        };
+      if (definition.min !== undefined && number < definition.min)
+        return { error: `${name} must be at least ${definition.min}` };
+      if (definition.max !== undefined && number > definition.max)
+        return { error: `${name} must be at most ${definition.max}` };
+      return { value: number };
+    }
+
+    case "cursor":
+      return UUID_PATTERN.test(value)
+        ? { value }
+        : { error: `${name} must be the nextCursor of a previous page` };
+
+    case "date": {
+      // A bare "YYYY-MM-DD" used as the end of a range covers the whole day
+      const date =
+        definition.endOfDay && DATE_ONLY.test(value)
+          ? new Date(`${value}T23:59:59.999Z`)
+          : new Date(value);
+      return isNaN(date.getTime())
+        ? { error: `${name} must be a date (YYYY-MM-DD or ISO 8601)` }
+        : { value: date };
+    }
+
+    default:
+      throw new Error(`Unknown filter type ${definition.type} for ${name}`);
+  }
+};
+
+/**
+ * Parses and validates the query string of a list endpoint.
+ *
+ * Spec shape:
+ *   {
+ *     sortFields: ["createdAt", "price"],  // allowed sortBy values, optional
+ *     defaultSortBy: "createdAt",
+ *     defaultSortOrder: "desc",
+ *     defaultLimit: 10,
+ *     maxLimit: 100,
+ *     filters: { minPrice: { type: "number", min: 0 }, siteId: { type: "string" } },
+ *     ranges: [["minPrice", "maxPrice"]],  // pairs where min must not exceed max
+ *   }
+ * Filter types are string, enum (with values), number and integer (with
+ * optional min and max), date (endOfDay for range ends) and cursor (a row id).
+ * Parameters not in the spec are reported as errors rather than silently
+ * ignored, except cache busters (_) and analytics tags (utm_*). Without
+ * sortFields the list has a fixed order and sortBy and sortOrder are unknown.
+ * Lists with a cursor filter are paged by it, so page is unknown there.
+ *
+ * @param {object} query - req.query
+ * @param {object} spec
+ * @returns {{ page: number, limit: number, skip: number, sortBy?: string, sortOrder?: string, filters: object, errors: string[] }}
+ */
+const parseListQuery = (query, spec) => {
+  const errors = [];
+  const filters = {};
+  const filterSpecs = spec.filters || {};
+  const maxLimit = spec.maxLimit || 100;
+
+  const usesCursor = Object.values(filterSpecs).some(
+    (definition) => definition.type === "cursor"
+  );
+  const paginationParams = usesCursor ? ["limit"] : PAGINATION_PARAMS;
+  const knownParams = spec.sortFields
+    ? [...paginationParams, ...SORT_PARAMS]
+    : paginationParams;
+
+  const unknown = Object.keys(query).filter(
+    (name) =>
+      !knownParams.includes(name) &&
+      !filterSpecs[name] &&
+      !IGNORED_PARAM_PATTERN.test(name)
+  );
+  if (unknown.length > 0)
+    errors.push(`Unknown query parameters: ${unknown.join(", ")}`);
+
+  const page = query.page === undefined || usesCursor ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1)
+    errors.push("page must be a positive integer");
+
+  const limit =
+    query.limit === undefined ? spec.defaultLimit || 10 : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit)
+    errors.push(`limit must be an integer between 1 and ${maxLimit}`);
+
+  let sortBy;
+  let sortOrder;
+  if (spec.sortFields) {
+    sortBy = query.sortBy === undefined ? spec.defaultSortBy : query.sortBy;
+    if (!spec.sortFields.includes(sortBy))
+      errors.push(`sortBy must be one of ${spec.sortFields.join(", ")}`);
+
+    sortOrder =
+      query.sortOrder === undefined
+        ? spec.defaultSortOrder || "asc"
+        : query.sortOrder;
+    if (!["asc", "desc"].includes(sortOrder))
+      errors.push("sortOrder must be asc or desc");
+  }
+
+  for (const [name, definition] of Object.entries(filterSpecs)) {
+    if (query[name] === undefined) continue;
+    const { value, error } = parseFilterValue(name, query[name], definition);
+    if (error) errors.push(error);
+    else filters[name] = value;
+  }
+
+  for (const [min, max] of spec.ranges || []) {
+    if (
+      filters[min] !== undefined &&
+      filters[max] !== undefined &&
+      filters[min] > filters[max]
+    )
+      errors.push(`${min} must not be greater than ${max}`);
+  }
+
+  return {
+    page,
+    limit,
+    skip: (page - 1) * limit,
+    sortBy,
+    sortOrder,
+    filters,
+    errors,
+  };
+};
+
+/**
+ * Prisma range condition from optional bounds, or undefined without bounds.
+ * @param {number|Date|undefined} min
+ * @param {number|Date|undefined} max
+ * @returns {{ gte?: any, lte?: any }|undefined}
+ */
+const rangeFilter = (min, max) =>
+  min === undefined && max === undefined
+    ? undefined
+    : {
+        ...(min !== undefined && { gte: min }),
+        ...(max !== undefined && { lte: max }),
+      };
+
+module.exports = {
+  parseListQuery,
+  rangeFilter,
+};
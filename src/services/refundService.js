@@ -0,0 +1,227 @@
+const { PrismaClient, Prisma } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { getProvider } = require("./payments");
+
+// Refunds that count against the paid amount
+const ACTIVE_REFUND_STATUSES = ["PENDING", "COMPLETED"];
+
+// Payment statuses that follow the refunds of a settled payment
+const SETTLED_PAYMENT_STATUSES = [
+  "COMPLETED",
+  "PARTIALLY_REFUNDED",
+  "REFUNDED",
+];
+
+// Times a refund is sent before it is left to be handled by hand
+const MAX_REFUND_ATTEMPTS = parseInt(
+  process.env.MAX_REFUND_ATTEMPTS || "3",
+  10
+);
+
+/**
+ * Total already refunded (or being refunded) on a payment.
+ * @param {string} paymentId
+ * @param {object} [client] - Prisma client or transaction
+ * @returns {Promise<Prisma.Decimal>}
+ */
+const getRefundedAmount = async (paymentId, client = prisma) => {
+  const result = await client.refund.aggregate({
+    where: { paymentId, status: { in: ACTIVE_REFUND_STATUSES } },
+    _sum: { amount: true },
+  });
+  return result._sum.amount || new Prisma.Decimal(0);
+};
+
+/**
+ * Computes how much of a payment is refunded for a given refund percentage,
+ * never exceeding what has not been refunded yet.
+ * @param {object} payment
+ * @param {number} refundPercent - 0 to 100
+ * @returns {Promise<Prisma.Decimal>}
+ */
+const calculateRefundAmount = async (payment, refundPercent) => {
+  const refunded = await getRefundedAmount(payment.id);
+  const remaining = payment.amount.sub(refunded);
+  const amount = payment.amount
+    .mul(refundPercent)
+    .div(100)
+    .toDecimalPlaces(2, Prisma.Decimal.ROUND_DOWN);
+  return Prisma.Decimal.min(amount, remaining);
+};
+
+/**
+ * Sets Payment.status from the refunds that succeeded or are in flight:
+ * REFUNDED, PARTIALLY_REFUNDED, or back to COMPLETED when a refund failed
+ * and nothing else was returned.
+ * @param {object} payment
+ * @param {object} [client] - Prisma client or transaction
+ */
+const syncPaymentRefundStatus = async (payment, client = prisma) => {
+  const refunded = await getRefundedAmount(payment.id, client);
+  let status = "COMPLETED";
+  if (refunded.gte(payment.amount)) status = "REFUNDED";
+  else if (refunded.gt(0)) status = "PARTIALLY_REFUNDED";
+
+  await client.payment.updateMany({
+    where: { id: payment.id, status: { in: SETTLED_PAYMENT_STATUSES } },
+    data: { status },
+  });
+};
+
+/**
+ * Records a PENDING refund against a payment. Create it in the transaction
+ * that decides the refund (e.g. cancels the booking) so it cannot be lost,
+ * then send it with processRefund once that transaction commits.
+ * @param {{ payment: object, amount: Prisma.Decimal, reason?: string, initiatedById?: string, retryOf?: object }} params
+ *   retryOf is the FAILED refund this one sends again
+ * @param {object} [client] - Prisma client or transaction
+ * @returns {Promise<object>} - The Refund row
+ */
+const createRefund = async (
+  { payment, amount, reason, initiatedById, retryOf },
+  client = prisma
+) => {
+  const refund = await client.refund.create({
+    data: {
+      payment: { connect: { id: payment.id } },
+      amount,
+      reason: reason || null,
+      initiatedById: initiatedById || null,
+      ...(retryOf && {
+        retryOf: { connect: { id: retryOf.id } },
+        attempt: retryOf.attempt + 1,
+      }),
+    },
+  });
+
+  await syncPaymentRefundStatus(payment, client);
+  return refund;
+};
+
+/**
+ * Asks the payment's provider to return the money of a PENDING refund.
+ * Never throws: when the provider is unavailable or errors, the refund stays
+ * PENDING and retryPendingRefunds sends it again later. Providers receive the
+ * refund ID as idempotency key, so a retry cannot refund twice.
+ * @param {object} refund
+ * @param {object} payment
+ * @returns {Promise<object>} - The up to date Refund row
+ */
+const processRefund = async (refund, payment) => {
+  const provider = getProvider(payment.method);
+  if (!provider || !provider.refund) return refund;
+
+  try {
+    const result = await provider.refund({
+      payment,
+      refundId: refund.id,
+      amount: refund.amount,
+    });
+
+    const updated = await prisma.refund.update({
+      where: { id: refund.id },
+      data: {
+        status: result.status,
+        providerRefundId: result.providerRefundId,
+      },
+    });
+    if (updated.status === "FAILED") {
+      console.error(
+        `Refund ${refund.id} of payment ${payment.id} failed (attempt ${refund.attempt})`
+      );
+    }
+    await syncPaymentRefundStatus(payment);
+    return updated;
+  } catch (error) {
+    console.error(`Error refunding payment ${payment.id}:`, error);
+    return refund;
+  }
+};
+
+/**
+ * Sends again the refunds that never reached their provider.
+ * @returns {Promise<{ sent: number, pending: number }>}
+ */
+const retryPendingRefunds = async () => {
+  const refunds = await prisma.refund.findMany({
+    where: { status: "PENDING", providerRefundId: null },
+    include: { payment: true },
+    orderBy: { createdAt: "asc" },
+  });
+
+  const counts = { sent: 0, pending: 0 };
+  for (const { payment, ...refund } of refunds) {
+    const updated = await processRefund(refund, payment);
+    if (updated.status === "PENDING" && !updated.providerRefundId) {
+      counts.pending++;
+    } else {
+      counts.sent++;
+    }
+  }
+  return counts;
+};
+
+/**
+ * Sends again, as a new refund, the FAILED refunds that were not retried
+ * yet. The provider keeps the outcome of a refund ID, so a retry needs its
+ * own row. Refunds that failed MAX_REFUND_ATTEMPTS times are returned for
+ * someone to look into instead.
+ * @returns {Promise<{ retried: number, exhausted: object[] }>}
+ */
+const retryFailedRefunds = async () => {
+  const refunds = await prisma.refund.findMany({
+    where: { status: "FAILED", retry: null },
+    include: { payment: true },
+    orderBy: { createdAt: "asc" },
+  });
+
+  const result = { retried: 0, exhausted: [] };
+  for (const { payment, ...failed } of refunds) {
+    if (failed.attempt >= MAX_REFUND_ATTEMPTS) {
+      result.exhausted.push(failed);
+      continue;
+    }
+
+    let retry;
+    try {
+      retry = await prisma.$transaction(async (tx) => {
+        // Never return more than what is left of the payment
+        const refunded = await getRefundedAmount(payment.id, tx);
+        const amount = Prisma.Decimal.min(
+          failed.amount,
+          payment.amount.sub(refunded)
+        );
+        if (amount.lte(0)) return null;
+        return createRefund(
+          {
+            payment,
+            amount,
+            reason: failed.reason,
+            initiatedById: failed.initiatedById,
+            retryOf: failed,
+          },
+          tx
+        );
+      });
+    } catch (error) {
+      // Another run retried it first
+      if (error.code === "P2002") continue;
+      throw error;
+    }
+
+    if (retry) {
+      await processRefund(retry, payment);
+      result.retried++;
+    }
+  }
+  return result;
+};
+
+module.exports = {
+  getRefundedAmount,
+  calculateRefundAmount,
+  createRefund,
+  processRefund,
+  retryPendingRefunds,
+  retryFailedRefunds,
+};
@@ -0,0 +1,171 @@
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long after posting a tourist may still edit or delete a review
+const REVIEW_EDIT_WINDOW_DAYS = parseInt(
+  process.env.REVIEW_EDIT_WINDOW_DAYS || "14",
+  10
+);
+
+/**
+ * Validates the rating and comment of a review.
+ * @param {{ rating?: any, comment?: any }} input - req.body
+ * @param {boolean} [partial=false] - Allow omitted fields (updates)
+ * @returns {{ data: { rating?: number, comment?: string|null }, errors: string[] }}
+ */
+const parseReviewInput = (input, partial = false) => {
+  const errors = [];
+  const data = {};
+
+  if (input.rating !== undefined || !partial) {
+    const rating = Number(input.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      errors.push("Rating must be a whole number from 1 to 5");
+    } else {
+      data.rating = rating;
+    }
+  }
+
+  if (input.comment !== undefined) {
+    if (input.comment !== null && typeof input.comment !== "string") {
+      errors.push("Comment must be a string");
+    } else {
+      data.comment =
+        input.comment && input.comment.trim() ? input.comment.trim() : null;
+    }
+  }
+
+  return { data, errors };
+};
+
+/**
+ * Whether a review can still be edited or deleted by its author.
+ * @param {{ createdAt: Date }} review
+ * @param {Date} [now=new Date()]
+ * @returns {boolean}
+ */
+const isWithinEditWindow = (review, now = new Date()) =>
+  now.getTime() - review.createdAt.getTime() <=
+  REVIEW_EDIT_WINDOW_DAYS * DAY_MS;
+
+/**
+ * Recomputes TouristGuide.rating and numberOfReviews from the reviews left on
+ * the guide's bookings. Call it whenever one of those reviews changes.
+ * @param {string|null} guideId
+ * @param {object} [client] - Prisma client or transaction
+ */
+const refreshGuideRating = async (guideId, client = prisma) => {
+  if (!guideId) return;
+
+  const result = await client.review.aggregate({
+    where: { booking: { guideId } },
+    _avg: { rating: true },
+    _count: { _all: true },
+  });
+
+  await client.touristGuide.update({
+    where: { id: guideId },
+    data: {
+      rating: Math.round((result._avg.rating || 0) * 100) / 100,
+      numberOfReviews: result._count._all,
+    },
+  });
+};
+
+// Booking fields needed to refresh the ratings a review counts towards
+const ratedBookingSelect = {
+  guideId: true,
+  event: { select: { touristicSiteId: true } },
+  hireRequest: { select: { touristicSiteId: true } },
+};
+
+/**
+ * Review filter for a touristic site: reviews of its events' bookings and of
+ * private tours of it.
+ * @param {string} siteId
+ * @returns {object} - Review where clause
+ */
+const siteReviewsFilter = (siteId) => ({
+  booking: {
+    OR: [
+      { event: { touristicSiteId: siteId } },
+      { hireRequest: { touristicSiteId: siteId } },
+    ],
+  },
+});
+
+/**
+ * Recomputes TouristicSite.rating and numberOfReviews from the site's reviews.
+ * @param {string|null} siteId
+ * @param {object} [client] - Prisma client or transaction
+ */
+const refreshSiteRating = async (siteId, client = prisma) => {
+  if (!siteId) return;
+
+  const result = await client.review.aggregate({
+    where: siteReviewsFilter(siteId),
+    _avg: { rating: true },
+    _count: { _all: true },
+  });
+
+  await client.touristicSite.update({
+    where: { id: siteId },
+    data: {
+      rating: Math.round((result._avg.rating || 0) * 100) / 100,
+      numberOfReviews: result._count._all,
+    },
+  });
+};
+
+/**
+ * Refreshes the guide and site ratings a booking's review counts towards.
+ * @param {object} booking - Selected with ratedBookingSelect
+ * @param {object} [client] - Prisma client or transaction
+ */
+const refreshBookingRatings = async (booking, client = prisma) => {
+  const visit = booking.event || booking.hireRequest;
+  await refreshGuideRating(booking.guideId, client);
+  await refreshSiteRating(visit ? visit.touristicSiteId : null, client);
+};
+
+/**
+ * Average rating, count and per-star distribution of the reviews matching a filter.
+ * @param {object} where - Review where clause
+ * @returns {Promise<{ averageRating: number, numberOfReviews: number, distribution: Object<number, number> }>}
+ */
+const getRatingSummary = async (where) => {
+  const rows = await prisma.review.groupBy({
+    by: ["rating"],
+    where,
+    _count: { _all: true },
+  });
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let total = 0;
+  let count = 0;
+  for (const row of rows) {
+    distribution[row.rating] = row._count._all;
+    total += row.rating * row._count._all;
+    count += row._count._all;
+  }
+
+  return {
+    averageRating: count > 0 ? Math.round((total / count) * 100) / 100 : 0,
+    numberOfReviews: count,
+    distribution,
+  };
+};
+
+module.exports = {
+  REVIEW_EDIT_WINDOW_DAYS,
+  parseReviewInput,
+  isWithinEditWindow,
+  ratedBookingSelect,
+  siteReviewsFilter,
+  refreshGuideRating,
+  refreshSiteRating,
+  refreshBookingRatings,
+  getRatingSummary,
+};
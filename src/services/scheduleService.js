@@ -0,0 +1,216 @@
+const {
+  isValidTimeZone,
+  isValidDateString,
+  isValidTimeString,
+  zonedTimeToUtc,
+  addDays,
+} = require("./timeZoneService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far ahead "upcoming" occurrences are looked up by default
+const UPCOMING_WINDOW_DAYS = 180;
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Validates schedule definitions sent by the client and converts them to
+ * EventSchedule create data.
+ *
+ * Accepted shapes (as an array, or a JSON string of one for multipart forms):
+ *   { type: "ONE_OFF", date: "2026-11-03", startTime: "09:00", timeZone? }
+ *   { type: "WEEKLY", startDate: "2026-11-01", endDate?: "2027-03-01",
+ *     daysOfWeek: [2, 6], startTime: "09:00", exceptions?: ["2026-12-22"], timeZone? }
+ *
+ * @param {string|Array} input
+ * @returns {{ schedules: Array<object>, errors: string[] }}
+ */
+const parseSchedules = (input) => {
+  let list = input;
+  if (typeof input === "string") {
+    try {
+      list = JSON.parse(input);
+    } catch (error) {
+      return { schedules: [], errors: ["Schedules must be valid JSON"] };
+    }
+  }
+
+  if (!Array.isArray(list)) {
+    return { schedules: [], errors: ["Schedules must be an array"] };
+  }
+
+  const schedules = [];
+  const errors = [];
+
+  list.forEach((item, index) => {
+    const label = `Schedule ${index + 1}`;
+    if (!item || typeof item !== "object") {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    const timeZone = item.timeZone || "UTC";
+    if (!isValidTimeZone(timeZone))
+      errors.push(`${label}: unknown time zone "${item.timeZone}"`);
+    if (!isValidTimeString(item.startTime))
+      errors.push(`${label}: startTime must be in HH:mm format`);
+
+    if (item.type === "ONE_OFF") {
+      if (!isValidDateString(item.date)) {
+        errors.push(`${label}: date must be in YYYY-MM-DD format`);
+        return;
+      }
+      schedules.push({
+        type: "ONE_OFF",
+        startDate: new Date(`${item.date}T00:00:00Z`),
+        startTime: item.startTime,
+        timeZone,
+      });
+      return;
+    }
+
+    if (item.type === "WEEKLY") {
+      const daysOfWeek = Array.isArray(item.daysOfWeek)
+        ? [...new Set(item.daysOfWeek.map(Number))]
+        : [];
+      const exceptions = Array.isArray(item.exceptions) ? item.exceptions : [];
+
+      if (!isValidDateString(item.startDate))
+        errors.push(`${label}: startDate must be in YYYY-MM-DD format`);
+      if (item.endDate && !isValidDateString(item.endDate))
+        errors.push(`${label}: endDate must be in YYYY-MM-DD format`);
+      if (
+        isValidDateString(item.startDate) &&
+        isValidDateString(item.endDate) &&
+        item.endDate < item.startDate
+      )
+        errors.push(`${label}: endDate must not be before startDate`);
+      if (
+        daysOfWeek.length === 0 ||
+        daysOfWeek.some((d) => !Number.isInteger(d) || d < 0 || d > 6)
+      )
+        errors.push(
+          `${label}: daysOfWeek must list weekdays from 0 (Sunday) to 6 (Saturday)`
+        );
+      if (exceptions.some((d) => !isValidDateString(d)))
+        errors.push(`${label}: exceptions must be dates in YYYY-MM-DD format`);
+
+      schedules.push({
+        type: "WEEKLY",
+        startDate: new Date(`${item.startDate}T00:00:00Z`),
+        endDate: item.endDate ? new Date(`${item.endDate}T00:00:00Z`) : null,
+        startTime: item.startTime,
+        timeZone,
+        daysOfWeek: daysOfWeek.sort((a, b) => a - b),
+        exceptions,
+      });
+      return;
+    }
+
+    errors.push(`${label}: type must be ONE_OFF or WEEKLY`);
+  });
+
+  return { schedules, errors };
+};
+
+/**
+ * Expands schedules into the occurrence start times between from and to (inclusive).
+ * Callers are expected to bound the range, every day in it is visited.
+ * @param {Array<object>} schedules - EventSchedule rows
+ * @param {Date} from
+ * @param {Date} to
+ * @param {number} [limit] - Maximum number of occurrences to return
+ * @returns {Date[]} - Sorted, de-duplicated occurrence start times
+ */
+const expandOccurrences = (schedules, from, to, limit = Infinity) => {
+  const occurrences = new Map();
+  const add = (date) => {
+    if (date >= from && date <= to) occurrences.set(date.getTime(), date);
+  };
+
+  // One day of margin either side covers time zones ahead of or behind UTC
+  const rangeFirstDay = addDays(toDateString(from), -1);
+  const rangeLastDay = addDays(toDateString(to), 1);
+
+  for (const schedule of schedules || []) {
+    const startDay = toDateString(schedule.startDate);
+
+    if (schedule.type === "ONE_OFF") {
+      add(zonedTimeToUtc(startDay, schedule.startTime, schedule.timeZone));
+      continue;
+    }
+
+    const daysOfWeek = schedule.daysOfWeek || [];
+    const exceptions = new Set(schedule.exceptions || []);
+    const endDay = schedule.endDate ? toDateString(schedule.endDate) : null;
+
+    let day = startDay > rangeFirstDay ? startDay : rangeFirstDay;
+    const lastDay = endDay && endDay < rangeLastDay ? endDay : rangeLastDay;
+
+    for (; day <= lastDay; day = addDays(day, 1)) {
+      const dayOfWeek = new Date(`${day}T00:00:00Z`).getUTCDay();
+      if (!daysOfWeek.includes(dayOfWeek) || exceptions.has(day)) continue;
+      add(zonedTimeToUtc(day, schedule.startTime, schedule.timeZone));
+    }
+  }
+
+  return [...occurrences.values()].sort((a, b) => a - b).slice(0, limit);
+};
+
+/**
+ * Returns the next occurrences of an event's schedules.
+ * @param {Array<object>} schedules
+ * @param {{ from?: Date, to?: Date, limit?: number }} [options]
+ * @returns {Date[]}
+ */
+const getUpcomingOccurrences = (schedules, options = {}) => {
+  const from = options.from || new Date();
+  const to =
+    options.to || new Date(from.getTime() + UPCOMING_WINDOW_DAYS * DAY_MS);
+  return expandOccurrences(schedules, from, to, options.limit || 10);
+};
+
+/**
+ * Checks whether a date is exactly one of the scheduled occurrences.
+ * @param {Array<object>} schedules
+ * @param {Date} date
+ * @returns {boolean}
+ */
+const isScheduledOccurrence = (schedules, date) =>
+  expandOccurrences(schedules, date, date).length > 0;
+
+/**
+ * Prisma filter narrowing events to those whose schedules may produce an
+ * occurrence between from and to. Exact matching is done with expandOccurrences.
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {object} - Event where clause
+ */
+const scheduleRangeFilter = (from, to) => {
+  const firstDay = new Date(from.getTime() - DAY_MS);
+  const lastDay = new Date(to.getTime() + DAY_MS);
+
+  return {
+    schedules: {
+      some: {
+        OR: [
+          { type: "ONE_OFF", startDate: { gte: firstDay, lte: lastDay } },
+          {
+            type: "WEEKLY",
+            startDate: { lte: lastDay },
+            OR: [{ endDate: null }, { endDate: { gte: firstDay } }],
+          },
+        ],
+      },
+    },
+  };
+};
+
+module.exports = {
+  UPCOMING_WINDOW_DAYS,
+  parseSchedules,
+  expandOccurrences,
+  getUpcomingOccurrences,
+  isScheduledOccurrence,
+  scheduleRangeFilter,
+};
@@ -0,0 +1,208 @@
+const { PrismaClient, Prisma } = require("@prisma/client");
+const prisma = new PrismaClient();
+
+// Most matches ranked per search; facets and pages are computed from these
+const MAX_SEARCH_RESULTS = 1000;
+
+// Terms used from the query, longer queries are truncated
+const MAX_SEARCH_TERMS = 10;
+
+// Characters of context kept either side of the first match in snippets
+const SNIPPET_RADIUS = 80;
+
+const TERM_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Splits a search query into lowercase words.
+ * @param {string} query
+ * @returns {string[]}
+ */
+const tokenize = (query) =>
+  [
+    ...new Set(
+      String(query || "")
+        .toLowerCase()
+        .match(TERM_PATTERN) || []
+    ),
+  ].slice(0, MAX_SEARCH_TERMS);
+
+/**
+ * Builds a MySQL BOOLEAN MODE query from words: any word may match, and each
+ * is a prefix so "museu" finds "museum". Operators typed by users are dropped
+ * by tokenize, so the result is always a valid expression.
+ * @param {string[]} terms
+ * @returns {string}
+ */
+const toBooleanQuery = (terms) => terms.map((term) => `${term}*`).join(" ");
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const termsRegex = (terms, flags) =>
+  new RegExp(
+    `(?<![\\p{L}\\p{N}])(${terms.join("|")})[\\p{L}\\p{N}]*`,
+    `iu${flags || ""}`
+  );
+
+/**
+ * Wraps the words starting with one of the terms in <mark> tags.
+ * The text is HTML-escaped first so the result is safe to render.
+ * @param {string} text
+ * @param {string[]} terms
+ * @returns {string}
+ */
+const highlight = (text, terms) => {
+  const escaped = escapeHtml(text || "");
+  if (terms.length === 0) return escaped;
+  return escaped.replace(termsRegex(terms, "g"), "<mark>$&</mark>");
+};
+
+/**
+ * Excerpt of a long text around its first match, highlighted.
+ * @param {string} text
+ * @param {string[]} terms
+ * @returns {string}
+ */
+const buildSnippet = (text, terms) => {
+  const value = text || "";
+  const match = terms.length > 0 ? termsRegex(terms).exec(value) : null;
+  const index = match ? match.index : 0;
+
+  const start = Math.max(index - SNIPPET_RADIUS, 0);
+  const end = Math.min(index + SNIPPET_RADIUS * 2, value.length);
+  const excerpt =
+    (start > 0 ? "…" : "") +
+    value.slice(start, end) +
+    (end < value.length ? "…" : "");
+
+  return highlight(excerpt, terms);
+};
+
+// Rating of a site as kept by reviewService, null until it has reviews, or
+// the average review rating of one event
+const siteRatingSql = Prisma.sql`(CASE WHEN s.numberOfReviews > 0 THEN s.rating END)`;
+const eventRatingSql = Prisma.sql`(SELECT AVG(r.rating) FROM \`Review\` r
+  JOIN \`Booking\` b ON b.id = r.bookingId
+  WHERE b.eventId = e.id)`;
+
+const toNumber = (value) => (value === null ? null : Number(value));
+
+/**
+ * Runs the ranked full-text query for one kind of result.
+ * @param {"site"|"event"} type
+ * @param {{ terms: string[], category?: string, location?: string, minPrice?: number, maxPrice?: number, minRating?: number }} filters
+ * @returns {Promise<Array<{ type: string, id: string, category: string|null, location: string, price: number|null, rating: number|null, score: number }>>}
+ */
+const findMatches = async (type, filters) => {
+  const isSite = type === "site";
+  const site = isSite ? Prisma.sql`s` : Prisma.sql`ts`;
+  const textColumns = isSite
+    ? Prisma.sql`s.name, s.description`
+    : Prisma.sql`e.title, e.description`;
+  const price = isSite ? Prisma.sql`s.entryFee` : Prisma.sql`e.price`;
+
+  // Only published listings are searchable, events also need a published site
+  const conditions = [Prisma.sql`${site}.status = 'PUBLISHED'`];
+  if (!isSite) conditions.push(Prisma.sql`e.status = 'PUBLISHED'`);
+  let score = Prisma.sql`0`;
+  if (filters.terms.length > 0) {
+    const against = toBooleanQuery(filters.terms);
+    score = Prisma.sql`MATCH(${textColumns}) AGAINST (${against} IN BOOLEAN MODE)`;
+    conditions.push(score);
+  }
+  if (filters.category)
+    conditions.push(Prisma.sql`${site}.category = ${filters.category}`);
+  if (filters.location)
+    conditions.push(
+      Prisma.sql`${site}.location LIKE ${`%${filters.location}%`}`
+    );
+  if (filters.minPrice !== undefined)
+    conditions.push(Prisma.sql`${price} >= ${filters.minPrice}`);
+  if (filters.maxPrice !== undefined)
+    conditions.push(Prisma.sql`${price} <= ${filters.maxPrice}`);
+
+  const where =
+    conditions.length > 0
+      ? Prisma.sql`WHERE ${Prisma.join(conditions, " AND ")}`
+      : Prisma.empty;
+  const having =
+    filters.minRating !== undefined
+      ? Prisma.sql`HAVING rating >= ${filters.minRating}`
+      : Prisma.empty;
+
+  const rows = isSite
+    ? await prisma.$queryRaw`
+        SELECT s.id, s.category, s.location, s.entryFee AS price,
+          ${siteRatingSql} AS rating, ${score} AS score, s.name AS label
+        FROM \`TouristicSite\` s
+        ${where} ${having}
+        ORDER BY score DESC, label ASC
+        LIMIT ${MAX_SEARCH_RESULTS}`
+    : await prisma.$queryRaw`
+        SELECT e.id, ts.category, ts.location, e.price,
+          ${eventRatingSql} AS rating, ${score} AS score, e.title AS label
+        FROM \`Event\` e
+        JOIN \`TouristicSite\` ts ON ts.id = e.touristicSiteId
+        ${where} ${having}
+        ORDER BY score DESC, label ASC
+        LIMIT ${MAX_SEARCH_RESULTS}`;
+
+  return rows.map((row) => ({
+    type,
+    id: row.id,
+    category: row.category,
+    location: row.location,
+    price: toNumber(row.price),
+    rating: toNumber(row.rating),
+    score: Number(row.score),
+  }));
+};
+
+/**
+ * Counts matches per category and location, with the price range and how many
+ * are rated at least 1 to 4 stars.
+ * @param {Array<object>} matches - Result of findMatches
+ * @returns {object}
+ */
+const buildFacets = (matches) => {
+  const count = (key) => {
+    const counts = {};
+    for (const match of matches) {
+      if (match[key]) counts[match[key]] = (counts[match[key]] || 0) + 1;
+    }
+    return Object.entries(counts)
+      .map(([value, total]) => ({ value, count: total }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+  };
+
+  const prices = matches
+    .map((match) => match.price)
+    .filter((price) => price !== null);
+
+  return {
+    type: count("type"),
+    category: count("category"),
+    location: count("location"),
+    price: {
+      min: prices.length > 0 ? Math.min(...prices) : null,
+      max: prices.length > 0 ? Math.max(...prices) : null,
+    },
+    rating: [4, 3, 2, 1].map((stars) => ({
+      value: stars,
+      count: matches.filter((match) => match.rating >= stars).length,
+    })),
+  };
+};
+
+module.exports = {
+  MAX_SEARCH_RESULTS,
+  tokenize,
+  highlight,
+  buildSnippet,
+  findMatches,
+  buildFacets,
+};
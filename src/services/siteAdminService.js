@@ -0,0 +1,125 @@
+const crypto = require("crypto");
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+const { hashToken } = require("./tokenService");
+const { sendMail } = require("./mailService");
+
+const SITE_ADMIN_ROLES = ["OWNER", "EDITOR"];
+
+// How long an invitation link stays valid
+const INVITATION_TTL_DAYS = parseInt(
+  process.env.SITE_INVITATION_TTL_DAYS || "7",
+  10
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Page of the frontend that accepts invitations, the token is appended
+const INVITATION_URL =
+  process.env.SITE_INVITATION_URL ||
+  `${process.env.APP_URL || "http://localhost:3000"}/invitations/accept`;
+
+/**
+ * Number of owners of a site.
+ * @param {string} siteId
+ * @param {object} [client] - Prisma client or transaction
+ * @returns {Promise<number>}
+ */
+const countOwners = (siteId, client = prisma) =>
+  client.siteAdminMembership.count({ where: { siteId, role: "OWNER" } });
+
+/**
+ * Locks the owner memberships of a site until the surrounding transaction
+ * commits and counts them, so two owners cannot both step down at once.
+ * @param {object} tx - Prisma interactive transaction client
+ * @param {string} siteId
+ * @returns {Promise<number>}
+ */
+const lockOwners = async (tx, siteId) => {
+  const owners = await tx.$queryRaw`SELECT id FROM \`SiteAdminMembership\`
+    WHERE siteId = ${siteId} AND role = 'OWNER' FOR UPDATE`;
+  return owners.length;
+};
+
+/**
+ * Creates an invitation to administer a site, replacing any pending one for
+ * the same email, and emails its link. Only the token hash is stored, the
+ * link in the email is the only copy of the token.
+ * @param {{ site: { id: string, name: string }, email: string, role: string, invitedBy: { siteAdminId: string|null, name: string } }} params - invitedBy is req.user
+ * @returns {Promise<object>} - The invitation
+ */
+const createInvitation = async ({ site, email, role, invitedBy }) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  const now = new Date();
+
+  const invitation = await prisma.$transaction(async (tx) => {
+    await tx.siteAdminInvitation.updateMany({
+      where: { siteId: site.id, email, acceptedAt: null, revokedAt: null },
+      data: { revokedAt: now },
+    });
+    return tx.siteAdminInvitation.create({
+      data: {
+        site: { connect: { id: site.id } },
+        email,
+        role,
+        tokenHash: hashToken(token),
+        ...(invitedBy.siteAdminId && {
+          invitedBy: { connect: { id: invitedBy.siteAdminId } },
+        }),
+        expiresAt: new Date(now.getTime() + INVITATION_TTL_DAYS * DAY_MS),
+      },
+    });
+  });
+
+  const link = `${INVITATION_URL}?token=${token}`;
+  try {
+    await sendMail({
+      to: email,
+      subject: `You are invited to manage ${site.name}`,
+      text:
+        `${invitedBy.name} invited you to manage ${
+          site.name
+        } as ${role.toLowerCase()}.\n\n` +
+        `Accept the invitation within ${INVITATION_TTL_DAYS} days: ${link}\n`,
+    });
+  } catch (error) {
+    // An invitation nobody received cannot be accepted, drop it
+    await prisma.siteAdminInvitation.delete({ where: { id: invitation.id } });
+    throw error;
+  }
+
+  return invitation;
+};
+
+/**
+ * Finds the invitation a raw token belongs to.
+ * @param {string} token
+ * @returns {Promise<object|null>} - The invitation with its site
+ */
+const findInvitationByToken = (token) =>
+  prisma.siteAdminInvitation.findUnique({
+    where: { tokenHash: hashToken(String(token)) },
+    include: { site: { select: { id: true, name: true } } },
+  });
+
+/**
+ * Why an invitation can no longer be accepted, or null if it can.
+ * @param {{ acceptedAt: Date|null, revokedAt: Date|null, expiresAt: Date }} invitation
+ * @param {Date} [now=new Date()]
+ * @returns {string|null}
+ */
+const getInvitationProblem = (invitation, now = new Date()) => {
+  if (invitation.acceptedAt) return "This invitation has already been accepted";
+  if (invitation.revokedAt) return "This invitation has been revoked";
+  if (invitation.expiresAt <= now) return "This invitation has expired";
+  return null;
+};
+
+module.exports = {
+  SITE_ADMIN_ROLES,
+  countOwners,
+  lockOwners,
+  createInvitation,
+  findInvitationByToken,
+  getInvitationProblem,
+};
@@ -0,0 +1,44 @@
+// Storage drivers for uploaded files, selected by STORAGE_DRIVER ("local", the
+// default, or "s3"). Every driver implements:
+//   name                              - value of STORAGE_DRIVER
+//   put(key, body, { contentType, visibility }) - stores a Buffer, resolves to
+//                                       its public URL (null for private files)
+//   get(key, { visibility })          - resolves to a Buffer, or null when missing
+//   remove(key, { visibility })       - deletes a file, missing files are ignored
+//   getUrl(key)                       - public URL of a public file
+//   keyFromUrl(url)                   - key of a public file from its URL, or
+//                                       null for URLs the driver did not issue
+//   getSignedUrl(key, expiresInSeconds) - temporary URL of a private file
+//   publicRoot, serveSignedFile       - local directory and /files handler to
+//                                       mount in app.js, null when the files
+//                                       are served by the storage itself
+// Keys are relative paths such as "events/<name>.jpg"; visibility is "public"
+// (default) or "private".
+const drivers = {
+  local: require("./localStorage"),
+  s3: require("./s3Storage"),
+};
+
+/**
+ * Returns a driver by name.
+ * @param {string} name
+ * @returns {object}
+ */
+const getDriver = (name) => {
+  if (!drivers[name]) {
+    throw new Error(
+      `Unknown storage driver ${name}, use one of ${Object.keys(drivers).join(
+        ", "
+      )}`
+    );
+  }
+  return drivers[name];
+};
+
+/**
+ * The driver configured for this environment.
+ * @returns {object}
+ */
+const getStorage = () => getDriver(process.env.STORAGE_DRIVER || "local");
+
+module.exports = { getDriver, getStorage };
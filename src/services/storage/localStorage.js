@@ -0,0 +1,132 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const {
+  isValidKey,
+  assertValidKey,
+  DEFAULT_SIGNED_URL_SECONDS,
+} = require("./objectKey");
+
+// Files on the local disk. Public files live under LOCAL_STORAGE_ROOT (default
+// uploads/) and are served at /uploads by app.js; private files live under
+// LOCAL_PRIVATE_STORAGE_ROOT (default storage/private/) and are only served
+// at /files through URLs signed with STORAGE_SIGNING_SECRET. Without it, outside
+// production, a random secret is made per process: links then stop working
+// when the server restarts.
+// Only suitable for a single instance, see s3Storage.js otherwise.
+const PROJECT_ROOT = path.join(__dirname, "..", "..", "..");
+const PUBLIC_URL_PREFIX = "/uploads";
+const SIGNED_URL_PREFIX = "/files";
+
+const publicRoot = path.resolve(
+  process.env.LOCAL_STORAGE_ROOT || path.join(PROJECT_ROOT, "uploads")
+);
+const privateRoot = path.resolve(
+  process.env.LOCAL_PRIVATE_STORAGE_ROOT ||
+    path.join(PROJECT_ROOT, "storage", "private")
+);
+
+// Secret of this process when STORAGE_SIGNING_SECRET is not set
+let generatedSecret = null;
+
+const signingSecret = () => {
+  if (process.env.STORAGE_SIGNING_SECRET)
+    return process.env.STORAGE_SIGNING_SECRET;
+  if (process.env.NODE_ENV === "production")
+    throw new Error("STORAGE_SIGNING_SECRET is required in production");
+  if (!generatedSecret) {
+    generatedSecret = crypto.randomBytes(32).toString("hex");
+    console.warn(
+      "STORAGE_SIGNING_SECRET is not set, signed file links last until the server restarts"
+    );
+  }
+  return generatedSecret;
+};
+
+const sign = (key, expires) =>
+  crypto
+    .createHmac("sha256", signingSecret())
+    .update(`${key}:${expires}`)
+    .digest("hex");
+
+const filePath = (key, visibility = "public") =>
+  path.join(
+    visibility === "private" ? privateRoot : publicRoot,
+    assertValidKey(key)
+  );
+
+module.exports = {
+  name: "local",
+
+  publicRoot,
+
+  put: async (key, body, { visibility } = {}) => {
+    const target = filePath(key, visibility);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(target, body);
+    return visibility === "private" ? null : `${PUBLIC_URL_PREFIX}/${key}`;
+  },
+
+  get: async (key, { visibility } = {}) => {
+    try {
+      return await fs.promises.readFile(filePath(key, visibility));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  },
+
+  remove: async (key, { visibility } = {}) => {
+    try {
+      await fs.promises.unlink(filePath(key, visibility));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  },
+
+  getUrl: (key) => `${PUBLIC_URL_PREFIX}/${assertValidKey(key)}`,
+
+  keyFromUrl: (url) => {
+    const prefix = `${PUBLIC_URL_PREFIX}/`;
+    if (typeof url !== "string" || !url.startsWith(prefix)) return null;
+    const key = url.slice(prefix.length);
+    return isValidKey(key) ? key : null;
+  },
+
+  getSignedUrl: async (key, expiresInSeconds = DEFAULT_SIGNED_URL_SECONDS) => {
+    const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+    return `${SIGNED_URL_PREFIX}/${assertValidKey(
+      key
+    )}?expires=${expires}&signature=${sign(key, expires)}`;
+  },
+
+  /**
+   * Express handler serving a private file at /files/<key> when the URL
+   * signature is valid and not expired.
+   */
+  serveSignedFile: (req, res) => {
+    const key = req.params[0];
+    const expires = parseInt(req.query.expires, 10);
+    const signature = String(req.query.signature || "");
+
+    const expected = isValidKey(key) && expires ? sign(key, expires) : "";
+    const isValid =
+      expected.length > 0 &&
+      expected.length === signature.length &&
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature)) &&
+      expires >= Math.floor(Date.now() / 1000);
+
+    if (!isValid) {
+      return res.status(403).json({
+        status: false,
+        message: "This link is invalid or has expired",
+      });
+    }
+
+    res.sendFile(filePath(key, "private"), (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ status: false, message: "File not found" });
+      }
+    });
+  },
+};
@@ -0,0 +1,25 @@
+// Object keys are relative paths like "events/eventImages_..._full.jpg"
+const KEY_PATTERN =
+  /^[A-Za-z0-9_-][A-Za-z0-9_.-]*(\/[A-Za-z0-9_-][A-Za-z0-9_.-]*)*$/;
+
+/**
+ * Whether a key is a safe relative path, without "..", empty or hidden segments.
+ * @param {string} key
+ * @returns {boolean}
+ */
+const isValidKey = (key) => typeof key === "string" && KEY_PATTERN.test(key);
+
+/**
+ * Throws on keys that could escape the storage location.
+ * @param {string} key
+ * @returns {string} - The key
+ */
+const assertValidKey = (key) => {
+  if (!isValidKey(key)) throw new Error(`Invalid storage key: ${key}`);
+  return key;
+};
+
+// Lifetime of signed URLs when callers do not ask for another one
+const DEFAULT_SIGNED_URL_SECONDS = 15 * 60;
+
+module.exports = { isValidKey, assertValidKey, DEFAULT_SIGNED_URL_SECONDS };
@@ -0,0 +1,139 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+const {
+  isValidKey,
+  assertValidKey,
+  DEFAULT_SIGNED_URL_SECONDS,
+} = require("./objectKey");
+
+// Objects in an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2...).
+// Configured by S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+// and for other services than AWS S3_ENDPOINT (e.g. http://localhost:9000)
+// with S3_FORCE_PATH_STYLE=true. Public objects are stored under "public/",
+// which the bucket policy must let anyone read, private ones under "private/".
+// S3_PUBLIC_URL overrides the base URL of public objects, e.g. for a CDN.
+const PUBLIC_PREFIX = "public/";
+const PRIVATE_PREFIX = "private/";
+
+const config = () => {
+  const bucket = process.env.S3_BUCKET;
+  const region = process.env.S3_REGION || "us-east-1";
+  const endpoint = process.env.S3_ENDPOINT;
+  const forcePathStyle = process.env.S3_FORCE_PATH_STYLE === "true";
+
+  const defaultPublicUrl =
+    endpoint && forcePathStyle
+      ? `${endpoint.replace(/\/+$/, "")}/${bucket}`
+      : endpoint
+      ? endpoint.replace(/^(https?:\/\/)/, `$1${bucket}.`).replace(/\/+$/, "")
+      : `https://${bucket}.s3.${region}.amazonaws.com`;
+
+  return {
+    bucket,
+    region,
+    endpoint,
+    forcePathStyle,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    publicUrl: (process.env.S3_PUBLIC_URL || defaultPublicUrl).replace(
+      /\/+$/,
+      ""
+    ),
+  };
+};
+
+let client = null;
+const getClient = () => {
+  if (!client) {
+    const { region, endpoint, forcePathStyle, accessKeyId, secretAccessKey } =
+      config();
+    client = new S3Client({
+      region,
+      ...(endpoint && { endpoint }),
+      forcePathStyle,
+      ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } }),
+    });
+  }
+  return client;
+};
+
+const objectKey = (key, visibility = "public") =>
+  (visibility === "private" ? PRIVATE_PREFIX : PUBLIC_PREFIX) +
+  assertValidKey(key);
+
+const isMissing = (error) =>
+  error.name === "NoSuchKey" ||
+  (error.$metadata && error.$metadata.httpStatusCode === 404);
+
+module.exports = {
+  name: "s3",
+
+  publicRoot: null,
+
+  put: async (key, body, { contentType, visibility } = {}) => {
+    await getClient().send(
+      new PutObjectCommand({
+        Bucket: config().bucket,
+        Key: objectKey(key, visibility),
+        Body: body,
+        ContentType: contentType || "application/octet-stream",
+        // Uploads get unique names, so public copies never go stale
+        ...(visibility !== "private" && {
+          CacheControl: "public, max-age=31536000, immutable",
+        }),
+      })
+    );
+    return visibility === "private" ? null : module.exports.getUrl(key);
+  },
+
+  get: async (key, { visibility } = {}) => {
+    try {
+      const response = await getClient().send(
+        new GetObjectCommand({
+          Bucket: config().bucket,
+          Key: objectKey(key, visibility),
+        })
+      );
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (error) {
+      if (isMissing(error)) return null;
+      throw error;
+    }
+  },
+
+  // Deleting a missing object succeeds on S3
+  remove: async (key, { visibility } = {}) => {
+    await getClient().send(
+      new DeleteObjectCommand({
+        Bucket: config().bucket,
+        Key: objectKey(key, visibility),
+      })
+    );
+  },
+
+  getUrl: (key) => `${config().publicUrl}/${objectKey(key)}`,
+
+  keyFromUrl: (url) => {
+    const prefix = `${config().publicUrl}/${PUBLIC_PREFIX}`;
+    if (typeof url !== "string" || !url.startsWith(prefix)) return null;
+    const key = url.slice(prefix.length);
+    return isValidKey(key) ? key : null;
+  },
+
+  getSignedUrl: (key, expiresInSeconds = DEFAULT_SIGNED_URL_SECONDS) =>
+    getSignedUrl(
+      getClient(),
+      new GetObjectCommand({
+        Bucket: config().bucket,
+        Key: objectKey(key, "private"),
+      }),
+      { expiresIn: expiresInSeconds }
+    ),
+
+  serveSignedFile: null,
+};
@@ -0,0 +1,130 @@
+// Small helpers to convert between wall-clock times in an IANA time zone and
+// UTC instants, built on Intl so no time zone database dependency is needed.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Checks that a string is an IANA time zone Intl knows about.
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== "string" || timeZone.length === 0) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Checks a "YYYY-MM-DD" string is a real calendar date.
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isValidDateString = (value) => {
+  if (typeof value !== "string" || !DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Checks a "HH:mm" 24h time string.
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isValidTimeString = (value) =>
+  typeof value === "string" && TIME_PATTERN.test(value);
+
+/**
+ * Returns the wall-clock parts of an instant in a time zone.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{ date: string, time: string, dayOfWeek: number, minutes: number, seconds: number }}
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const value = Object.fromEntries(parts.map((p) => [p.type, p.value]));
+  const dateString = `${value.year}-${value.month}-${value.day}`;
+
+  return {
+    date: dateString,
+    time: `${value.hour}:${value.minute}`,
+    dayOfWeek: new Date(`${dateString}T00:00:00Z`).getUTCDay(),
+    minutes: parseInt(value.hour, 10) * 60 + parseInt(value.minute, 10),
+    seconds: parseInt(value.second, 10),
+  };
+};
+
+/**
+ * Offset of a time zone from UTC at a given instant, in milliseconds.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number}
+ */
+const getOffsetMs = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const [year, month, day] = p.date.split("-").map(Number);
+  const asUtc = Date.UTC(
+    year,
+    month - 1,
+    day,
+    Math.floor(p.minutes / 60),
+    p.minutes % 60,
+    p.seconds
+  );
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Converts a wall-clock date and time in a time zone to a UTC instant.
+ * @param {string} dateString - "YYYY-MM-DD"
+ * @param {string} timeString - "HH:mm"
+ * @param {string} [timeZone="UTC"]
+ * @returns {Date}
+ */
+const zonedTimeToUtc = (dateString, timeString, timeZone = "UTC") => {
+  const [year, month, day] = dateString.split("-").map(Number);
+  const [hours, minutes] = timeString.split(":").map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // Two passes settle the offset around daylight saving changes
+  const offset = getOffsetMs(new Date(wallClock), timeZone);
+  let result = wallClock - offset;
+  const correctedOffset = getOffsetMs(new Date(result), timeZone);
+  if (correctedOffset !== offset) result = wallClock - correctedOffset;
+
+  return new Date(result);
+};
+
+/**
+ * Adds a number of days to a "YYYY-MM-DD" string.
+ * @param {string} dateString
+ * @param {number} days
+ * @returns {string}
+ */
+const addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+module.exports = {
+  isValidTimeZone,
+  isValidDateString,
+  isValidTimeString,
+  getZonedParts,
+  zonedTimeToUtc,
+  addDays,
+};
@@ -0,0 +1,183 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { PrismaClient } = require("@prisma/client");
+const prisma = new PrismaClient();
+
+// Access tokens are short-lived JWTs; refresh tokens are opaque random strings
+// stored hashed in the RefreshToken table and rotated on every use.
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(
+  process.env.REFRESH_TOKEN_TTL_DAYS || "30",
+  10
+);
+
+const getAccessTokenSecret = () => {
+  const secret = process.env.JWT_ACCESS_SECRET;
+  if (!secret) {
+    throw new Error("JWT_ACCESS_SECRET is not configured");
+  }
+  return secret;
+};
+
+/**
+ * Hashes a raw token (refresh token, invitation) so it can be stored and
+ * looked up safely.
+ * @param {string} token - The raw token
+ * @returns {string} - Hex encoded SHA-256 hash
+ */
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Signs a short-lived access token for a user.
+ * @param {{ id: string, role: string }} user
+ * @returns {string} - Signed JWT
+ */
+const signAccessToken = (user) =>
+  jwt.sign({ sub: user.id, role: user.role }, getAccessTokenSecret(), {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  });
+
+/**
+ * Verifies an access token and returns its payload.
+ * Throws if the token is invalid or expired.
+ * @param {string} token
+ * @returns {object} - Decoded JWT payload
+ */
+const verifyAccessToken = (token) => jwt.verify(token, getAccessTokenSecret());
+
+/**
+ * Creates and stores a new refresh token for a user.
+ * @param {string} userId
+ * @param {string} [familyId] - Token family, a new one is started when omitted
+ * @param {object} [client] - Prisma client or transaction to use
+ * @returns {Promise<{ token: string, record: object }>}
+ */
+const createRefreshToken = async (
+  userId,
+  familyId = crypto.randomUUID(),
+  client = prisma
+) => {
+  const token = crypto.randomBytes(48).toString("hex");
+  const expiresAt = new Date(
+    Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  const record = await client.refreshToken.create({
+    data: {
+      tokenHash: hashToken(token),
+      familyId,
+      userId,
+      expiresAt,
+    },
+  });
+
+  return { token, record };
+};
+
+/**
+ * Issues a fresh access/refresh token pair for a user (used at login).
+ * @param {{ id: string, role: string }} user
+ */
+const issueTokens = async (user) => {
+  const { token: refreshToken } = await createRefreshToken(user.id);
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  };
+};
+
+/**
+ * Exchanges a refresh token for a new token pair.
+ * The presented token is revoked and replaced. If an already revoked token is
+ * presented again, the whole family is revoked since the token was likely stolen.
+ * @param {string} rawToken
+ * @returns {Promise<object|null>} - New tokens and the user, or null if the token is not usable
+ */
+const rotateRefreshToken = async (rawToken) => {
+  const existing = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(rawToken) },
+    include: { user: true },
+  });
+
+  if (!existing) return null;
+
+  if (existing.revokedAt) {
+    await prisma.refreshToken.updateMany({
+      where: { familyId: existing.familyId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+    return null;
+  }
+
+  if (existing.expiresAt < new Date()) return null;
+
+  const refreshToken = await prisma.$transaction(async (tx) => {
+    const { token, record } = await createRefreshToken(
+      existing.userId,
+      existing.familyId,
+      tx
+    );
+
+    // Only revoke if nobody rotated this token concurrently
+    const { count } = await tx.refreshToken.updateMany({
+      where: { id: existing.id, revokedAt: null },
+      data: { revokedAt: new Date(), replacedById: record.id },
+    });
+    if (count === 0) {
+      // Throwing rolls back the token created above
+      throw Object.assign(new Error("Refresh token already used"), {
+        code: "REFRESH_TOKEN_USED",
+      });
+    }
+
+    return token;
+  }).catch((error) => {
+    // Other errors (database down...) are not the client's fault
+    if (error.code === "REFRESH_TOKEN_USED") return null;
+    throw error;
+  });
+
+  if (!refreshToken) return null;
+
+  return {
+    user: existing.user,
+    accessToken: signAccessToken(existing.user),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  };
+};
+
+/**
+ * Revokes a refresh token (used at logout).
+ * @param {string} rawToken
+ * @returns {Promise<boolean>} - Whether a live token was revoked
+ */
+const revokeRefreshToken = async (rawToken) => {
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { tokenHash: hashToken(rawToken), revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  return count > 0;
+};
+
+/**
+ * Revokes every live refresh token of a user, signing them out everywhere.
+ * @param {string} userId
+ */
+const revokeAllUserTokens = (userId) =>
+  prisma.refreshToken.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+
+module.exports = {
+  hashToken,
+  signAccessToken,
+  verifyAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllUserTokens,
+};
@@ -0,0 +1,219 @@
+const { WebSocketServer, WebSocket } = require("ws");
+const { loadUserFromToken } = require("../middlewares/authMiddleware");
+const {
+  getRecipientId,
+  validateMessageText,
+  findUserConversation,
+  createMessage,
+  markConversationRead,
+  getUnreadCounts,
+} = require("../services/chatService");
+
+const CHAT_SOCKET_PATH = "/ws/chat";
+
+// Interval between pings; connections that miss one pong are dropped
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+// Open sockets per user id, a user may be connected from several devices
+const connections = new Map();
+
+/**
+ * Sends an event to every open socket of the given users.
+ * Also used by the REST controllers so messages sent over HTTP arrive live.
+ * @param {string[]} userIds
+ * @param {{ type: string }} event
+ */
+const emitToUsers = (userIds, event) => {
+  const payload = JSON.stringify(event);
+  for (const userId of new Set(userIds)) {
+    for (const socket of connections.get(userId) || []) {
+      if (socket.readyState === WebSocket.OPEN) socket.send(payload);
+    }
+  }
+};
+
+const addConnection = (userId, socket) => {
+  if (!connections.has(userId)) connections.set(userId, new Set());
+  connections.get(userId).add(socket);
+};
+
+const removeConnection = (userId, socket) => {
+  const sockets = connections.get(userId);
+  if (!sockets) return;
+  sockets.delete(socket);
+  if (sockets.size === 0) connections.delete(userId);
+};
+
+const sendError = (socket, message, requestId) => {
+  socket.send(JSON.stringify({ type: "error", message, requestId }));
+};
+
+/**
+ * Client events, each receiving the authenticated user, the socket and the
+ * parsed payload. Every payload names the conversationId it applies to.
+ */
+const handlers = {
+  // { type: "message", conversationId, text, requestId? }
+  message: async (user, socket, data) => {
+    const conversation = await findUserConversation(
+      data.conversationId,
+      user.id
+    );
+    if (!conversation) {
+      return sendError(socket, "Conversation not found", data.requestId);
+    }
+
+    const error = validateMessageText(data.text);
+    if (error) return sendError(socket, error, data.requestId);
+
+    const message = await createMessage({
+      conversationId: conversation.id,
+      senderId: user.id,
+      text: data.text,
+    });
+
+    emitToUsers([conversation.touristId, conversation.guideId], {
+      type: "message",
+      message,
+      requestId: data.requestId,
+    });
+  },
+
+  // { type: "typing", conversationId, isTyping }
+  typing: async (user, socket, data) => {
+    const conversation = await findUserConversation(
+      data.conversationId,
+      user.id
+    );
+    if (!conversation) return sendError(socket, "Conversation not found");
+
+    emitToUsers([getRecipientId(conversation, user.id)], {
+      type: "typing",
+      conversationId: conversation.id,
+      userId: user.id,
+      isTyping: data.isTyping !== false,
+    });
+  },
+
+  // { type: "read", conversationId }
+  read: async (user, socket, data) => {
+    const conversation = await findUserConversation(
+      data.conversationId,
+      user.id
+    );
+    if (!conversation) return sendError(socket, "Conversation not found");
+
+    await notifyRead(conversation, user.id);
+  },
+};
+
+/**
+ * Marks a conversation read for a user, then tells the sender which of their
+ * messages were read and syncs the reader's other devices.
+ * @param {object} conversation
+ * @param {string} userId - The reader
+ * @returns {Promise<string[]>} - Ids of the messages marked read
+ */
+const notifyRead = async (conversation, userId) => {
+  const messageIds = await markConversationRead(conversation.id, userId);
+  if (messageIds.length === 0) return messageIds;
+
+  emitToUsers([conversation.touristId, conversation.guideId], {
+    type: "read",
+    conversationId: conversation.id,
+    readerId: userId,
+    messageIds,
+  });
+  return messageIds;
+};
+
+/**
+ * Attaches the chat WebSocket endpoint to the HTTP server.
+ * Clients connect to /ws/chat?token=<access token> and receive a "ready" event
+ * with their unread counts per conversation.
+ * @param {import("http").Server} server
+ * @returns {WebSocketServer}
+ */
+const attachChatSocket = (server) => {
+  const wss = new WebSocketServer({ server, path: CHAT_SOCKET_PATH });
+
+  wss.on("connection", async (socket, req) => {
+    const url = new URL(req.url, "http://localhost");
+    const token = url.searchParams.get("token");
+
+    let user;
+    try {
+      user = token ? await loadUserFromToken(token) : null;
+    } catch (error) {
+      console.error("Chat socket authentication error:", error);
+    }
+
+    if (!user) {
+      socket.close(4401, "Invalid or expired token");
+      return;
+    }
+
+    socket.isAlive = true;
+    socket.on("pong", () => {
+      socket.isAlive = true;
+    });
+
+    addConnection(user.id, socket);
+    socket.on("close", () => removeConnection(user.id, socket));
+
+    socket.on("message", async (raw) => {
+      let data;
+      try {
+        data = JSON.parse(raw.toString());
+      } catch (error) {
+        return sendError(socket, "Events must be valid JSON");
+      }
+
+      const handler = data && handlers[data.type];
+      if (!handler) {
+        return sendError(socket, "Unknown event type", data && data.requestId);
+      }
+
+      try {
+        await handler(user, socket, data);
+      } catch (error) {
+        console.error(`Chat socket error on "${data.type}":`, error);
+        sendError(socket, "Internal server error", data.requestId);
+      }
+    });
+
+    try {
+      socket.send(
+        JSON.stringify({
+          type: "ready",
+          userId: user.id,
+          unreadCounts: await getUnreadCounts(user.id),
+        })
+      );
+    } catch (error) {
+      console.error("Error loading unread counts:", error);
+    }
+  });
+
+  const heartbeat = setInterval(() => {
+    for (const socket of wss.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  wss.on("close", () => clearInterval(heartbeat));
+
+  return wss;
+};
+
+module.exports = {
+  CHAT_SOCKET_PATH,
+  attachChatSocket,
+  emitToUsers,
+  notifyRead,
+};
@@ -0,0 +1,84 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  canTransition,
+  transitionBooking,
+} = require("../../src/services/bookingService");
+
+/**
+ * In-memory stand-in for the Prisma client methods transitionBooking uses.
+ * @param {object} booking
+ * @param {{ concurrentStatus?: string }} [options] - Status another request
+ *   sets between the read and the update
+ */
+const bookingClient = (booking, { concurrentStatus } = {}) => {
+  const rows = new Map(booking ? [[booking.id, { ...booking }]] : []);
+  return {
+    rows,
+    booking: {
+      findUnique: async ({ where }) =>
+        rows.has(where.id) ? { ...rows.get(where.id) } : null,
+      updateMany: async ({ where, data }) => {
+        const row = rows.get(where.id);
+        if (concurrentStatus) row.status = concurrentStatus;
+        if (!row || row.status !== where.status) return { count: 0 };
+        Object.assign(row, data);
+        return { count: 1 };
+      },
+    },
+  };
+};
+
+describe("booking status transitions", () => {
+  it("allows only the transitions of BOOKING_TRANSITIONS", () => {
+    assert.equal(canTransition("PENDING", "CONFIRMED"), true);
+    assert.equal(canTransition("CONFIRMED", "COMPLETED"), true);
+    assert.equal(canTransition("CONFIRMED", "PENDING"), false);
+    assert.equal(canTransition("CANCELED", "CONFIRMED"), false);
+    assert.equal(canTransition("UNKNOWN", "CONFIRMED"), false);
+  });
+
+  it("moves a booking to its new status with the extra fields", async () => {
+    const client = bookingClient({ id: "b1", status: "CONFIRMED" });
+    const canceledAt = new Date();
+
+    const result = await transitionBooking("b1", "CANCELED", client, {
+      canceledAt,
+    });
+
+    assert.equal(result.error, undefined);
+    assert.equal(result.booking.status, "CANCELED");
+    assert.equal(result.booking.canceledAt, canceledAt);
+  });
+
+  it("refuses a transition the current status does not allow", async () => {
+    const client = bookingClient({ id: "b1", status: "COMPLETED" });
+
+    const result = await transitionBooking("b1", "CANCELED", client);
+
+    assert.equal(result.statusCode, 400);
+    assert.equal(client.rows.get("b1").status, "COMPLETED");
+  });
+
+  it("answers 404 for a missing booking", async () => {
+    const result = await transitionBooking(
+      "missing",
+      "CONFIRMED",
+      bookingClient(null)
+    );
+
+    assert.equal(result.statusCode, 404);
+  });
+
+  it("answers 409 when another request changed the booking first", async () => {
+    const client = bookingClient(
+      { id: "b1", status: "PENDING" },
+      { concurrentStatus: "CANCELED" }
+    );
+
+    const result = await transitionBooking("b1", "CONFIRMED", client);
+
+    assert.equal(result.statusCode, 409);
+    assert.equal(client.rows.get("b1").status, "CANCELED");
+  });
+});
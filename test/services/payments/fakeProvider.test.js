@@ -0,0 +1,81 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fakeProvider = require("../../../src/services/payments/fakeProvider");
+const {
+  signPayload,
+} = require("../../../src/services/payments/webhookSignature");
+
+const SECRET = "test-webhook-secret";
+
+describe("fake payment provider", () => {
+  beforeEach(() => {
+    process.env.PAYMENT_FAKE_PROVIDER = "true";
+    process.env.FAKE_WEBHOOK_SECRET = SECRET;
+  });
+
+  it("is only enabled when PAYMENT_FAKE_PROVIDER is true", () => {
+    assert.equal(fakeProvider.isEnabled(), true);
+    process.env.PAYMENT_FAKE_PROVIDER = "1";
+    assert.equal(fakeProvider.isEnabled(), false);
+    delete process.env.PAYMENT_FAKE_PROVIDER;
+    assert.equal(fakeProvider.isEnabled(), false);
+  });
+
+  it("accepts a webhook signed with its secret", () => {
+    const rawBody = JSON.stringify({
+      transactionId: "fake_1",
+      status: "completed",
+    });
+    const headers = { "x-signature": signPayload(rawBody, SECRET) };
+
+    assert.equal(fakeProvider.verifyWebhook(rawBody, headers), true);
+    assert.deepEqual(fakeProvider.parseWebhook(JSON.parse(rawBody)), {
+      transactionId: "fake_1",
+      status: "COMPLETED",
+    });
+  });
+
+  it("rejects a tampered body, another secret or a missing signature", () => {
+    const rawBody = JSON.stringify({
+      transactionId: "fake_1",
+      status: "completed",
+    });
+    const signature = signPayload(rawBody, SECRET);
+
+    assert.equal(
+      fakeProvider.verifyWebhook(rawBody.replace("completed", "failed"), {
+        "x-signature": signature,
+      }),
+      false
+    );
+    assert.equal(
+      fakeProvider.verifyWebhook(rawBody, {
+        "x-signature": signPayload(rawBody, "another-secret"),
+      }),
+      false
+    );
+    assert.equal(fakeProvider.verifyWebhook(rawBody, {}), false);
+  });
+
+  it("rejects replayed webhooks signed too long ago", () => {
+    const rawBody = JSON.stringify({
+      transactionId: "fake_1",
+      status: "completed",
+    });
+    const anHourAgo = Math.floor(Date.now() / 1000) - 60 * 60;
+    const headers = { "x-signature": signPayload(rawBody, SECRET, anHourAgo) };
+
+    assert.equal(fakeProvider.verifyWebhook(rawBody, headers), false);
+  });
+
+  it("rejects every webhook without a configured secret", () => {
+    const rawBody = JSON.stringify({
+      transactionId: "fake_1",
+      status: "completed",
+    });
+    const headers = { "x-signature": signPayload(rawBody, SECRET) };
+    delete process.env.FAKE_WEBHOOK_SECRET;
+
+    assert.equal(fakeProvider.verifyWebhook(rawBody, headers), false);
+  });
+});
@@ -0,0 +1,202 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// The driver reads its roots when it is loaded
+const tempRoot = fs.mkdtempSync(path.join(os.tmpdir(), "local-storage-"));
+process.env.LOCAL_STORAGE_ROOT = path.join(tempRoot, "public");
+process.env.LOCAL_PRIVATE_STORAGE_ROOT = path.join(tempRoot, "private");
+const localStorage = require("../../../src/services/storage/localStorage");
+
+/**
+ * Minimal Express response recording what serveSignedFile answers.
+ */
+const response = () => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    sentFile: null,
+    headersSent: false,
+    status: (code) => {
+      res.statusCode = code;
+      return res;
+    },
+    json: (body) => {
+      res.body = body;
+      return res;
+    },
+    sendFile: (file, callback) => {
+      res.sentFile = file;
+      if (!fs.existsSync(file)) callback(new Error("ENOENT"));
+    },
+  };
+  return res;
+};
+
+/**
+ * Request for a /files/<key> URL as app.js routes it.
+ * @param {string} url
+ */
+const signedRequest = (url) => {
+  const { pathname, searchParams } = new URL(url, "http://localhost");
+  return {
+    params: { 0: pathname.replace(/^\/files\//, "") },
+    query: Object.fromEntries(searchParams),
+  };
+};
+
+describe("local storage driver", () => {
+  before(() => {
+    process.env.STORAGE_SIGNING_SECRET = "test-signing-secret";
+  });
+
+  after(() => {
+    fs.rmSync(tempRoot, { recursive: true, force: true });
+  });
+
+  it("stores, reads and removes public files", async () => {
+    const url = await localStorage.put("events/a.jpg", Buffer.from("image"));
+
+    assert.equal(url, "/uploads/events/a.jpg");
+    assert.ok(fs.existsSync(path.join(tempRoot, "public", "events", "a.jpg")));
+    assert.equal((await localStorage.get("events/a.jpg")).toString(), "image");
+
+    await localStorage.remove("events/a.jpg");
+    assert.equal(await localStorage.get("events/a.jpg"), null);
+    await localStorage.remove("events/a.jpg");
+  });
+
+  it("keeps private files apart and without a public URL", async () => {
+    const url = await localStorage.put("docs/id.pdf", Buffer.from("pdf"), {
+      visibility: "private",
+    });
+
+    assert.equal(url, null);
+    assert.ok(fs.existsSync(path.join(tempRoot, "private", "docs", "id.pdf")));
+    assert.equal(await localStorage.get("docs/id.pdf"), null);
+    assert.equal(
+      (
+        await localStorage.get("docs/id.pdf", { visibility: "private" })
+      ).toString(),
+      "pdf"
+    );
+  });
+
+  it("refuses keys that could leave the storage root", async () => {
+    for (const key of [
+      "../secret",
+      "events/../../secret",
+      "/etc/passwd",
+      ".env",
+      "",
+    ]) {
+      await assert.rejects(
+        localStorage.put(key, Buffer.from("x")),
+        /Invalid storage key/
+      );
+    }
+    assert.throws(
+      () => localStorage.getUrl("../secret"),
+      /Invalid storage key/
+    );
+  });
+
+  it("finds the key back from a public URL only", () => {
+    const url = localStorage.getUrl("sites/b.webp");
+
+    assert.equal(url, "/uploads/sites/b.webp");
+    assert.equal(localStorage.keyFromUrl(url), "sites/b.webp");
+    assert.equal(
+      localStorage.keyFromUrl("https://cdn.example.com/sites/b.webp"),
+      null
+    );
+    assert.equal(localStorage.keyFromUrl("/uploads/../secret"), null);
+    assert.equal(localStorage.keyFromUrl(null), null);
+  });
+
+  describe("signed URLs", () => {
+    beforeEach(async () => {
+      await localStorage.put("docs/id.pdf", Buffer.from("pdf"), {
+        visibility: "private",
+      });
+    });
+
+    it("serves the private file behind a valid signature", async () => {
+      const url = await localStorage.getSignedUrl("docs/id.pdf", 60);
+      const res = response();
+
+      localStorage.serveSignedFile(signedRequest(url), res);
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(
+        res.sentFile,
+        path.join(tempRoot, "private", "docs", "id.pdf")
+      );
+    });
+
+    it("answers 404 when the signed file was removed", async () => {
+      const url = await localStorage.getSignedUrl("docs/id.pdf", 60);
+      await localStorage.remove("docs/id.pdf", { visibility: "private" });
+      const res = response();
+
+      localStorage.serveSignedFile(signedRequest(url), res);
+
+      assert.equal(res.statusCode, 404);
+    });
+
+    it("answers 403 to tampered, foreign or expired links", async () => {
+      const valid = signedRequest(
+        await localStorage.getSignedUrl("docs/id.pdf", 60)
+      );
+      const requests = [
+        { ...valid, params: { 0: "docs/other.pdf" } },
+        {
+          ...valid,
+          query: {
+            ...valid.query,
+            expires: String(Number(valid.query.expires) + 3600),
+          },
+        },
+        { ...valid, query: { ...valid.query, signature: "0".repeat(64) } },
+        { ...valid, query: {} },
+        signedRequest(await localStorage.getSignedUrl("docs/id.pdf", -1)),
+      ];
+
+      for (const req of requests) {
+        const res = response();
+        localStorage.serveSignedFile(req, res);
+        assert.equal(res.statusCode, 403);
+        assert.equal(res.sentFile, null);
+      }
+    });
+
+    it("stops accepting links once the signing secret changes", async () => {
+      const url = await localStorage.getSignedUrl("docs/id.pdf", 60);
+      process.env.STORAGE_SIGNING_SECRET = "rotated-secret";
+      const res = response();
+
+      localStorage.serveSignedFile(signedRequest(url), res);
+
+      assert.equal(res.statusCode, 403);
+      process.env.STORAGE_SIGNING_SECRET = "test-signing-secret";
+    });
+
+    it("requires a signing secret in production", async () => {
+      const { NODE_ENV, STORAGE_SIGNING_SECRET } = process.env;
+      process.env.NODE_ENV = "production";
+      delete process.env.STORAGE_SIGNING_SECRET;
+
+      try {
+        await assert.rejects(
+          localStorage.getSignedUrl("docs/id.pdf"),
+          /STORAGE_SIGNING_SECRET is required/
+        );
+      } finally {
+        process.env.NODE_ENV = NODE_ENV;
+        process.env.STORAGE_SIGNING_SECRET = STORAGE_SIGNING_SECRET;
+      }
+    });
+  });
+});
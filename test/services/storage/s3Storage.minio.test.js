@@ -0,0 +1,81 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+
+// Round trip against a real S3-compatible server, skipped unless
+// S3_TEST_ENDPOINT is set. With a local MinIO:
+//   docker run -p 9000:9000 minio/minio server /data
+//   S3_TEST_ENDPOINT=http://localhost:9000 npm test
+// The bucket (S3_TEST_BUCKET, default "tourism-test") is created if missing,
+// with the minioadmin credentials unless S3_ACCESS_KEY_ID is set.
+const endpoint = process.env.S3_TEST_ENDPOINT;
+
+describe(
+  "S3 storage driver against S3_TEST_ENDPOINT",
+  { skip: !endpoint },
+  () => {
+    let s3Storage;
+
+    before(async () => {
+      Object.assign(process.env, {
+        S3_ENDPOINT: endpoint,
+        S3_FORCE_PATH_STYLE: "true",
+        S3_BUCKET: process.env.S3_TEST_BUCKET || "tourism-test",
+        S3_ACCESS_KEY_ID: process.env.S3_ACCESS_KEY_ID || "minioadmin",
+        S3_SECRET_ACCESS_KEY: process.env.S3_SECRET_ACCESS_KEY || "minioadmin",
+      });
+      delete process.env.S3_PUBLIC_URL;
+
+      const { S3Client, CreateBucketCommand } = require("@aws-sdk/client-s3");
+      const client = new S3Client({
+        region: process.env.S3_REGION || "us-east-1",
+        endpoint,
+        forcePathStyle: true,
+        credentials: {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        },
+      });
+      try {
+        await client.send(
+          new CreateBucketCommand({ Bucket: process.env.S3_BUCKET })
+        );
+      } catch (error) {
+        if (error.name !== "BucketAlreadyOwnedByYou") throw error;
+      }
+
+      s3Storage = require("../../../src/services/storage/s3Storage");
+    });
+
+    it("stores, reads and removes objects", async () => {
+      const key = `test/${Date.now()}.txt`;
+
+      const url = await s3Storage.put(key, Buffer.from("hello"), {
+        contentType: "text/plain",
+      });
+
+      assert.equal(s3Storage.keyFromUrl(url), key);
+      assert.equal((await s3Storage.get(key)).toString(), "hello");
+
+      await s3Storage.remove(key);
+      assert.equal(await s3Storage.get(key), null);
+    });
+
+    it("serves private objects only through signed URLs", async () => {
+      const key = `test/${Date.now()}.pdf`;
+
+      assert.equal(
+        await s3Storage.put(key, Buffer.from("private"), {
+          visibility: "private",
+        }),
+        null
+      );
+      assert.equal(await s3Storage.get(key), null);
+
+      const response = await fetch(await s3Storage.getSignedUrl(key, 60));
+      assert.equal(response.status, 200);
+      assert.equal(await response.text(), "private");
+
+      await s3Storage.remove(key, { visibility: "private" });
+    });
+  }
+);
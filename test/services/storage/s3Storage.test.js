@@ -0,0 +1,64 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+// URL building and presigning need no server, only a configuration
+Object.assign(process.env, {
+  S3_BUCKET: "tourism",
+  S3_REGION: "eu-west-3",
+  S3_ENDPOINT: "http://localhost:9000",
+  S3_FORCE_PATH_STYLE: "true",
+  S3_ACCESS_KEY_ID: "test-access-key",
+  S3_SECRET_ACCESS_KEY: "test-secret-key",
+});
+delete process.env.S3_PUBLIC_URL;
+const s3Storage = require("../../../src/services/storage/s3Storage");
+
+describe("S3 storage driver", () => {
+  it("builds public URLs under the public/ prefix of the bucket", () => {
+    const url = s3Storage.getUrl("events/a.jpg");
+
+    assert.equal(url, "http://localhost:9000/tourism/public/events/a.jpg");
+    assert.equal(s3Storage.keyFromUrl(url), "events/a.jpg");
+  });
+
+  it("uses S3_PUBLIC_URL as the base of public URLs when set", () => {
+    process.env.S3_PUBLIC_URL = "https://cdn.example.com/";
+    try {
+      const url = s3Storage.getUrl("events/a.jpg");
+
+      assert.equal(url, "https://cdn.example.com/public/events/a.jpg");
+      assert.equal(s3Storage.keyFromUrl(url), "events/a.jpg");
+    } finally {
+      delete process.env.S3_PUBLIC_URL;
+    }
+  });
+
+  it("does not take foreign or unsafe URLs for its keys", () => {
+    assert.equal(s3Storage.keyFromUrl("/uploads/events/a.jpg"), null);
+    assert.equal(
+      s3Storage.keyFromUrl("http://localhost:9000/tourism/private/docs/id.pdf"),
+      null
+    );
+    assert.equal(
+      s3Storage.keyFromUrl("http://localhost:9000/tourism/public/../private/x"),
+      null
+    );
+    assert.throws(
+      () => s3Storage.getUrl("../private/x"),
+      /Invalid storage key/
+    );
+  });
+
+  it("presigns reads of private objects for the requested lifetime", async () => {
+    const url = new URL(await s3Storage.getSignedUrl("docs/id.pdf", 60));
+
+    assert.equal(url.origin, "http://localhost:9000");
+    assert.equal(url.pathname, "/tourism/private/docs/id.pdf");
+    assert.equal(url.searchParams.get("X-Amz-Expires"), "60");
+    assert.match(
+      url.searchParams.get("X-Amz-Credential"),
+      /^test-access-key\//
+    );
+    assert.ok(url.searchParams.get("X-Amz-Signature"));
+  });
+});